@@ -0,0 +1,14 @@
+// Loading env configs for assigning roles on deploy
+require('dotenv').config();
+
+// Account that is granted each role of CMB on deploy, deployer is used when not set.
+// Upgrader becomes owner of ProxyAdmin, which authorizes upgrades of the transparent proxy.
+// Deployer renounces DEFAULT_ADMIN_ROLE once roles are assigned if admin is another account.
+module.exports = {
+  admin: process.env.ADMIN_ADDRESS,
+  feeManager: process.env.FEE_MANAGER_ADDRESS,
+  treasurer: process.env.TREASURER_ADDRESS,
+  pauser: process.env.PAUSER_ADDRESS,
+  arbiter: process.env.ARBITER_ADDRESS,
+  upgrader: process.env.UPGRADER_ADDRESS,
+};
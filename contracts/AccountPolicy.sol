@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/access/IAccessControlUpgradeable.sol";
+import "./interfaces/IAccountPolicy.sol";
+
+/**
+ *  @notice Denylist and optional allowlist of accounts that CMB reads by {CMB-setAccountPolicy}. Denylisted accounts
+ *          are never allowed. When allowlistOnly is on, only allowlisted accounts are allowed, otherwise any account is.
+ *
+ *  @dev    Accounts with DEFAULT_ADMIN_ROLE of CMB manage it. Accounts are listed by address, so smart-contract wallets
+ *          are treated like externally owned accounts, including contracts under construction or not deployed yet.
+ */
+contract AccountPolicy is IAccountPolicy {
+    /**
+     *  @notice MAX_BATCH_SIZE uint256 constant is the max number of accounts listed in one call
+     */
+    uint256 public constant MAX_BATCH_SIZE = 100;
+
+    /**
+     *  @notice cmb IAccessControlUpgradeable is the CMB proxy whose admins manage the policy
+     */
+    IAccessControlUpgradeable public immutable cmb;
+
+    /**
+     *  @notice allowlistOnly bool is true when only allowlisted accounts are allowed
+     */
+    bool public allowlistOnly;
+
+    /**
+     *  @notice Mapping account address to whether it is allowlisted
+     */
+    mapping(address => bool) public allowlisted;
+
+    /**
+     *  @notice Mapping account address to whether it is denylisted
+     */
+    mapping(address => bool) public denylisted;
+
+    event AllowlistOnly(address indexed sender, bool enabled);
+    event Allowlisted(address indexed sender, address indexed account, bool allowed);
+    event Denylisted(address indexed sender, address indexed account, bool denied);
+
+    modifier onlyAdmin() {
+        require(cmb.hasRole(0x00, msg.sender), "Caller is missing role");
+        _;
+    }
+
+    constructor(address _cmb) {
+        cmb = IAccessControlUpgradeable(_cmb);
+    }
+
+    /**
+     *  @notice Turn on or off allowing only allowlisted accounts
+     *
+     *  @dev    Only DEFAULT_ADMIN_ROLE of CMB can call this function.
+     *
+     *          Name        Meaning
+     *  @param  enabled     True to allow only allowlisted accounts
+     *
+     *  Emit event {AllowlistOnly}
+     */
+    function setAllowlistOnly(bool enabled) external onlyAdmin {
+        allowlistOnly = enabled;
+        emit AllowlistOnly(msg.sender, enabled);
+    }
+
+    /**
+     *  @notice Add `accounts` to or remove them from allowlist
+     *
+     *  @dev    Only DEFAULT_ADMIN_ROLE of CMB can call this function.
+     *
+     *          Name        Meaning
+     *  @param  accounts    Addresses of accounts
+     *  @param  allowed     True to add, false to remove
+     *
+     *  Emit event {Allowlisted} for each account
+     */
+    function setAllowlisted(address[] calldata accounts, bool allowed) external onlyAdmin {
+        require(accounts.length > 0 && accounts.length <= MAX_BATCH_SIZE, "Invalid batch size");
+        for (uint256 i = 0; i < accounts.length; i++) {
+            allowlisted[accounts[i]] = allowed;
+            emit Allowlisted(msg.sender, accounts[i], allowed);
+        }
+    }
+
+    /**
+     *  @notice Add `accounts` to or remove them from denylist
+     *
+     *  @dev    Only DEFAULT_ADMIN_ROLE of CMB can call this function.
+     *
+     *          Name        Meaning
+     *  @param  accounts    Addresses of accounts
+     *  @param  denied      True to add, false to remove
+     *
+     *  Emit event {Denylisted} for each account
+     */
+    function setDenylisted(address[] calldata accounts, bool denied) external onlyAdmin {
+        require(accounts.length > 0 && accounts.length <= MAX_BATCH_SIZE, "Invalid batch size");
+        for (uint256 i = 0; i < accounts.length; i++) {
+            denylisted[accounts[i]] = denied;
+            emit Denylisted(msg.sender, accounts[i], denied);
+        }
+    }
+
+    /**
+     *  @notice Check whether `account` is allowed
+     *
+     *          Name        Meaning
+     *  @param  account     Address of account
+     *
+     *          Type        Meaning
+     *  @return bool        False if `account` is denylisted, or not allowlisted while allowlistOnly is on
+     */
+    function isAllowed(address account) external view override returns (bool) {
+        return !denylisted[account] && (!allowlistOnly || allowlisted[account]);
+    }
+}
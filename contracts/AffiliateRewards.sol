@@ -0,0 +1,218 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./interfaces/IAffiliateRewards.sol";
+import "./interfaces/ICMB.sol";
+
+/**
+ *  @notice Registry of affiliates that onboarded Business Owners. When a payment of a Business Owner is claimed,
+ *          CMB set by {CMB-setAffiliateRewards} credits the cut of its affiliate from the service fee instead of
+ *          keeping it in service fee total, and the affiliate pulls its balance by {withdraw}
+ *
+ *  @dev    Accounts with FEE_MANAGER_ROLE of CMB manage affiliates. Cuts are in basis points of service fee, not of
+ *          payment amount, so Business Owners are charged the same with or without an affiliate.
+ */
+contract AffiliateRewards is IAffiliateRewards, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    /**
+     *  @notice MAX_CUT_BPS uint256 constant is the cut that gives the whole service fee to the affiliate
+     */
+    uint256 public constant MAX_CUT_BPS = 10000;
+
+    /**
+     *  @notice FEE_MANAGER_ROLE bytes32 constant is the role of CMB that can manage affiliates
+     */
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+
+    /**
+     *  @notice cmb ICMB is the CMB proxy that credits rewards and whose roles manage affiliates
+     */
+    ICMB public immutable cmb;
+
+    /**
+     *  @notice Mapping affiliate address to its cut of service fee in basis points, zero means no reward
+     */
+    mapping(address => uint256) public cutBps;
+
+    /**
+     *  @notice Mapping Business Owner address to affiliate that onboarded it, zero address means none
+     */
+    mapping(address => address) public affiliateOf;
+
+    /**
+     *  @notice Mapping affiliate address to Business Owners it onboarded
+     */
+    mapping(address => EnumerableSet.AddressSet) private businessOwners;
+
+    /**
+     *  @notice Mapping token address to mapping affiliate address to withdrawable reward, zero address for native coin
+     */
+    mapping(address => mapping(address => uint256)) public balances;
+
+    /**
+     *  @notice Mapping token address to mapping affiliate address to total reward credited
+     */
+    mapping(address => mapping(address => uint256)) public totalEarned;
+
+    /**
+     *  @notice Mapping token address to mapping affiliate address to total reward withdrawn
+     */
+    mapping(address => mapping(address => uint256)) public totalWithdrawn;
+
+    event AffiliateCut(address indexed sender, address indexed affiliate, uint256 oldCutBps, uint256 newCutBps);
+    event BusinessOwnerAffiliate(address indexed sender, address indexed bo, address oldAffiliate, address newAffiliate);
+    event Rewarded(
+        address indexed affiliate,
+        address indexed bo,
+        uint256 indexed paymentId,
+        address token,
+        uint256 amount
+    );
+    event Withdrawn(address indexed token, address indexed affiliate, uint256 amount);
+
+    modifier onlyFeeManager() {
+        require(cmb.hasRole(FEE_MANAGER_ROLE, msg.sender), "Caller is missing role");
+        _;
+    }
+
+    constructor(address _cmb) {
+        cmb = ICMB(_cmb);
+    }
+
+    /**
+     *  @dev    Receives native coin pulled from CMB by {withdraw}
+     */
+    receive() external payable {}
+
+    /**
+     *  @notice Set cut of service fee that `affiliate` gets from payments of Business Owners it onboarded
+     *
+     *  @dev    Only FEE_MANAGER_ROLE of CMB can call this function. Applies to payments claimed from now on.
+     *
+     *          Name        Meaning
+     *  @param  affiliate   Address of affiliate
+     *  @param  bps         Cut in basis points of service fee, zero stops rewards
+     *
+     *  Emit event {AffiliateCut}
+     */
+    function setAffiliateCutBps(address affiliate, uint256 bps) external onlyFeeManager {
+        require(affiliate != address(0), "Invalid address");
+        require(bps <= MAX_CUT_BPS, "Cut exceeds service fee");
+        uint256 oldCutBps = cutBps[affiliate];
+        cutBps[affiliate] = bps;
+        emit AffiliateCut(msg.sender, affiliate, oldCutBps, bps);
+    }
+
+    /**
+     *  @notice Record `affiliate` as the affiliate that onboarded `bo`, replacing the previous one
+     *
+     *  @dev    Only FEE_MANAGER_ROLE of CMB can call this function. Rewards already credited stay with the
+     *          previous affiliate.
+     *
+     *          Name        Meaning
+     *  @param  bo          Address of Business Owner
+     *  @param  affiliate   Address of affiliate, zero address removes it
+     *
+     *  Emit event {BusinessOwnerAffiliate}
+     */
+    function setAffiliate(address bo, address affiliate) external onlyFeeManager {
+        require(bo != address(0), "Invalid address");
+        require(bo != affiliate, "Business Owner can not be its own affiliate");
+        address oldAffiliate = affiliateOf[bo];
+        businessOwners[oldAffiliate].remove(bo);
+        affiliateOf[bo] = affiliate;
+        if (affiliate != address(0)) businessOwners[affiliate].add(bo);
+        emit BusinessOwnerAffiliate(msg.sender, bo, oldAffiliate, affiliate);
+    }
+
+    /**
+     *  @notice Credit the affiliate of `bo` with its cut of `serviceFee`, which CMB pays to this contract right after the call
+     *
+     *  @dev    Only CMB can call this function.
+     *
+     *          Name        Meaning
+     *  @param  paymentId   ID of payment the service fee is charged from
+     *  @param  bo          Address of Business Owner
+     *  @param  token       Token of service fee, zero address for native coin
+     *  @param  serviceFee  Service fee charged by CMB
+     *
+     *          Type        Meaning
+     *  @return uint256     Reward of affiliate
+     *
+     *  Emit event {Rewarded} when there is a reward
+     */
+    function credit(uint256 paymentId, address bo, address token, uint256 serviceFee)
+        external
+        override
+        returns (uint256)
+    {
+        require(msg.sender == address(cmb), "Only CMB can do it");
+        uint256 reward = getReward(bo, serviceFee);
+        if (reward == 0) return 0;
+
+        address affiliate = affiliateOf[bo];
+        balances[token][affiliate] += reward;
+        totalEarned[token][affiliate] += reward;
+        emit Rewarded(affiliate, bo, paymentId, token, reward);
+        return reward;
+    }
+
+    /**
+     *  @notice Pay the whole reward of caller in `token` to caller
+     *
+     *  @dev    CMB credits native coin of rewards to withdrawable balance of this contract, which is pulled first.
+     *
+     *          Name        Meaning
+     *  @param  token       Token of reward, zero address for native coin
+     *
+     *  Emit event {Withdrawn}
+     */
+    function withdraw(address token) external nonReentrant {
+        uint256 amount = balances[token][msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        if (token == address(0) && cmb.withdrawableBalances(address(this)) > 0) cmb.withdraw();
+
+        balances[token][msg.sender] = 0;
+        totalWithdrawn[token][msg.sender] += amount;
+        if (token == address(0)) {
+            Address.sendValue(payable(msg.sender), amount);
+        } else {
+            IERC20(token).safeTransfer(msg.sender, amount);
+        }
+        emit Withdrawn(token, msg.sender, amount);
+    }
+
+    /**
+     *  @notice Get cut of `serviceFee` charged to `bo` that goes to the affiliate of `bo`
+     *
+     *          Name        Meaning
+     *  @param  bo          Address of Business Owner
+     *  @param  serviceFee  Service fee charged by CMB
+     *
+     *          Type        Meaning
+     *  @return uint256     Reward of affiliate, zero when `bo` has no affiliate
+     */
+    function getReward(address bo, uint256 serviceFee) public view returns (uint256) {
+        return (serviceFee * cutBps[affiliateOf[bo]]) / MAX_CUT_BPS;
+    }
+
+    /**
+     *  @notice Get Business Owners that `affiliate` onboarded
+     *
+     *          Name        Meaning
+     *  @param  affiliate   Address of affiliate
+     *
+     *          Type        Meaning
+     *  @return address[]   Addresses of Business Owners
+     */
+    function getBusinessOwners(address affiliate) external view returns (address[] memory) {
+        return businessOwners[affiliate].values();
+    }
+}
@@ -2,12 +2,33 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/IAccessControlUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/utils/SafeERC20Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/draft-IERC20PermitUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/AddressUpgradeable.sol";
+import "./interfaces/IFeeSchedule.sol";
+import "./interfaces/IAffiliateRewards.sol";
+import "./interfaces/IAccountPolicy.sol";
+
+/**
+ *  @dev    Roles follow {IAccessControlUpgradeable} and every role is administered by DEFAULT_ADMIN_ROLE.
+ *          AccessControlUpgradeable can not be inherited because its storage would shift storage of deployed proxies,
+ *          so role members are kept at the end of storage instead. OwnableUpgradeable is only kept for its storage,
+ *          owner is moved to DEFAULT_ADMIN_ROLE by {initializeRoles}. ReentrancyGuardUpgradeable is only kept for its
+ *          storage too, its modifier is inlined into every function that uses it, so {nonReentrantCall} checks the
+ *          lock in one private function to keep CMB under the contract size limit.
+ *          Upgrades are authorized by owner of ProxyAdmin, which deploy script transfers to the upgrader.
+ */
+contract CMB is Initializable, OwnableUpgradeable, ReentrancyGuardUpgradeable, IAccessControlUpgradeable {
+    using SafeERC20Upgradeable for IERC20Upgradeable;
 
-contract CMB is Initializable, OwnableUpgradeable, ReentrancyGuardUpgradeable {
     /*
-     *  @notice Payment struct is information of payment includes: address of business owner and client, encrypt sensitive data, amount and status of payment
+     *  @notice Payment struct is information of payment includes: address of business owner and client, encrypt sensitive data, amount, status of payment
+     *          token of payment (zero address means native coin), amount that client has paid,
+     *          deadline to pay, duration and deadline for client to confirm to release money
      */
     struct Payment {
         uint256 paymentId;
@@ -16,6 +37,43 @@ contract CMB is Initializable, OwnableUpgradeable, ReentrancyGuardUpgradeable {
         bytes32 data;
         uint256 amount;
         Status status;
+        address token;
+        uint256 paidAmount;
+        uint256 paymentDeadline;
+        uint256 releaseDuration;
+        uint256 releaseDeadline;
+    }
+
+    /*
+     *  @notice Milestone struct is a part of payment that is escrowed and released separately, includes: amount, 
+     *          deadline for client to confirm to release money and status of milestone
+     */
+    struct Milestone {
+        uint256 amount;
+        uint256 releaseDeadline;
+        Status status;
+    }
+
+    /*
+     *  @notice Invoice struct is a payment request that Business Owner signs off-chain with EIP-712 instead of calling
+     *          {requestPayment}. Client creates and pays the payment at once by {payWithSignature}
+     */
+    struct Invoice {
+        address client;
+        bytes32 data;
+        uint256 amount;
+        address token;
+        uint256 releaseDuration;
+        uint256 nonce;
+        uint256 expiry;
+    }
+
+    /**
+     *  @notice FeeChange struct is an announced fee change that can be applied from effectiveAt, zero means none
+     */
+    struct FeeChange {
+        uint256 value;
+        uint256 effectiveAt;
     }
 
     /**
@@ -27,8 +85,12 @@ contract CMB is Initializable, OwnableUpgradeable, ReentrancyGuardUpgradeable {
      *  After Client escrows money                  PAID
      *  After Client confirms to release money      CONFIRMED
      *  After Business Owner claims payment         CLAIMED
+     *  After either party raises a dispute         DISPUTED
+     *  After Arbiter resolves the dispute          RESOLVED
+     *  After Business Owner cancels payment        CANCELLED
+     *  After escrowed money is returned to Client  REFUNDED
      */
-    enum Status { REQUESTING, PAID, CONFIRMED, CLAIMED }
+    enum Status { REQUESTING, PAID, CONFIRMED, CLAIMED, DISPUTED, RESOLVED, CANCELLED, REFUNDED }
 
     /**
      *  @notice Mapping payment ID to a payment detail
@@ -55,291 +117,1985 @@ contract CMB is Initializable, OwnableUpgradeable, ReentrancyGuardUpgradeable {
      */
     uint256 private constant WEIGHT_DECIMAL = 1e6;
 
+    /**
+     *  @notice BPS_WEIGHT uint256 constant is serviceFeePercent of one basis point
+     */
+    uint256 private constant BPS_WEIGHT = WEIGHT_DECIMAL / 100;
+
+    /**
+     *  @notice MAX_SERVICE_FEE_BPS uint256 constant is the hard cap of service fee in basis points (10%)
+     */
+    uint256 public constant MAX_SERVICE_FEE_BPS = 1000;
+
+    /**
+     *  @notice FEE_CHANGE_DELAY uint256 constant is the time between announcing a fee change and applying it
+     */
+    uint256 public constant FEE_CHANGE_DELAY = 2 days;
+
+    /**
+     *  @notice MAX_MILESTONES uint256 constant is the maximum number of milestones of a payment
+     */
+    uint256 public constant MAX_MILESTONES = 20;
+
+    /**
+     *  @notice MAX_BATCH_SIZE uint256 constant is the maximum number of payments in a batch request or claim
+     */
+    uint256 public constant MAX_BATCH_SIZE = 50;
+
+    /**
+     *  @notice NOT_ENTERED and ENTERED uint256 constants are values of reentrancyStatus, kept non-zero to save gas
+     */
+    uint256 private constant NOT_ENTERED = 1;
+    uint256 private constant ENTERED = 2;
+
+    /**
+     *  @notice DEFAULT_ADMIN_ROLE bytes32 constant is the role that grants and revokes all roles
+     */
+    bytes32 public constant DEFAULT_ADMIN_ROLE = 0x00;
+
+    /**
+     *  @notice FEE_MANAGER_ROLE bytes32 constant is the role that sets service fee
+     */
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+
+    /**
+     *  @notice TREASURER_ROLE bytes32 constant is the role that withdraws service fee
+     */
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+
+    /**
+     *  @notice PAUSER_ROLE bytes32 constant is the role that pauses and unpauses contract
+     */
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /**
+     *  @notice ARBITER_ROLE bytes32 constant is the role that resolves disputed payments
+     */
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE");
+
+    /**
+     *  @notice INVOICE_TYPEHASH bytes32 constant is the EIP-712 type hash of Invoice
+     */
+    bytes32 public constant INVOICE_TYPEHASH = keccak256(
+        "Invoice(address client,bytes32 data,uint256 amount,address token,uint256 releaseDuration,uint256 nonce,uint256 expiry)"
+    );
+
+    /**
+     *  @notice DOMAIN_TYPEHASH bytes32 constant is the EIP-712 type hash of domain
+     */
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
+    /**
+     *  @notice Mapping token address to total of service fee in that token.
+     *          Service fee in native coin is kept in serviceFeeTotal
+     */
+    mapping(address => uint256) public tokenServiceFeeTotal;
+
+    /**
+     *  @notice Mapping payment ID to milestones of payment, payment without milestones is released all at once
+     */
+    mapping(uint256 => Milestone[]) private milestones;
+
+    /**
+     *  @notice Mapping Business Owner address to IDs of payments requested by that Business Owner
+     */
+    mapping(address => uint256[]) private businessOwnerPaymentIds;
+
+    /**
+     *  @notice Mapping Client address to IDs of payments requested to that Client
+     */
+    mapping(address => uint256[]) private clientPaymentIds;
+
+    /**
+     *  @notice Mapping payment ID to its index in clientPaymentIds of its Client, to move it when Client changes
+     */
+    mapping(uint256 => uint256) private clientPaymentIndex;
+
+    /**
+     *  @notice Mapping role to whether an account has that role
+     */
+    mapping(bytes32 => mapping(address => bool)) private roleMembers;
+
+    /**
+     *  @notice paused bool is whether requests, payments and claims are halted.
+     *          Refunds, confirmations and disputes keep working so funds are never frozen
+     */
+    bool public paused;
+
+    /**
+     *  @notice Mapping Business Owner address to nonces of invoices that have been paid or cancelled
+     */
+    mapping(address => mapping(uint256 => bool)) public usedInvoiceNonces;
+
+    /**
+     *  @notice trustedForwarder address is the ERC-2771 forwarder that relays calls signed by Business Owners and Clients,
+     *          zero address means meta-transactions are disabled
+     */
+    address public trustedForwarder;
+
+    /**
+     *  @notice feeSchedule address is the {IFeeSchedule} of per Business Owner, tiered and minimum service fees,
+     *          zero address means every payment uses serviceFeePercent
+     */
+    address public feeSchedule;
+
+    /**
+     *  @notice Mapping payment ID to service fee percent fixed when it was requested, see fixedServiceFees
+     */
+    mapping(uint256 => uint256) public paymentServiceFeePercents;
+
+    /**
+     *  @notice pendingServiceFeePercent FeeChange is the announced serviceFeePercent
+     */
+    FeeChange public pendingServiceFeePercent;
+
+    /**
+     *  @notice affiliateRewards address is the {IAffiliateRewards} that gets a cut of service fee of Business Owners
+     *          onboarded by affiliates, zero address means the whole service fee is kept
+     */
+    address public affiliateRewards;
+
+    /**
+     *  @notice Mapping account address to native coin released to it that it can pull by {withdraw}
+     */
+    mapping(address => uint256) public withdrawableBalances;
+
+    /**
+     *  @notice accountPolicy address is the {IAccountPolicy} with allowlist and denylist of accounts,
+     *          zero address means any account, externally owned or contract, is allowed
+     */
+    address public accountPolicy;
+
+    /**
+     *  @notice Mapping payment ID to whether Client accepted its current terms, cleared by every edit of
+     *          Business Owner. Requested payments can only be paid after acceptance.
+     */
+    mapping(uint256 => bool) public acceptedPayments;
+
+    /**
+     *  @notice reentrancyStatus uint256 is ENTERED while a {nonReentrantCall} function runs, NOT_ENTERED or zero otherwise
+     */
+    uint256 private reentrancyStatus;
+
+    /**
+     *  @notice Mapping payment ID to whether its service fee percent is fixed in paymentServiceFeePercents,
+     *          false for payments requested before fees were fixed, which use serviceFeePercent
+     */
+    mapping(uint256 => bool) private fixedServiceFees;
+
     event RequestedPayment(
         uint256 indexed paymentId, 
         address indexed bo, 
         address indexed client, 
         bytes32 data, 
-        uint256 amount
+        uint256 amount,
+        address token
     );
     event Paid(uint256 indexed paymentId);
+    event PaidInstallment(uint256 indexed paymentId, uint256 amount, uint256 paidAmount);
     event ConfirmedToRelease(uint256 indexed paymentId);
     event Claimed(uint256 indexed paymentId);
-    event WithdrawnServiceFee(uint256 amount, address indexed fundingReceiver);
+    event WithdrawnServiceFee(address indexed token, uint256 amount, address indexed fundingReceiver);
+    event Disputed(uint256 indexed paymentId, address indexed raisedBy);
+    event ResolvedDispute(uint256 indexed paymentId, uint256 boAmount, uint256 clientAmount);
+    event Cancelled(uint256 indexed paymentId);
+    event Refunded(uint256 indexed paymentId, uint256 amount);
+    event PaidMilestone(uint256 indexed paymentId, uint256 indexed milestoneIndex);
+    event ConfirmedMilestone(uint256 indexed paymentId, uint256 indexed milestoneIndex);
+    event ClaimedMilestone(uint256 indexed paymentId, uint256 indexed milestoneIndex);
 
-    event SetClient(address oldClient, address newClient);
-    event SetData(bytes32 oldData, bytes32 newData);
-    event SetAmount(uint256 oldAmount, uint256 newAmount);
-    event ServiceFeePercent(uint256 oldAmount, uint256 newAmount);
+    event SetClient(uint256 indexed paymentId, address indexed sender, address oldClient, address newClient);
+    event SetData(uint256 indexed paymentId, address indexed sender, bytes32 oldData, bytes32 newData);
+    event SetAmount(uint256 indexed paymentId, address indexed sender, uint256 oldAmount, uint256 newAmount);
+    event ServiceFeePercent(address indexed sender, uint256 oldServiceFeePercent, uint256 newServiceFeePercent);
+    event PendingServiceFeePercent(address indexed sender, uint256 newServiceFeePercent, uint256 effectiveAt);
+    event CancelledInvoice(address indexed bo, uint256 indexed nonce);
+    event TrustedForwarder(address indexed sender, address oldForwarder, address newForwarder);
+    event SetFeeSchedule(address indexed sender, address oldFeeSchedule, address newFeeSchedule);
+    event SetAffiliateRewards(address indexed sender, address oldAffiliateRewards, address newAffiliateRewards);
+    event Withdrawn(address indexed account, uint256 amount);
+    event SetAccountPolicy(address indexed sender, address oldAccountPolicy, address newAccountPolicy);
+    event AcceptedRequest(uint256 indexed paymentId, address indexed client, uint256 amount, bytes32 data);
+    event Paused(address account);
+    event Unpaused(address account);
 
     modifier onlyValidAddress(address _address) {
-        uint32 size;
-        assembly {
-            size := extcodesize(_address)
-        }
-        require((size <= 0) && _address != address(0), "Invalid address");
+        _checkValidAddress(_address);
         _;
     }
 
     modifier onlyBusinessOwner(uint256 paymentId) {
-        require(_msgSender() == payments[paymentId].bo, "Only Business Owner can do it");
+        _checkBusinessOwner(paymentId);
         _;
     }
 
     modifier onlyClient(uint256 paymentId) { 
-        require(_msgSender() == payments[paymentId].client, "Only Client can do it");
+        _checkClient(paymentId);
+        _;
+    }
+
+    modifier whenNotPaused() {
+        _checkNotPaused();
+        _;
+    }
+
+    modifier onlyRole(bytes32 role) {
+        _checkRole(role);
         _;
     }
 
     modifier onlyValidPayment(uint256 paymentId) {
-        require(paymentId > 0 && paymentId <= lastPaymentId, "This payment is invalid");
+        _checkValidPayment(paymentId);
         _;
     }
 
     modifier onlyRequestingPayment(uint256 paymentId) {
-        require(payments[paymentId].status == Status.REQUESTING, "This payment needs to be requested");
+        _checkRequestingPayment(paymentId);
+        _;
+    }
+
+    modifier onlyEditablePayment(uint256 paymentId) {
+        _checkEditablePayment(paymentId);
+        _;
+    }
+
+    modifier nonReentrantCall() {
+        _enter();
         _;
+        reentrancyStatus = NOT_ENTERED;
     }
 
     /**
      *  @notice Initialize new logic contract.
+     *
+     *          Name        Meaning 
+     *  @param  _owner      Address that is granted DEFAULT_ADMIN_ROLE
      */
     function initialize(address _owner) public initializer {
-        OwnableUpgradeable.__Ownable_init();
-        transferOwnership(_owner);
+        _grantRole(DEFAULT_ADMIN_ROLE, _owner);
         serviceFeePercent = 15 * WEIGHT_DECIMAL / 10;
     }
 
+    /**
+     *  @notice Move owner of proxy deployed before roles existed into DEFAULT_ADMIN_ROLE
+     *
+     *  @dev    Needs to be called in the same transaction as the upgrade, see scripts/upgrade.js.
+     *          Ownership is renounced afterwards, roles are the only access control left.
+     *          Payments requested before the upgrade are listed afterwards by {listPayments}.
+     */
+    function initializeRoles() external reinitializer(2) {
+        address _owner = owner();
+        if (_owner != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, _owner);
+            _transferOwnership(address(0));
+        }
+    }
+
+    /**
+     *  @notice List payments from `fromPaymentId` to `toPaymentId` that were requested before payments were listed
+     *          by account
+     *
+     *  @dev    Only DEFAULT_ADMIN_ROLE can call this function. Proxies upgraded by {initializeRoles} call it in pages
+     *          of MAX_BATCH_SIZE, see scripts/upgrade.js. Payments that are already listed are skipped.
+     *
+     *          Name            Meaning
+     *  @param  fromPaymentId   ID of the first payment
+     *  @param  toPaymentId     ID of the last payment
+     */
+    function listPayments(uint256 fromPaymentId, uint256 toPaymentId) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _checkValidPayment(fromPaymentId);
+        _checkValidPayment(toPaymentId);
+        for (uint256 paymentId = fromPaymentId; paymentId <= toPaymentId; paymentId++) {
+            address client = payments[paymentId].client;
+            if (!_isClientPayment(client, paymentId)) _listPayment(payments[paymentId].bo, client, paymentId);
+        }
+    }
+
     /** 
-     *  @notice Get amount of payment by payment ID
-     * 
-     *  @dev    Anyone can call this function. 
+     *  @notice Check whether `account` has `role`
      * 
      *          Name        Meaning 
-     *  @param  paymentId   ID of payment that needs to get fee 
+     *  @param  role        Role that needs to be checked
+     *  @param  account     Address of account
      *
      *          Type        Meaning
-     *  @return uint256     Amount of payment by payment ID 
+     *  @return bool        Whether account has role
      */ 
-    function getPaymentAmount(uint256 paymentId) external view returns (uint256) {
-        return payments[paymentId].amount;
+    function hasRole(bytes32 role, address account) public view override returns (bool) {
+        return roleMembers[role][account];
+    }
+
+    /** 
+     *  @notice Get role that grants and revokes `role`, DEFAULT_ADMIN_ROLE for all roles
+     */ 
+    function getRoleAdmin(bytes32) public pure override returns (bytes32) {
+        return DEFAULT_ADMIN_ROLE;
     }
 
     /** 
-     *  @notice Set service fee
+     *  @notice Grant `role` to `account`
      * 
-     *  @dev    Only owner can call this function. 
+     *  @dev    Only DEFAULT_ADMIN_ROLE can call this function. 
      * 
-     *          Name                    Meaning 
-     *  @param  newSeriveFeePercent     New service fee percent that want to be updated
-     *  
-     *  Emit event {ServiceFeePercent}
+     *          Name        Meaning 
+     *  @param  role        Role that needs to be granted
+     *  @param  account     Address of account
+     *
+     *  Emit event {RoleGranted}
      */ 
-    function setServiceFeePercent(uint256 newSeriveFeePercent) external onlyOwner {
-        require(newSeriveFeePercent > 0, "Service fee percentage must be greather than 0");
-        uint256 oldAmount = serviceFeePercent;
-        serviceFeePercent = newSeriveFeePercent * WEIGHT_DECIMAL;
-        emit ServiceFeePercent(oldAmount, newSeriveFeePercent);
+    function grantRole(bytes32 role, address account) external override onlyRole(DEFAULT_ADMIN_ROLE) {
+        _grantRole(role, account);
     }
 
     /** 
-     *  @notice Set Client of payment by payment ID
+     *  @notice Revoke `role` from `account`
      * 
-     *  @dev    Only Business Owner can call this function and payment needs to be initialized. 
+     *  @dev    Only DEFAULT_ADMIN_ROLE can call this function. 
      * 
      *          Name        Meaning 
-     *  @param  paymentId   ID of payment that needs to be updated 
-     *  
-     *  Emit event {SetClient}
+     *  @param  role        Role that needs to be revoked
+     *  @param  account     Address of account
+     *
+     *  Emit event {RoleRevoked}
      */ 
-    function setClient(uint256 paymentId, address newClient) 
-        external 
-        onlyValidPayment(paymentId) 
-        onlyBusinessOwner(paymentId) 
-        onlyRequestingPayment(paymentId) 
-        onlyValidAddress(newClient) 
-    {
-        address oldClient = payments[paymentId].client;
-        payments[paymentId].client = newClient;
-        emit SetClient(oldClient, newClient);
+    function revokeRole(bytes32 role, address account) external override onlyRole(DEFAULT_ADMIN_ROLE) {
+        _revokeRole(role, account);
     }
 
     /** 
-     *  @notice Set encrypt data of payment by payment ID
-     * 
-     *  @dev    Only Business Owner can call this function and payment needs to be initialized. 
+     *  @notice Caller gives up `role`
      * 
      *          Name        Meaning 
-     *  @param  paymentId   ID of payment that needs to be updated 
+     *  @param  role        Role that needs to be renounced
+     *  @param  account     Address of caller, to avoid renouncing by mistake
      *
-     *  Emit event {SetData}
+     *  Emit event {RoleRevoked}
      */ 
-    function setData(uint256 paymentId, bytes32 newData) 
-        external 
-        onlyValidPayment(paymentId) 
-        onlyBusinessOwner(paymentId) 
-        onlyRequestingPayment(paymentId) 
-    {
-        bytes32 oldData = payments[paymentId].data;
-        payments[paymentId].data = newData;
-        emit SetData(oldData, newData);
+    function renounceRole(bytes32 role, address account) external override {
+        require(account == _msgSender(), "Can only renounce roles for self");
+        _revokeRole(role, account);
     }
 
     /** 
-     *  @notice Set amount of payment by payment ID
+     *  @notice Get amount of payment by payment ID
      * 
-     *  @dev    Only Business Owner can call this function and payment needs to be initialized. 
+     *  @dev    Anyone can call this function. 
      * 
      *          Name        Meaning 
-     *  @param  paymentId   ID of payment that needs to be updated 
+     *  @param  paymentId   ID of payment that needs to get fee 
      *
-     *  Emit event {SetAmount}
+     *          Type        Meaning
+     *  @return uint256     Amount of payment by payment ID 
      */ 
-    function setAmount(uint256 paymentId, uint256 newAmount) 
-        external 
-        onlyValidPayment(paymentId) 
-        onlyBusinessOwner(paymentId) 
-        onlyRequestingPayment(paymentId) 
-    {
-        require(newAmount > 0, "Amount must be greater than 0");
-        uint256 oldAmount = payments[paymentId].amount;
-        payments[paymentId].amount = newAmount;
-        emit SetAmount(oldAmount, newAmount);
+    function getPaymentAmount(uint256 paymentId) external view returns (uint256) {
+        return payments[paymentId].amount;
     }
 
     /** 
-     *  @notice Create a payment
+     *  @notice Get milestones of payment by payment ID
      * 
      *  @dev    Anyone can call this function. 
      * 
      *          Name        Meaning 
-     *  @param  client      Address of client 
-     *  @param  data        Encrypt sensitive data
-     *  @param  amount      Payment fee
+     *  @param  paymentId   ID of payment that needs to get milestones 
      *
-     *  Emit event {RequestedPayment}
-     */
-    function requestPayment(address client, bytes32 data, uint256 amount) external onlyValidAddress(client) {
-        require(
-            _msgSender() != client, 
-            "Business Owner and Client can not be same"
-        );
-        lastPaymentId++;
-        payments[lastPaymentId] = Payment(lastPaymentId, _msgSender(), client, data, amount, Status.REQUESTING);
-        emit RequestedPayment(lastPaymentId, _msgSender(), client, data, amount);
+     *          Type        Meaning
+     *  @return Milestone[] Milestones of payment, empty if payment is released all at once 
+     */ 
+    function getMilestones(uint256 paymentId) external view returns (Milestone[] memory) {
+        return milestones[paymentId];
     }
 
     /** 
-     *  @notice Client make payment by payment ID
-     * 
-     *  @dev    Only Client can call this function. 
+     *  @notice Get number of payments requested by Business Owner
      * 
      *          Name        Meaning 
-     *  @param  paymentId   ID of payment that needs to be updated
+     *  @param  bo          Address of Business Owner
      *
-     *  Emit event {Paid}
-     */
-    function pay(uint256 paymentId) 
-        external 
-        payable 
-        onlyValidPayment(paymentId) 
-        onlyClient(paymentId) 
-        nonReentrant 
-    {
-        require(
-            msg.value == payments[paymentId].amount, 
-            "Not enough fee according to payment"
-        );
+     *          Type        Meaning
+     *  @return uint256     Number of payments
+     */ 
+    function getPaymentCountByBusinessOwner(address bo) external view returns (uint256) {
+        return businessOwnerPaymentIds[bo].length;
+    }
 
-        payments[paymentId].status = Status.PAID;
-        emit Paid(paymentId);
+    /** 
+     *  @notice Get number of payments requested to Client
+     * 
+     *          Name        Meaning 
+     *  @param  client      Address of Client
+     *
+     *          Type        Meaning
+     *  @return uint256     Number of payments
+     */ 
+    function getPaymentCountByClient(address client) external view returns (uint256) {
+        return clientPaymentIds[client].length;
     }
 
     /** 
-     *  @notice Client confirm to release money by payment ID
+     *  @notice Get a page of payments requested by Business Owner, in request order
      * 
-     *  @dev    Only Client can call this function. 
+     *  @dev    Anyone can call this function. 
      * 
      *          Name        Meaning 
-     *  @param  paymentId   ID of payment that needs to be updated
+     *  @param  bo          Address of Business Owner
+     *  @param  offset      Number of payments to skip
+     *  @param  limit       Maximum number of payments to return
      *
-     *  Emit event {ConfirmedToRelease}
-     */
-    function confirmToRelease(uint256 paymentId) 
+     *          Type        Meaning
+     *  @return Payment[]   Payments of page, shorter than limit on the last page
+     */ 
+    function getPaymentsByBusinessOwner(address bo, uint256 offset, uint256 limit) 
         external 
-        onlyValidPayment(paymentId) 
-        onlyClient(paymentId) 
+        view 
+        returns (Payment[] memory) 
     {
-        require(payments[paymentId].status == Status.PAID, "This payment needs to paid by client");
-        
-        payments[paymentId].status = Status.CONFIRMED;
-        emit ConfirmedToRelease(paymentId);
+        return _getPayments(businessOwnerPaymentIds[bo], false, Status.REQUESTING, offset, limit);
     }
 
     /** 
-     *  @notice Business Owner claim payment by payment ID
+     *  @notice Get a page of payments requested by Business Owner that are in `status`
      * 
-     *  @dev    Only Business Owner can call this function. 
+     *  @dev    Anyone can call this function. Offset and limit count payments in `status` only.
      * 
      *          Name        Meaning 
-     *  @param  paymentId   ID of payment that needs to be updated
+     *  @param  bo          Address of Business Owner
+     *  @param  status      Status of payments
+     *  @param  offset      Number of matching payments to skip
+     *  @param  limit       Maximum number of payments to return
      *
-     *  Emit event {Claimed}
-     */
-    function claim(uint256 paymentId) 
+     *          Type        Meaning
+     *  @return Payment[]   Payments of page, shorter than limit on the last page
+     */ 
+    function getPaymentsByBusinessOwnerAndStatus(address bo, Status status, uint256 offset, uint256 limit) 
+        external 
+        view 
+        returns (Payment[] memory) 
+    {
+        return _getPayments(businessOwnerPaymentIds[bo], true, status, offset, limit);
+    }
+
+    /** 
+     *  @notice Get a page of payments requested to Client
+     * 
+     *  @dev    Anyone can call this function. Order changes when a payment is moved to another Client.
+     * 
+     *          Name        Meaning 
+     *  @param  client      Address of Client
+     *  @param  offset      Number of payments to skip
+     *  @param  limit       Maximum number of payments to return
+     *
+     *          Type        Meaning
+     *  @return Payment[]   Payments of page, shorter than limit on the last page
+     */ 
+    function getPaymentsByClient(address client, uint256 offset, uint256 limit) 
+        external 
+        view 
+        returns (Payment[] memory) 
+    {
+        return _getPayments(clientPaymentIds[client], false, Status.REQUESTING, offset, limit);
+    }
+
+    /** 
+     *  @notice Get a page of payments requested to Client that are in `status`
+     * 
+     *  @dev    Anyone can call this function. Offset and limit count payments in `status` only.
+     * 
+     *          Name        Meaning 
+     *  @param  client      Address of Client
+     *  @param  status      Status of payments
+     *  @param  offset      Number of matching payments to skip
+     *  @param  limit       Maximum number of payments to return
+     *
+     *          Type        Meaning
+     *  @return Payment[]   Payments of page, shorter than limit on the last page
+     */ 
+    function getPaymentsByClientAndStatus(address client, Status status, uint256 offset, uint256 limit) 
+        external 
+        view 
+        returns (Payment[] memory) 
+    {
+        return _getPayments(clientPaymentIds[client], true, status, offset, limit);
+    }
+
+    /** 
+     *  @notice Get EIP-712 domain separator that invoices are signed with
+     * 
+     *          Type        Meaning
+     *  @return bytes32     Hash of domain with name "CMB", version "1", chain ID and address of proxy
+     */ 
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return keccak256(abi.encode(DOMAIN_TYPEHASH, keccak256("CMB"), keccak256("1"), block.chainid, address(this)));
+    }
+
+    /** 
+     *  @notice Check whether `forwarder` is trusted to relay meta-transactions (ERC-2771)
+     * 
+     *          Name        Meaning 
+     *  @param  forwarder   Address of forwarder
+     *
+     *          Type        Meaning
+     *  @return bool        Whether forwarder is trusted
+     */ 
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
+    }
+
+    /** 
+     *  @notice Get total of service fee by token
+     * 
+     *  @dev    Anyone can call this function. 
+     * 
+     *          Name        Meaning 
+     *  @param  token       Address of token, zero address for native coin 
+     *
+     *          Type        Meaning
+     *  @return uint256     Total of service fee in that token 
+     */ 
+    function getServiceFeeTotal(address token) public view returns (uint256) {
+        return token == address(0) ? serviceFeeTotal : tokenServiceFeeTotal[token];
+    }
+
+    /** 
+     *  @notice Announce service fee, which can be applied by {applyServiceFeePercent} after FEE_CHANGE_DELAY
+     * 
+     *  @dev    Only FEE_MANAGER_ROLE can call this function. Announcing again replaces the pending change.
+     *          Percent is stored multiplied by WEIGHT_DECIMAL, {PendingServiceFeePercent} emits the stored value.
+     * 
+     *          Name                Meaning 
+     *  @param  newServiceFeeBps    New service fee in basis points, at most MAX_SERVICE_FEE_BPS
+     *  
+     *  Emit event {PendingServiceFeePercent}
+     */ 
+    function setServiceFeePercent(uint256 newServiceFeeBps) external onlyRole(FEE_MANAGER_ROLE) {
+        require(newServiceFeeBps > 0, "Service fee percentage must be greather than 0");
+        require(newServiceFeeBps <= MAX_SERVICE_FEE_BPS, "Service fee exceeds cap");
+        uint256 newServiceFeePercent = newServiceFeeBps * BPS_WEIGHT;
+        uint256 effectiveAt = block.timestamp + FEE_CHANGE_DELAY;
+        pendingServiceFeePercent = FeeChange(newServiceFeePercent, effectiveAt);
+        emit PendingServiceFeePercent(_msgSender(), newServiceFeePercent, effectiveAt);
+    }
+
+    /** 
+     *  @notice Apply announced service fee once FEE_CHANGE_DELAY has passed
+     * 
+     *  @dev    Anyone can call this function. Payments requested before keep their fee.
+     *  
+     *  Emit event {ServiceFeePercent}
+     */ 
+    function applyServiceFeePercent() external {
+        uint256 oldServiceFeePercent = serviceFeePercent;
+        serviceFeePercent = _applyFeeChange(pendingServiceFeePercent);
+        emit ServiceFeePercent(_msgSender(), oldServiceFeePercent, serviceFeePercent);
+    }
+
+    /** 
+     *  @notice Set fee schedule that service fee percent of new payments is read from
+     * 
+     *  @dev    Only FEE_MANAGER_ROLE can call this function. Zero address makes new payments use serviceFeePercent.
+     * 
+     *          Name            Meaning 
+     *  @param  _feeSchedule    Address of {IFeeSchedule} contract
+     *  
+     *  Emit event {SetFeeSchedule}
+     */ 
+    function setFeeSchedule(address _feeSchedule) external onlyRole(FEE_MANAGER_ROLE) {
+        _checkContractOrZero(_feeSchedule, "Fee schedule needs to be a contract");
+        address oldFeeSchedule = feeSchedule;
+        feeSchedule = _feeSchedule;
+        emit SetFeeSchedule(_msgSender(), oldFeeSchedule, _feeSchedule);
+    }
+
+    /** 
+     *  @notice Set affiliate rewards that get a cut of service fee when payments are claimed
+     * 
+     *  @dev    Only FEE_MANAGER_ROLE can call this function. Zero address keeps the whole service fee.
+     * 
+     *          Name                Meaning 
+     *  @param  _affiliateRewards   Address of {IAffiliateRewards} contract
+     *  
+     *  Emit event {SetAffiliateRewards}
+     */ 
+    function setAffiliateRewards(address _affiliateRewards) external onlyRole(FEE_MANAGER_ROLE) {
+        _checkContractOrZero(_affiliateRewards, "Affiliate rewards needs to be a contract");
+        address oldAffiliateRewards = affiliateRewards;
+        affiliateRewards = _affiliateRewards;
+        emit SetAffiliateRewards(_msgSender(), oldAffiliateRewards, _affiliateRewards);
+    }
+
+    /** 
+     *  @notice Set policy that Business Owners, Clients and funding receivers are checked against
+     * 
+     *  @dev    Only DEFAULT_ADMIN_ROLE can call this function. Zero address allows any account. Payments already
+     *          requested are not affected.
+     * 
+     *          Name                Meaning 
+     *  @param  _accountPolicy      Address of {IAccountPolicy} contract
+     *  
+     *  Emit event {SetAccountPolicy}
+     */ 
+    function setAccountPolicy(address _accountPolicy) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _checkContractOrZero(_accountPolicy, "Account policy needs to be a contract");
+        address oldAccountPolicy = accountPolicy;
+        accountPolicy = _accountPolicy;
+        emit SetAccountPolicy(_msgSender(), oldAccountPolicy, _accountPolicy);
+    }
+
+    /** 
+     *  @notice Set ERC-2771 forwarder that is trusted to append the original sender to calls
+     * 
+     *  @dev    Only DEFAULT_ADMIN_ROLE can call this function. Zero address disables meta-transactions.
+     * 
+     *          Name            Meaning 
+     *  @param  forwarder       Address of forwarder contract
+     *  
+     *  Emit event {TrustedForwarder}
+     */ 
+    function setTrustedForwarder(address forwarder) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _checkContractOrZero(forwarder, "Forwarder needs to be a contract");
+        address oldForwarder = trustedForwarder;
+        trustedForwarder = forwarder;
+        emit TrustedForwarder(_msgSender(), oldForwarder, forwarder);
+    }
+
+    /** 
+     *  @notice Halt new requests, payments and claims
+     * 
+     *  @dev    Only PAUSER_ROLE can call this function. 
+     *
+     *  Emit event {Paused}
+     */ 
+    function pause() external onlyRole(PAUSER_ROLE) whenNotPaused {
+        paused = true;
+        emit Paused(_msgSender());
+    }
+
+    /** 
+     *  @notice Resume requests, payments and claims
+     * 
+     *  @dev    Only PAUSER_ROLE can call this function. 
+     *
+     *  Emit event {Unpaused}
+     */ 
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        require(paused, "Pausable: not paused");
+        paused = false;
+        emit Unpaused(_msgSender());
+    }
+
+    /** 
+     *  @notice Set Client of payment by payment ID
+     * 
+     *  @dev    Only Business Owner can call this function and payment needs to be initialized. 
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be updated 
+     *  
+     *  Emit event {SetClient}
+     */ 
+    function setClient(uint256 paymentId, address newClient) 
         external 
-        payable 
         onlyValidPayment(paymentId) 
         onlyBusinessOwner(paymentId) 
-        nonReentrant 
+        onlyEditablePayment(paymentId) 
+        onlyValidAddress(newClient) 
     {
-        require(payments[paymentId].status == Status.CONFIRMED, "This payment needs to confirmed by client");
+        address oldClient = payments[paymentId].client;
+        payments[paymentId].client = newClient;
+        delete acceptedPayments[paymentId];
+        _removeClientPayment(oldClient, paymentId);
+        _addClientPayment(newClient, paymentId);
+        emit SetClient(paymentId, _msgSender(), oldClient, newClient);
+    }
 
-        uint256 amount = payments[paymentId].amount;
-        uint256 serviceFee = calculateServiceFee(amount);
-        payments[paymentId].status = Status.CLAIMED;
-        serviceFeeTotal += serviceFee;
-        payable(_msgSender()).transfer(amount - serviceFee);
-        emit Claimed(paymentId);
+    /** 
+     *  @notice Set encrypt data of payment by payment ID
+     * 
+     *  @dev    Only Business Owner can call this function and payment needs to be initialized. 
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be updated 
+     *
+     *  Emit event {SetData}
+     */ 
+    function setData(uint256 paymentId, bytes32 newData) 
+        external 
+        onlyValidPayment(paymentId) 
+        onlyBusinessOwner(paymentId) 
+        onlyEditablePayment(paymentId) 
+    {
+        bytes32 oldData = payments[paymentId].data;
+        payments[paymentId].data = newData;
+        delete acceptedPayments[paymentId];
+        emit SetData(paymentId, _msgSender(), oldData, newData);
+    }
+
+    /** 
+     *  @notice Set amount of payment by payment ID
+     * 
+     *  @dev    Only Business Owner can call this function and payment needs to be initialized. 
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be updated 
+     *
+     *  Emit event {SetAmount}
+     */ 
+    function setAmount(uint256 paymentId, uint256 newAmount) 
+        external 
+        onlyValidPayment(paymentId) 
+        onlyBusinessOwner(paymentId) 
+        onlyEditablePayment(paymentId) 
+    {
+        _checkAmount(newAmount);
+        require(milestones[paymentId].length == 0, "Can not set amount of milestone payment");
+        uint256 oldAmount = payments[paymentId].amount;
+        payments[paymentId].amount = newAmount;
+        delete acceptedPayments[paymentId];
+        _fixServiceFeePercent(paymentId, _msgSender(), payments[paymentId].token, newAmount);
+        emit SetAmount(paymentId, _msgSender(), oldAmount, newAmount);
     }
 
     /** 
-     *  @notice Withdraw `_amount` of service fee to `_fundingReceiver` address
+     *  @notice Create a payment
      * 
-     *  @dev    Only Owner can call this function. 
+     *  @dev    Anyone can call this function. 
      * 
      *          Name                Meaning 
-     *  @param  _amount             Amount of service fee that want to withdraw
-     *  @param  _fundingReceiver    Address that want to transfer
+     *  @param  client              Address of client 
+     *  @param  data                Encrypt sensitive data
+     *  @param  amount              Payment fee
+     *  @param  token               Address of token that payment is settled in, zero address for native coin
+     *  @param  paymentDuration     Duration from now that client can pay, the request expires after that
+     *  @param  releaseDuration     Duration from paying that client can confirm to release money, 
+     *                              Business Owner can claim without confirmation after that
      *
-     *  Emit event {WithdrawnServiceFee}
+     *  Emit event {RequestedPayment}
+     */
+    function requestPayment(
+        address client, 
+        bytes32 data, 
+        uint256 amount, 
+        address token, 
+        uint256 paymentDuration, 
+        uint256 releaseDuration
+    ) 
+        external 
+        whenNotPaused 
+        onlyValidAddress(client) 
+    {
+        _requestPayment(_msgSender(), client, data, amount, token, paymentDuration, releaseDuration);
+    }
+
+    /** 
+     *  @notice Create a payment for each client in one transaction
+     * 
+     *  @dev    Anyone can call this function. Payments are settled in same token with same durations.
+     * 
+     *          Name                Meaning 
+     *  @param  clients             Address of client of each payment
+     *  @param  data                Encrypt sensitive data of each payment
+     *  @param  amounts             Payment fee of each payment
+     *  @param  token               Address of token that payments are settled in, zero address for native coin
+     *  @param  paymentDuration     Duration from now that clients can pay, the requests expire after that
+     *  @param  releaseDuration     Duration from paying that clients can confirm to release money, 
+     *                              Business Owner can claim without confirmation after that
+     *
+     *  Emit event {RequestedPayment} for each payment
+     */
+    function requestPayments(
+        address[] calldata clients, 
+        bytes32[] calldata data, 
+        uint256[] calldata amounts, 
+        address token, 
+        uint256 paymentDuration, 
+        uint256 releaseDuration
+    ) 
+        external 
+        whenNotPaused 
+    {
+        _checkBatchSize(clients.length);
+        require(clients.length == data.length && clients.length == amounts.length, "Lengths do not match");
+        for (uint256 i = 0; i < clients.length; i++) {
+            _checkValidAddress(clients[i]);
+            _requestPayment(_msgSender(), clients[i], data[i], amounts[i], token, paymentDuration, releaseDuration);
+        }
+    }
+
+    /** 
+     *  @notice Create a payment that is escrowed and released by milestones
+     * 
+     *  @dev    Anyone can call this function. Amount of payment is total amount of milestones.
+     * 
+     *          Name                Meaning 
+     *  @param  client              Address of client 
+     *  @param  data                Encrypt sensitive data
+     *  @param  milestoneAmounts    Amount of each milestone
+     *  @param  token               Address of token that payment is settled in, zero address for native coin
+     *  @param  paymentDuration     Duration from now that client can pay, the request expires after that
+     *  @param  releaseDuration     Duration from paying a milestone that client can confirm to release it, 
+     *                              Business Owner can claim it without confirmation after that
+     *
+     *  Emit event {RequestedPayment}
+     */
+    function requestMilestonePayment(
+        address client, 
+        bytes32 data, 
+        uint256[] calldata milestoneAmounts, 
+        address token, 
+        uint256 paymentDuration, 
+        uint256 releaseDuration
+    ) 
+        external 
+        whenNotPaused 
+        onlyValidAddress(client) 
+    {
+        require(
+            milestoneAmounts.length > 0 && milestoneAmounts.length <= MAX_MILESTONES, 
+            "Invalid number of milestones"
+        );
+        uint256 amount;
+        for (uint256 i = 0; i < milestoneAmounts.length; i++) {
+            _checkAmount(milestoneAmounts[i]);
+            amount += milestoneAmounts[i];
+        }
+
+        uint256 paymentId = _requestPayment(
+            _msgSender(), 
+            client, 
+            data, 
+            amount, 
+            token, 
+            paymentDuration, 
+            releaseDuration
+        );
+        for (uint256 i = 0; i < milestoneAmounts.length; i++) {
+            milestones[paymentId].push(Milestone(milestoneAmounts[i], 0, Status.REQUESTING));
+        }
+    }
+
+    /** 
+     *  @notice Client make payment by payment ID
+     * 
+     *  @dev    Only Client can call this function. 
+     *          Token payment is pulled from client by allowance, so client needs to approve amount of payment first.
+     *          All milestones that have not been paid yet are paid up front. Payment that is partly paid by
+     *          {payInstallment} is paid for the rest. Native coin sent over the amount is credited
+     *          to withdrawable balance of Client.
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be updated
+     *
+     *  Emit event {Paid}
      */
-    function withdrawServiceFee(uint256 _amount, address _fundingReceiver) 
+    function pay(uint256 paymentId) 
         external 
         payable 
-        onlyOwner 
-        onlyValidAddress(_fundingReceiver) 
-        nonReentrant
+        whenNotPaused 
+        onlyValidPayment(paymentId) 
+        onlyClient(paymentId) 
+        nonReentrantCall 
     {
-        require(_amount > 0, "Amount must be greater than 0");
-        require(_amount <= serviceFeeTotal, "Not enough to withdraw");
+        _pay(paymentId);
+    }
 
-        serviceFeeTotal -= _amount;
-        payable(_fundingReceiver).transfer(_amount);
-        emit WithdrawnServiceFee(_amount, _fundingReceiver);
+    /** 
+     *  @notice Client pay part of payment by payment ID, payment is paid once installments reach its amount
+     * 
+     *  @dev    Only Client can call this function. Payment needs to be accepted and without milestones.
+     *          Installment is capped at what is left to pay, native coin sent over the installment
+     *          is credited to withdrawable balance of Client.
+     *          Paid installments are refunded by {claimRefund} when payment is cancelled or expires before it is paid.
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be paid
+     *  @param  amount      Amount of installment
+     *
+     *  Emit event {PaidInstallment}, and {Paid} by the last installment
+     */
+    function payInstallment(uint256 paymentId, uint256 amount) 
+        external 
+        payable 
+        whenNotPaused 
+        onlyValidPayment(paymentId) 
+        onlyClient(paymentId) 
+        onlyRequestingPayment(paymentId) 
+        nonReentrantCall 
+    {
+        _checkWithoutMilestones(paymentId);
+        _checkAmount(amount);
+        Payment storage payment = payments[paymentId];
+        uint256 unpaidAmount = payment.amount - payment.paidAmount;
+        _escrow(paymentId, amount < unpaidAmount ? amount : unpaidAmount);
     }
 
     /** 
-     *  @notice Calculate service fee by amount payment
+     *  @notice Client accept terms of requested payment by payment ID, which makes it payable
      * 
-     *  @dev    Service fee equal amount of payment mutiply serviceFeePercent. The actual service fee will be divided by WEIGHT_DECIMAL and 100
+     *  @dev    Only Client can call this function. Reverts if amount or data has been changed from what Client
+     *          expects, so Business Owner can not change the terms between Client reading and accepting them.
+     *          Acceptance is cleared by {setClient}, {setData} and {setAmount}.
      * 
      *          Name                Meaning 
-     *  @param  amount              Amount of service fee that want to withdraw
+     *  @param  paymentId           ID of payment that needs to be accepted
+     *  @param  expectedAmount      Amount of payment that Client agrees to pay
+     *  @param  expectedData        Data of payment that Client agrees to, e.g. commitment to invoice details
+     *
+     *  Emit event {AcceptedRequest}
      */
-    function calculateServiceFee(uint256 amount) public view returns(uint256) {
-        uint256 serviceFee = (amount * serviceFeePercent) / (WEIGHT_DECIMAL * 100);
+    function acceptRequest(uint256 paymentId, uint256 expectedAmount, bytes32 expectedData) 
+        external 
+        onlyValidPayment(paymentId) 
+        onlyClient(paymentId) 
+        onlyRequestingPayment(paymentId) 
+    {
+        Payment storage payment = payments[paymentId];
+        require(payment.amount == expectedAmount && payment.data == expectedData, "Terms of payment have changed");
+        acceptedPayments[paymentId] = true;
+        emit AcceptedRequest(paymentId, _msgSender(), expectedAmount, expectedData);
+    }
 
-        return serviceFee;
+    /** 
+     *  @notice Client make token payment by payment ID with EIP-2612 permit instead of approving
+     * 
+     *  @dev    Only Client can call this function. Token of payment needs to support permit.
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be updated
+     *  @param  deadline    Deadline of permit signature
+     *  @param  v           Recovery byte of permit signature
+     *  @param  r           Half of ECDSA signature pair
+     *  @param  s           Half of ECDSA signature pair
+     *
+     *  Emit event {Paid}
+     */
+    function payWithPermit(uint256 paymentId, uint256 deadline, uint8 v, bytes32 r, bytes32 s) 
+        external 
+        whenNotPaused 
+        onlyValidPayment(paymentId) 
+        onlyClient(paymentId) 
+        nonReentrantCall 
+    {
+        Payment storage payment = payments[paymentId];
+        require(payment.token != address(0), "This payment needs to be paid by token");
+
+        IERC20PermitUpgradeable(payment.token).permit(
+            _msgSender(), 
+            address(this), 
+            payment.amount - payment.paidAmount, 
+            deadline, 
+            v, 
+            r, 
+            s
+        );
+        _pay(paymentId);
+    }
+
+    /** 
+     *  @notice Client create and pay a payment from an invoice signed by Business Owner
+     * 
+     *  @dev    Only Client of invoice can call this function. Signer of invoice becomes Business Owner.
+     *          Each nonce of Business Owner can be used once, payment deadline of created payment is expiry of invoice.
+     * 
+     *          Name        Meaning 
+     *  @param  invoice     Invoice signed by Business Owner
+     *  @param  v           Recovery byte of invoice signature
+     *  @param  r           Half of ECDSA signature pair
+     *  @param  s           Half of ECDSA signature pair
+     *
+     *  Emit event {RequestedPayment}, {Paid}
+     */
+    function payWithSignature(Invoice calldata invoice, uint8 v, bytes32 r, bytes32 s) 
+        external 
+        payable 
+        whenNotPaused 
+        onlyValidAddress(invoice.client) 
+        nonReentrantCall 
+    {
+        require(block.timestamp < invoice.expiry, "Signature has expired");
+        _checkCallerIsClient(invoice.client);
+        bytes32 digest = keccak256(
+            abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), keccak256(abi.encode(INVOICE_TYPEHASH, invoice)))
+        );
+        address bo = ecrecover(digest, v, r, s);
+        require(bo != address(0), "Invalid signature");
+        _useInvoiceNonce(bo, invoice.nonce);
+
+        uint256 paymentId = _requestPayment(
+            bo, 
+            invoice.client, 
+            invoice.data, 
+            invoice.amount, 
+            invoice.token, 
+            invoice.expiry - block.timestamp, 
+            invoice.releaseDuration
+        );
+        acceptedPayments[paymentId] = true;
+        _pay(paymentId);
+    }
+
+    /** 
+     *  @notice Business Owner cancel an invoice that has been signed but not paid
+     * 
+     *          Name        Meaning 
+     *  @param  nonce       Nonce of invoice
+     *
+     *  Emit event {CancelledInvoice}
+     */
+    function cancelInvoice(uint256 nonce) external {
+        _useInvoiceNonce(_msgSender(), nonce);
+        emit CancelledInvoice(_msgSender(), nonce);
+    }
+
+    /** 
+     *  @notice Client pay a milestone of payment by payment ID and milestone index
+     * 
+     *  @dev    Only Client can call this function. 
+     *          Token payment is pulled from client by allowance, so client needs to approve amount of milestone first.
+     * 
+     *          Name            Meaning 
+     *  @param  paymentId       ID of payment that needs to be updated
+     *  @param  milestoneIndex  Index of milestone that needs to be paid
+     *
+     *  Emit event {PaidMilestone}, {Paid}
+     */
+    function payMilestone(uint256 paymentId, uint256 milestoneIndex) 
+        external 
+        payable 
+        whenNotPaused 
+        onlyValidPayment(paymentId) 
+        onlyClient(paymentId) 
+        nonReentrantCall 
+    {
+        _checkPayableMilestones(paymentId);
+        require(_milestone(paymentId, milestoneIndex).status == Status.REQUESTING, "This milestone has been paid");
+
+        _escrow(paymentId, _fundMilestone(paymentId, milestoneIndex));
+    }
+
+    /** 
+     *  @notice Client confirm to release money by payment ID
+     * 
+     *  @dev    Only Client can call this function. Milestone payment needs to be confirmed by {confirmMilestone}.
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be updated
+     *
+     *  Emit event {ConfirmedToRelease}
+     */
+    function confirmToRelease(uint256 paymentId) 
+        external 
+        onlyValidPayment(paymentId) 
+        onlyClient(paymentId) 
+    {
+        _checkPaid(paymentId);
+        _checkWithoutMilestones(paymentId);
+        
+        payments[paymentId].status = Status.CONFIRMED;
+        emit ConfirmedToRelease(paymentId);
+    }
+
+    /** 
+     *  @notice Business Owner claim payment by payment ID
+     * 
+     *  @dev    Only Business Owner can call this function. 
+     *          Payment can be claimed without confirmation of client once release deadline has passed 
+     *          and no dispute was raised.
+     *          Milestone payment needs to be claimed by {claimMilestone}.
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be updated
+     *
+     *  Emit event {Claimed}
+     */
+    function claim(uint256 paymentId) external payable whenNotPaused nonReentrantCall {
+        (address token, uint256 amount) = _claim(paymentId);
+        _transferOut(token, _msgSender(), amount);
+    }
+
+    /** 
+     *  @notice Business Owner claim many payments in one transaction
+     * 
+     *  @dev    Only Business Owner of all payments can call this function. 
+     *          Payments need to be settled in same token, their net amount is sent in a single transfer.
+     * 
+     *          Name        Meaning 
+     *  @param  paymentIds  IDs of payments that need to be claimed
+     *
+     *  Emit event {Claimed} for each payment
+     */
+    function claimMany(uint256[] calldata paymentIds) external whenNotPaused nonReentrantCall {
+        _checkBatchSize(paymentIds.length);
+        (address token, uint256 total) = _claim(paymentIds[0]);
+        for (uint256 i = 1; i < paymentIds.length; i++) {
+            (address paymentToken, uint256 amount) = _claim(paymentIds[i]);
+            require(paymentToken == token, "Payments need to be settled in same token");
+            total += amount;
+        }
+        _transferOut(token, _msgSender(), total);
+    }
+
+    /** 
+     *  @notice Client confirm to release money of a milestone by payment ID and milestone index
+     * 
+     *  @dev    Only Client can call this function. 
+     * 
+     *          Name            Meaning 
+     *  @param  paymentId       ID of payment that needs to be updated
+     *  @param  milestoneIndex  Index of milestone that needs to be confirmed
+     *
+     *  Emit event {ConfirmedMilestone}
+     */
+    function confirmMilestone(uint256 paymentId, uint256 milestoneIndex) 
+        external 
+        onlyValidPayment(paymentId) 
+        onlyClient(paymentId) 
+    {
+        _checkPaid(paymentId);
+        Milestone storage milestone = _milestone(paymentId, milestoneIndex);
+        require(milestone.status == Status.PAID, "This milestone needs to paid by client");
+
+        milestone.status = Status.CONFIRMED;
+        emit ConfirmedMilestone(paymentId, milestoneIndex);
+    }
+
+    /** 
+     *  @notice Business Owner claim a milestone of payment by payment ID and milestone index
+     * 
+     *  @dev    Only Business Owner can call this function. 
+     *          Milestone can be claimed without confirmation of client once its release deadline has passed 
+     *          and no dispute was raised.
+     * 
+     *          Name            Meaning 
+     *  @param  paymentId       ID of payment that needs to be updated
+     *  @param  milestoneIndex  Index of milestone that needs to be claimed
+     *
+     *  Emit event {ClaimedMilestone}, {Claimed} after the last milestone is claimed
+     */
+    function claimMilestone(uint256 paymentId, uint256 milestoneIndex) 
+        external 
+        whenNotPaused 
+        onlyValidPayment(paymentId) 
+        onlyBusinessOwner(paymentId) 
+        nonReentrantCall 
+    {
+        Payment storage payment = payments[paymentId];
+        _checkPaid(paymentId);
+        Milestone storage milestone = _milestone(paymentId, milestoneIndex);
+        require(
+            milestone.status == Status.CONFIRMED || 
+            (milestone.status == Status.PAID && block.timestamp > milestone.releaseDeadline), 
+            "This milestone needs to confirmed by client"
+        );
+
+        milestone.status = Status.CLAIMED;
+        _transferOut(payment.token, _msgSender(), _chargeServiceFee(paymentId, milestone.amount));
+        emit ClaimedMilestone(paymentId, milestoneIndex);
+
+        Milestone[] storage paymentMilestones = milestones[paymentId];
+        for (uint256 i = 0; i < paymentMilestones.length; i++) {
+            if (paymentMilestones[i].status != Status.CLAIMED) return;
+        }
+        payment.status = Status.CLAIMED;
+        emit Claimed(paymentId);
+    }
+
+    /** 
+     *  @notice Business Owner cancel payment by payment ID
+     * 
+     *  @dev    Only Business Owner can call this function. 
+     *          A paid payment can also be cancelled, then Client claims back escrowed money by {claimRefund}.
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be cancelled
+     *
+     *  Emit event {Cancelled}
+     */
+    function cancelPayment(uint256 paymentId) 
+        external 
+        onlyValidPayment(paymentId) 
+        onlyBusinessOwner(paymentId) 
+    {
+        Status status = payments[paymentId].status;
+        require(
+            status == Status.REQUESTING || status == Status.PAID, 
+            "This payment can not be cancelled"
+        );
+
+        payments[paymentId].status = Status.CANCELLED;
+        emit Cancelled(paymentId);
+    }
+
+    /** 
+     *  @notice Business Owner refund escrowed money of a paid payment to Client by payment ID
+     * 
+     *  @dev    Only Business Owner can call this function. 
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be refunded
+     *
+     *  Emit event {Refunded}
+     */
+    function refund(uint256 paymentId) 
+        external 
+        onlyValidPayment(paymentId) 
+        onlyBusinessOwner(paymentId) 
+        nonReentrantCall 
+    {
+        _checkPaid(paymentId);
+
+        _refund(paymentId);
+    }
+
+    /** 
+     *  @notice Client claim back escrowed money of a cancelled payment by payment ID
+     * 
+     *  @dev    Only Client can call this function. Installments of a payment that expired before it was paid
+     *          can be claimed back without cancelling.
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be refunded
+     *
+     *  Emit event {Refunded}
+     */
+    function claimRefund(uint256 paymentId) 
+        external 
+        onlyValidPayment(paymentId) 
+        onlyClient(paymentId) 
+        nonReentrantCall 
+    {
+        Payment storage payment = payments[paymentId];
+        require(
+            payment.status == Status.CANCELLED || 
+                (payment.status == Status.REQUESTING && block.timestamp > payment.paymentDeadline), 
+            "This payment needs to be cancelled"
+        );
+
+        _refund(paymentId);
+    }
+
+    /** 
+     *  @notice Business Owner or Client raise a dispute on a paid payment by payment ID
+     * 
+     *  @dev    Only Business Owner or Client can call this function. 
+     *          Money is locked until Arbiter resolves the dispute.
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be disputed
+     *
+     *  Emit event {Disputed}
+     */
+    function raiseDispute(uint256 paymentId) external onlyValidPayment(paymentId) {
+        Payment storage payment = payments[paymentId];
+        require(
+            _msgSender() == payment.bo || _msgSender() == payment.client, 
+            "Only Business Owner or Client can do it"
+        );
+        _checkPaid(paymentId);
+
+        payment.status = Status.DISPUTED;
+        emit Disputed(paymentId, _msgSender());
+    }
+
+    /** 
+     *  @notice Arbiter resolve a disputed payment by splitting escrowed money between Business Owner and Client
+     * 
+     *  @dev    Only ARBITER_ROLE can call this function. Service fee is only charged on part of Business Owner.
+     *          Milestones that have been claimed are not escrowed anymore.
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be resolved
+     *  @param  boAmount    Amount of escrowed money that is released to Business Owner, the rest is returned to Client
+     *
+     *  Emit event {ResolvedDispute}
+     */
+    function resolveDispute(uint256 paymentId, uint256 boAmount) 
+        external 
+        onlyValidPayment(paymentId) 
+        onlyRole(ARBITER_ROLE) 
+        nonReentrantCall 
+    {
+        Payment storage payment = payments[paymentId];
+        require(payment.status == Status.DISPUTED, "This payment needs to be disputed");
+        uint256 escrowedAmount = _escrowedAmount(paymentId);
+        require(boAmount <= escrowedAmount, "Amount exceeds payment amount");
+
+        uint256 clientAmount = escrowedAmount - boAmount;
+        payment.status = Status.RESOLVED;
+        uint256 boNetAmount = _chargeServiceFee(paymentId, boAmount);
+        if (boAmount > 0) {
+            _transferOut(payment.token, payment.bo, boNetAmount);
+        }
+        if (clientAmount > 0) {
+            _transferOut(payment.token, payment.client, clientAmount);
+        }
+        emit ResolvedDispute(paymentId, boAmount, clientAmount);
+    }
+
+    /** 
+     *  @notice Withdraw `_amount` of service fee in `_token` to `_fundingReceiver` address
+     * 
+     *  @dev    Only TREASURER_ROLE can call this function. Native coin is credited to withdrawable balance of
+     *          `_fundingReceiver`, which can be a contract such as {FeeSplitter}
+     * 
+     *          Name                Meaning 
+     *  @param  _token              Token of service fee that want to withdraw, zero address for native coin
+     *  @param  _amount             Amount of service fee that want to withdraw
+     *  @param  _fundingReceiver    Address that want to transfer
+     *
+     *  Emit event {WithdrawnServiceFee}
+     */
+    function withdrawServiceFee(address _token, uint256 _amount, address _fundingReceiver) 
+        external 
+        payable 
+        onlyRole(TREASURER_ROLE) 
+        nonReentrantCall
+    {
+        _checkValidAddress(_fundingReceiver);
+        _checkAmount(_amount);
+        require(_amount <= getServiceFeeTotal(_token), "Not enough to withdraw");
+
+        if (_token == address(0)) {
+            serviceFeeTotal -= _amount;
+        } else {
+            tokenServiceFeeTotal[_token] -= _amount;
+        }
+        _transferOut(_token, _fundingReceiver, _amount);
+        emit WithdrawnServiceFee(_token, _amount, _fundingReceiver);
+    }
+
+    /** 
+     *  @notice Withdraw native coin released to caller by claims, refunds, resolved disputes, service fee withdrawals
+     *          and overpayments
+     * 
+     *  @dev    Anyone can call this function, also while paused. The whole balance is sent with all remaining gas,
+     *          so smart-contract wallets can receive it.
+     *
+     *  Emit event {Withdrawn}
+     */
+    function withdraw() external nonReentrantCall {
+        address account = _msgSender();
+        uint256 amount = withdrawableBalances[account];
+        require(amount > 0, "Nothing to withdraw");
+
+        withdrawableBalances[account] = 0;
+        (bool success, ) = account.call{value: amount}("");
+        require(success, "Transfer failed");
+        emit Withdrawn(account, amount);
+    }
+
+    /** 
+     *  @notice Calculate service fee by amount payment
+     * 
+     *  @dev    Service fee equal amount of payment mutiply serviceFeePercent. The actual service fee will be divided by WEIGHT_DECIMAL and 100
+     * 
+     *          Name                Meaning 
+     *  @param  amount              Amount of service fee that want to withdraw
+     */
+    function calculateServiceFee(uint256 amount) public view returns(uint256) {
+        uint256 serviceFee = (amount * serviceFeePercent) / (WEIGHT_DECIMAL * 100);
+
+        return serviceFee;
+    }
+
+    /** 
+     *  @notice Get service fee percent that a payment requested now by `bo` for `amount` of `token` is fixed at
+     * 
+     *          Name        Meaning 
+     *  @param  bo          Address of Business Owner
+     *  @param  token       Token of payment, zero address for native coin
+     *  @param  amount      Amount of payment
+     *
+     *          Type        Meaning
+     *  @return uint256     Percent multiplied by WEIGHT_DECIMAL, from fee schedule or serviceFeePercent
+     */
+    function getServiceFeePercent(address bo, address token, uint256 amount) public view returns (uint256) {
+        if (feeSchedule == address(0)) return serviceFeePercent;
+
+        return IFeeSchedule(feeSchedule).getServiceFeePercent(bo, token, amount, serviceFeePercent);
+    }
+
+    /** 
+     *  @notice Preview service fee of a payment requested now by `bo` for `amount` of `token`
+     * 
+     *          Name        Meaning 
+     *  @param  bo          Address of Business Owner
+     *  @param  token       Token of payment, zero address for native coin
+     *  @param  amount      Amount of payment
+     *
+     *          Type        Meaning
+     *  @return uint256     Service fee that is charged when payment is claimed
+     */
+    function previewServiceFee(address bo, address token, uint256 amount) external view returns (uint256) {
+        return (amount * getServiceFeePercent(bo, token, amount)) / (WEIGHT_DECIMAL * 100);
+    }
+
+    /** 
+     *  @notice Original sender of a call relayed by trusted forwarder is the last 20 bytes of calldata (ERC-2771)
+     */
+    function _msgSender() internal view override returns (address sender) {
+        if (isTrustedForwarder(msg.sender)) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            return super._msgSender();
+        }
+    }
+
+    /** 
+     *  @notice Calldata of a call relayed by trusted forwarder without the appended sender (ERC-2771)
+     */
+    function _msgData() internal view override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender)) {
+            return msg.data[:msg.data.length - 20];
+        } else {
+            return super._msgData();
+        }
+    }
+
+    /** 
+     *  @notice Create a payment
+     * 
+     *          Name                Meaning 
+     *  @param  bo                  Address of Business Owner
+     *  @param  client              Address of client 
+     *  @param  data                Encrypt sensitive data
+     *  @param  amount              Payment fee
+     *  @param  token               Address of token that payment is settled in, zero address for native coin
+     *  @param  paymentDuration     Duration from now that client can pay
+     *  @param  releaseDuration     Duration from paying that client can confirm to release money
+     *
+     *          Type        Meaning
+     *  @return uint256     ID of created payment 
+     */
+    function _requestPayment(
+        address bo, 
+        address client, 
+        bytes32 data, 
+        uint256 amount, 
+        address token, 
+        uint256 paymentDuration, 
+        uint256 releaseDuration
+    ) 
+        private 
+        returns (uint256) 
+    {
+        require(
+            bo != client, 
+            "Business Owner and Client can not be same"
+        );
+        _checkValidAddress(bo);
+        _checkContractOrZero(token, "Invalid token");
+        require(paymentDuration > 0 && releaseDuration > 0, "Duration must be greater than 0");
+        lastPaymentId++;
+        payments[lastPaymentId] = Payment(
+            lastPaymentId, 
+            bo, 
+            client, 
+            data, 
+            amount, 
+            Status.REQUESTING, 
+            token, 
+            0, 
+            block.timestamp + paymentDuration, 
+            releaseDuration, 
+            0
+        );
+        _fixServiceFeePercent(lastPaymentId, bo, token, amount);
+        _listPayment(bo, client, lastPaymentId);
+        emit RequestedPayment(lastPaymentId, bo, client, data, amount, token);
+
+        return lastPaymentId;
+    }
+
+    /** 
+     *  @notice Pay all money of payment, or all milestones that have not been paid yet
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be paid
+     */
+    function _pay(uint256 paymentId) private {
+        Payment storage payment = payments[paymentId];
+        Milestone[] storage paymentMilestones = milestones[paymentId];
+        if (paymentMilestones.length == 0) {
+            _checkRequestingPayment(paymentId);
+            _escrow(paymentId, payment.amount - payment.paidAmount);
+            return;
+        }
+
+        _checkPayableMilestones(paymentId);
+        uint256 amount;
+        for (uint256 i = 0; i < paymentMilestones.length; i++) {
+            if (paymentMilestones[i].status == Status.REQUESTING) {
+                amount += _fundMilestone(paymentId, i);
+            }
+        }
+        require(amount > 0, "This payment has been paid");
+        _escrow(paymentId, amount);
+    }
+
+    /** 
+     *  @notice Mark a milestone as paid and start its release deadline
+     * 
+     *          Name            Meaning 
+     *  @param  paymentId       ID of payment that needs to be paid
+     *  @param  milestoneIndex  Index of milestone that needs to be paid
+     *
+     *          Type        Meaning
+     *  @return uint256     Amount of milestone 
+     */
+    function _fundMilestone(uint256 paymentId, uint256 milestoneIndex) private returns (uint256) {
+        Milestone storage milestone = milestones[paymentId][milestoneIndex];
+        milestone.status = Status.PAID;
+        milestone.releaseDeadline = block.timestamp + payments[paymentId].releaseDuration;
+        emit PaidMilestone(paymentId, milestoneIndex);
+
+        return milestone.amount;
+    }
+
+    /** 
+     *  @notice Escrow `amount` of money of payment from client
+     * 
+     *  @dev    Native coin needs to be sent along with transaction, what is sent over `amount` is credited
+     *          to withdrawable balance of sender.
+     *          Token is pulled from client by allowance. Payment without milestones is paid once `amount` of
+     *          installments reach its amount.
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be paid
+     *  @param  amount      Amount that needs to be escrowed
+     */
+    function _escrow(uint256 paymentId, uint256 amount) private {
+        Payment storage payment = payments[paymentId];
+        require(
+            payment.status != Status.REQUESTING || block.timestamp <= payment.paymentDeadline, 
+            "This payment has expired"
+        );
+        require(payment.status != Status.REQUESTING || acceptedPayments[paymentId], "Client has not accepted payment");
+        if (payment.token == address(0)) {
+            require(msg.value >= amount, "Not enough fee according to payment");
+        } else {
+            require(msg.value == 0, "Can not pay native coin for token payment");
+            IERC20Upgradeable(payment.token).safeTransferFrom(_msgSender(), address(this), amount);
+        }
+
+        payment.paidAmount += amount;
+        bool withoutMilestones = milestones[paymentId].length == 0;
+        if (withoutMilestones && payment.paidAmount < payment.amount) {
+            emit PaidInstallment(paymentId, amount, payment.paidAmount);
+        } else {
+            if (withoutMilestones) payment.releaseDeadline = block.timestamp + payment.releaseDuration;
+            payment.status = Status.PAID;
+            emit Paid(paymentId);
+        }
+        if (msg.value > amount) withdrawableBalances[_msgSender()] += msg.value - amount;
+    }
+
+    /** 
+     *  @notice Return all escrowed money of payment to Client
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be refunded
+     */
+    function _refund(uint256 paymentId) private {
+        Payment storage payment = payments[paymentId];
+        uint256 refundAmount = _escrowedAmount(paymentId);
+        require(refundAmount > 0, "Nothing to refund");
+
+        payment.status = Status.REFUNDED;
+        _transferOut(payment.token, payment.client, refundAmount);
+        emit Refunded(paymentId, refundAmount);
+    }
+
+    /** 
+     *  @notice Get milestone of payment by payment ID and milestone index
+     * 
+     *          Name            Meaning 
+     *  @param  paymentId       ID of payment
+     *  @param  milestoneIndex  Index of milestone
+     *
+     *          Type        Meaning
+     *  @return Milestone   Milestone in storage 
+     */
+    function _milestone(uint256 paymentId, uint256 milestoneIndex) private view returns (Milestone storage) {
+        require(milestoneIndex < milestones[paymentId].length, "This milestone is invalid");
+        return milestones[paymentId][milestoneIndex];
+    }
+
+    /** 
+     *  @notice Get amount of payment that is still escrowed in contract
+     * 
+     *  @dev    Escrowed amount of milestone payment is total amount of milestones that are paid but not claimed.
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment
+     *
+     *          Type        Meaning
+     *  @return uint256     Escrowed amount of payment 
+     */
+    function _escrowedAmount(uint256 paymentId) private view returns (uint256) {
+        Milestone[] storage paymentMilestones = milestones[paymentId];
+        if (paymentMilestones.length == 0) return payments[paymentId].paidAmount;
+
+        uint256 escrowedAmount;
+        for (uint256 i = 0; i < paymentMilestones.length; i++) {
+            Status status = paymentMilestones[i].status;
+            if (status == Status.PAID || status == Status.CONFIRMED) {
+                escrowedAmount += paymentMilestones[i].amount;
+            }
+        }
+
+        return escrowedAmount;
+    }
+
+    /** 
+     *  @notice Mark payment as claimed and charge service fee
+     * 
+     *  @dev    Caller needs to transfer the returned amount to Business Owner.
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that needs to be claimed
+     *
+     *          Type        Meaning
+     *  @return address     Address of token of payment, zero address for native coin
+     *  @return uint256     Amount of payment after service fee
+     */
+    function _claim(uint256 paymentId) private returns (address, uint256) {
+        _checkValidPayment(paymentId);
+        _checkBusinessOwner(paymentId);
+        Payment storage payment = payments[paymentId];
+        require(
+            payment.status == Status.CONFIRMED || 
+            (payment.status == Status.PAID && block.timestamp > payment.releaseDeadline), 
+            "This payment needs to confirmed by client"
+        );
+        _checkWithoutMilestones(paymentId);
+
+        payment.status = Status.CLAIMED;
+        uint256 netAmount = _chargeServiceFee(paymentId, payment.amount);
+        emit Claimed(paymentId);
+
+        return (payment.token, netAmount);
+    }
+
+    /** 
+     *  @notice Fix service fee percent of payment requested by `bo` for `amount` of `token` at the current one
+     */
+    function _fixServiceFeePercent(uint256 paymentId, address bo, address token, uint256 amount) private {
+        paymentServiceFeePercents[paymentId] = getServiceFeePercent(bo, token, amount);
+        fixedServiceFees[paymentId] = true;
+    }
+
+    /** 
+     *  @notice Value of an announced fee change that has become effective, the change is cleared
+     */
+    function _applyFeeChange(FeeChange storage change) private returns (uint256 value) {
+        require(change.effectiveAt > 0, "No pending fee change");
+        require(block.timestamp >= change.effectiveAt, "Fee change is not effective yet");
+        value = change.value;
+        change.value = 0;
+        change.effectiveAt = 0;
+    }
+
+    /** 
+     *  @notice Revert if batch is empty or larger than MAX_BATCH_SIZE
+     */
+    function _checkBatchSize(uint256 size) private pure {
+        require(size > 0 && size <= MAX_BATCH_SIZE, "Invalid batch size");
+    }
+
+    /** 
+     *  @notice Mark `nonce` of invoices signed by `bo` as used, revert if it was used or cancelled before
+     */
+    function _useInvoiceNonce(address bo, uint256 nonce) private {
+        require(!usedInvoiceNonces[bo][nonce], "Signature has been used");
+        usedInvoiceNonces[bo][nonce] = true;
+    }
+
+    /** 
+     *  @notice Revert if amount is zero
+     */
+    function _checkAmount(uint256 amount) private pure {
+        require(amount > 0, "Amount must be greater than 0");
+    }
+
+    /** 
+     *  @notice Grant `role` to `account` if it does not have it yet
+     */
+    function _grantRole(bytes32 role, address account) private {
+        if (!hasRole(role, account)) {
+            roleMembers[role][account] = true;
+            emit RoleGranted(role, account, _msgSender());
+        }
+    }
+
+    /** 
+     *  @notice Revoke `role` from `account` if it has it
+     */
+    function _revokeRole(bytes32 role, address account) private {
+        if (hasRole(role, account)) {
+            roleMembers[role][account] = false;
+            emit RoleRevoked(role, account, _msgSender());
+        }
+    }
+
+    /** 
+     *  @notice Revert if a {nonReentrantCall} function is running, otherwise mark it as running
+     */
+    function _enter() private {
+        require(reentrancyStatus != ENTERED, "ReentrancyGuard: reentrant call");
+        reentrancyStatus = ENTERED;
+    }
+
+    /** 
+     *  @notice Revert if contract is paused
+     */
+    function _checkNotPaused() private view {
+        require(!paused, "Pausable: paused");
+    }
+
+    /** 
+     *  @notice Revert if `_address` is zero or not allowed by accountPolicy, contract wallets are allowed
+     */
+    function _checkValidAddress(address _address) private view {
+        require(_address != address(0), "Invalid address");
+        address policy = accountPolicy;
+        require(policy == address(0) || IAccountPolicy(policy).isAllowed(_address), "Account is not allowed");
+    }
+
+    /** 
+     *  @notice Revert if milestones of payment can not be paid, they can until payment is released or cancelled
+     */
+    function _checkPayableMilestones(uint256 paymentId) private view {
+        Status status = payments[paymentId].status;
+        require(status == Status.REQUESTING || status == Status.PAID, "This payment can not be paid");
+    }
+
+    /** 
+     *  @notice Revert if payment is not paid by client
+     */
+    function _checkPaid(uint256 paymentId) private view {
+        require(payments[paymentId].status == Status.PAID, "This payment needs to paid by client");
+    }
+
+    /** 
+     *  @notice Revert if payment is released by milestones
+     */
+    function _checkWithoutMilestones(uint256 paymentId) private view {
+        require(milestones[paymentId].length == 0, "This payment needs to be released by milestone");
+    }
+
+    /** 
+     *  @notice Revert if caller is not Business Owner of payment
+     */
+    function _checkBusinessOwner(uint256 paymentId) private view {
+        require(_msgSender() == payments[paymentId].bo, "Only Business Owner can do it");
+    }
+
+    /** 
+     *  @notice Revert if caller is not Client of payment
+     */
+    function _checkClient(uint256 paymentId) private view {
+        _checkCallerIsClient(payments[paymentId].client);
+    }
+
+    /** 
+     *  @notice Revert if caller is not `client`
+     */
+    function _checkCallerIsClient(address client) private view {
+        require(_msgSender() == client, "Only Client can do it");
+    }
+
+    /** 
+     *  @notice Revert if caller does not have `role`
+     */
+    function _checkRole(bytes32 role) private view {
+        require(hasRole(role, _msgSender()), "Caller is missing role");
+    }
+
+    /** 
+     *  @notice Revert if payment is not waiting to be paid
+     */
+    function _checkRequestingPayment(uint256 paymentId) private view {
+        require(payments[paymentId].status == Status.REQUESTING, "This payment needs to be requested");
+    }
+
+    /** 
+     *  @notice Revert if payment is not waiting to be paid or has installments paid
+     */
+    function _checkEditablePayment(uint256 paymentId) private view {
+        _checkRequestingPayment(paymentId);
+        require(payments[paymentId].paidAmount == 0, "This payment is partly paid");
+    }
+
+    /** 
+     *  @notice Revert if payment does not exist
+     */
+    function _checkValidPayment(uint256 paymentId) private view {
+        require(paymentId > 0 && paymentId <= lastPaymentId, "This payment is invalid");
+    }
+
+    /** 
+     *  @notice Revert with `message` unless `_address` is a contract or zero address
+     */
+    function _checkContractOrZero(address _address, string memory message) private view {
+        require(_address == address(0) || AddressUpgradeable.isContract(_address), message);
+    }
+
+    /** 
+     *  @notice Add payment to lists of payments of its Business Owner and Client
+     * 
+     *          Name        Meaning 
+     *  @param  bo          Address of Business Owner
+     *  @param  client      Address of Client
+     *  @param  paymentId   ID of payment
+     */
+    function _listPayment(address bo, address client, uint256 paymentId) private {
+        businessOwnerPaymentIds[bo].push(paymentId);
+        _addClientPayment(client, paymentId);
+    }
+
+    /** 
+     *  @notice Add payment to list of payments of Client
+     * 
+     *          Name        Meaning 
+     *  @param  client      Address of Client
+     *  @param  paymentId   ID of payment
+     */
+    function _addClientPayment(address client, uint256 paymentId) private {
+        clientPaymentIndex[paymentId] = clientPaymentIds[client].length;
+        clientPaymentIds[client].push(paymentId);
+    }
+
+    /** 
+     *  @notice Check whether payment is in list of payments of Client
+     * 
+     *          Name        Meaning 
+     *  @param  client      Address of Client
+     *  @param  paymentId   ID of payment
+     *
+     *          Type        Meaning
+     *  @return bool        Whether payment is listed
+     */
+    function _isClientPayment(address client, uint256 paymentId) private view returns (bool) {
+        uint256[] storage paymentIds = clientPaymentIds[client];
+        uint256 index = clientPaymentIndex[paymentId];
+        return index < paymentIds.length && paymentIds[index] == paymentId;
+    }
+
+    /** 
+     *  @notice Remove payment from list of payments of Client by moving the last payment into its place
+     * 
+     *  @dev    Payments requested before payments were listed by account are listed by {listPayments}.
+     * 
+     *          Name        Meaning 
+     *  @param  client      Address of Client
+     *  @param  paymentId   ID of payment
+     */
+    function _removeClientPayment(address client, uint256 paymentId) private {
+        require(_isClientPayment(client, paymentId), "This payment is not listed");
+        uint256[] storage paymentIds = clientPaymentIds[client];
+        uint256 index = clientPaymentIndex[paymentId];
+        uint256 lastId = paymentIds[paymentIds.length - 1];
+        paymentIds[index] = lastId;
+        clientPaymentIndex[lastId] = index;
+        paymentIds.pop();
+    }
+
+    /** 
+     *  @notice Get a page of payments from a list of payment IDs
+     * 
+     *          Name        Meaning 
+     *  @param  paymentIds  IDs of payments to page through
+     *  @param  filtered    Whether only payments in `status` are returned
+     *  @param  status      Status of payments, ignored if not filtered
+     *  @param  offset      Number of matching payments to skip
+     *  @param  limit       Maximum number of payments to return
+     *
+     *          Type        Meaning
+     *  @return Payment[]   Matching payments from `offset`, at most `limit` of them
+     */
+    function _getPayments(
+        uint256[] storage paymentIds, 
+        bool filtered, 
+        Status status, 
+        uint256 offset, 
+        uint256 limit
+    ) 
+        private 
+        view 
+        returns (Payment[] memory) 
+    {
+        uint256 matched;
+        uint256 count;
+        for (uint256 i = 0; i < paymentIds.length && count < limit; i++) {
+            if (filtered && payments[paymentIds[i]].status != status) continue;
+            if (matched++ >= offset) count++;
+        }
+
+        Payment[] memory page = new Payment[](count);
+        matched = 0;
+        count = 0;
+        for (uint256 i = 0; i < paymentIds.length && count < page.length; i++) {
+            Payment storage payment = payments[paymentIds[i]];
+            if (filtered && payment.status != status) continue;
+            if (matched++ >= offset) page[count++] = payment;
+        }
+
+        return page;
+    }
+
+    /** 
+     *  @notice Charge service fee of `amount` released from payment at the percent fixed when it was requested,
+     *          and add it to total of service fee in token of payment, less the reward of the affiliate of Business Owner
+     * 
+     *          Name        Meaning 
+     *  @param  paymentId   ID of payment that service fee is charged from
+     *  @param  amount      Amount released from payment
+     *
+     *          Type        Meaning
+     *  @return uint256     Amount released after service fee
+     */
+    function _chargeServiceFee(uint256 paymentId, uint256 amount) private returns (uint256) {
+        uint256 serviceFee = fixedServiceFees[paymentId]
+            ? (amount * paymentServiceFeePercents[paymentId]) / (WEIGHT_DECIMAL * 100)
+            : calculateServiceFee(amount);
+        uint256 netAmount = amount - serviceFee;
+        address token = payments[paymentId].token;
+        address rewards = affiliateRewards;
+        if (rewards != address(0)) {
+            uint256 reward = IAffiliateRewards(rewards).credit(paymentId, payments[paymentId].bo, token, serviceFee);
+            if (reward > 0) {
+                serviceFee -= reward;
+                _transferOut(token, rewards, reward);
+            }
+        }
+
+        if (token == address(0)) {
+            serviceFeeTotal += serviceFee;
+        } else {
+            tokenServiceFeeTotal[token] += serviceFee;
+        }
+
+        return netAmount;
+    }
+
+    /** 
+     *  @notice Transfer `amount` of `token` from contract to `to` address, native coin is credited to withdrawable
+     *          balance of `to` instead so receivers that need more than the gas stipend of `transfer` can pull it
+     * 
+     *          Name        Meaning 
+     *  @param  token       Address of token, zero address for native coin
+     *  @param  to          Address of receiver
+     *  @param  amount      Amount that want to transfer
+     */
+    function _transferOut(address token, address to, uint256 amount) private {
+        if (token == address(0)) {
+            withdrawableBalances[to] += amount;
+        } else {
+            IERC20Upgradeable(token).safeTransfer(to, amount);
+        }
     }
-}
\ No newline at end of file
+}
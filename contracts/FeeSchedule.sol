@@ -0,0 +1,335 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/access/IAccessControlUpgradeable.sol";
+import "./interfaces/IFeeSchedule.sol";
+
+/**
+ *  @notice Per Business Owner service fee overrides, amount based tiers and minimum service fee per token that CMB
+ *          reads by {CMB-setFeeSchedule}. Override of Business Owner wins over tiers, serviceFeePercent of CMB applies
+ *          when neither does, then the fee is raised to the minimum of the token,
+ *          up to MAX_SERVICE_FEE_BPS
+ *
+ *  @dev    Kept out of CMB so CMB stays within the contract size limit. Accounts with FEE_MANAGER_ROLE of CMB manage it.
+ *          Fees are in basis points and changes are announced FEE_CHANGE_DELAY before they can be applied, like CMB
+ */
+contract FeeSchedule is IFeeSchedule {
+    /**
+     *  @notice Tier struct is a service fee in basis points for payments with amount of at least minAmount
+     */
+    struct Tier {
+        uint256 minAmount;
+        uint256 bps;
+    }
+
+    /**
+     *  @notice FeeChange struct is an announced fee change that can be applied from effectiveAt, zero means none
+     */
+    struct FeeChange {
+        uint256 value;
+        uint256 effectiveAt;
+    }
+
+    uint256 private constant WEIGHT_DECIMAL = 1e6;
+
+    /**
+     *  @notice BPS_WEIGHT uint256 constant is percent of one basis point multiplied by WEIGHT_DECIMAL
+     */
+    uint256 private constant BPS_WEIGHT = WEIGHT_DECIMAL / 100;
+
+    /**
+     *  @notice MAX_TIERS uint256 constant is the max number of tiers, which bounds the loop of {getServiceFeePercent}
+     */
+    uint256 public constant MAX_TIERS = 10;
+
+    /**
+     *  @notice MAX_SERVICE_FEE_BPS uint256 constant is the hard cap of service fee in basis points, same as CMB
+     */
+    uint256 public constant MAX_SERVICE_FEE_BPS = 1000;
+
+    /**
+     *  @notice FEE_CHANGE_DELAY uint256 constant is the time between announcing a fee change and applying it, same as CMB
+     */
+    uint256 public constant FEE_CHANGE_DELAY = 2 days;
+
+    /**
+     *  @notice FEE_MANAGER_ROLE bytes32 constant is the role of CMB that can manage fee schedule
+     */
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE");
+
+    /**
+     *  @notice cmb IAccessControlUpgradeable is the CMB proxy whose roles manage fee schedule
+     */
+    IAccessControlUpgradeable public immutable cmb;
+
+    /**
+     *  @notice Mapping Business Owner address to negotiated service fee in basis points, zero means no override
+     */
+    mapping(address => uint256) public businessOwnerFeeBps;
+
+    /**
+     *  @notice Mapping Business Owner address to announced override
+     */
+    mapping(address => FeeChange) public pendingBusinessOwnerFeeBps;
+
+    /**
+     *  @notice Mapping token address to minimum service fee of a payment in that token, zero address for native coin
+     */
+    mapping(address => uint256) public minServiceFees;
+
+    /**
+     *  @notice Mapping token address to announced minimum service fee
+     */
+    mapping(address => FeeChange) public pendingMinServiceFees;
+
+    /**
+     *  @notice Tiers sorted by ascending minAmount
+     */
+    Tier[] private tiers;
+
+    /**
+     *  @notice Announced tiers, which can be applied from pendingTiersEffectiveAt
+     */
+    Tier[] private pendingTiers;
+
+    /**
+     *  @notice pendingTiersEffectiveAt uint256 is the time announced tiers can be applied, zero means none
+     */
+    uint256 public pendingTiersEffectiveAt;
+
+    event PendingBusinessOwnerFeeBps(address indexed sender, address indexed bo, uint256 newBps, uint256 effectiveAt);
+    event BusinessOwnerFeeBps(address indexed sender, address indexed bo, uint256 oldBps, uint256 newBps);
+    event PendingFeeTiers(address indexed sender, uint256[] minAmounts, uint256[] bps, uint256 effectiveAt);
+    event FeeTiers(address indexed sender, uint256[] minAmounts, uint256[] bps);
+    event PendingMinServiceFee(
+        address indexed sender,
+        address indexed token,
+        uint256 newMinServiceFee,
+        uint256 effectiveAt
+    );
+    event MinServiceFee(address indexed sender, address indexed token, uint256 oldMinServiceFee, uint256 newMinServiceFee);
+
+    modifier onlyFeeManager() {
+        require(cmb.hasRole(FEE_MANAGER_ROLE, msg.sender), "Caller is missing role");
+        _;
+    }
+
+    constructor(address _cmb) {
+        cmb = IAccessControlUpgradeable(_cmb);
+    }
+
+    /**
+     *  @notice Announce service fee negotiated with Business Owner, which can be applied by {applyBusinessOwnerFeeBps}
+     *          after FEE_CHANGE_DELAY
+     *
+     *  @dev    Only FEE_MANAGER_ROLE of CMB can call this function. Announcing again replaces the pending change.
+     *
+     *          Name        Meaning
+     *  @param  bo          Address of Business Owner
+     *  @param  bps         Service fee in basis points, zero removes the override
+     *
+     *  Emit event {PendingBusinessOwnerFeeBps}
+     */
+    function setBusinessOwnerFeeBps(address bo, uint256 bps) external onlyFeeManager {
+        require(bo != address(0), "Invalid address");
+        require(bps <= MAX_SERVICE_FEE_BPS, "Service fee exceeds cap");
+        uint256 effectiveAt = block.timestamp + FEE_CHANGE_DELAY;
+        pendingBusinessOwnerFeeBps[bo] = FeeChange(bps, effectiveAt);
+        emit PendingBusinessOwnerFeeBps(msg.sender, bo, bps, effectiveAt);
+    }
+
+    /**
+     *  @notice Apply announced service fee of Business Owner once FEE_CHANGE_DELAY has passed
+     *
+     *  @dev    Anyone can call this function. Payments requested before keep their fee.
+     *
+     *          Name        Meaning
+     *  @param  bo          Address of Business Owner
+     *
+     *  Emit event {BusinessOwnerFeeBps}
+     */
+    function applyBusinessOwnerFeeBps(address bo) external {
+        uint256 oldBps = businessOwnerFeeBps[bo];
+        businessOwnerFeeBps[bo] = _applyFeeChange(pendingBusinessOwnerFeeBps[bo]);
+        emit BusinessOwnerFeeBps(msg.sender, bo, oldBps, businessOwnerFeeBps[bo]);
+    }
+
+    /**
+     *  @notice Announce amount based tiers, which replace current tiers by {applyFeeTiers} after FEE_CHANGE_DELAY
+     *
+     *  @dev    Only FEE_MANAGER_ROLE of CMB can call this function. Empty arrays remove all tiers.
+     *          Announcing again replaces the pending change.
+     *
+     *          Name            Meaning
+     *  @param  minAmounts      Min amount of payment of each tier, strictly ascending
+     *  @param  bps             Service fee of each tier in basis points
+     *
+     *  Emit event {PendingFeeTiers}
+     */
+    function setFeeTiers(uint256[] calldata minAmounts, uint256[] calldata bps) external onlyFeeManager {
+        require(minAmounts.length == bps.length, "Lengths do not match");
+        require(minAmounts.length <= MAX_TIERS, "Too many tiers");
+
+        delete pendingTiers;
+        for (uint256 i = 0; i < minAmounts.length; i++) {
+            require(i == 0 || minAmounts[i] > minAmounts[i - 1], "Tiers need to be ascending");
+            require(bps[i] > 0, "Service fee percentage must be greather than 0");
+            require(bps[i] <= MAX_SERVICE_FEE_BPS, "Service fee exceeds cap");
+            pendingTiers.push(Tier(minAmounts[i], bps[i]));
+        }
+        pendingTiersEffectiveAt = block.timestamp + FEE_CHANGE_DELAY;
+        emit PendingFeeTiers(msg.sender, minAmounts, bps, pendingTiersEffectiveAt);
+    }
+
+    /**
+     *  @notice Apply announced tiers once FEE_CHANGE_DELAY has passed
+     *
+     *  @dev    Anyone can call this function. Payments requested before keep their fee.
+     *
+     *  Emit event {FeeTiers}
+     */
+    function applyFeeTiers() external {
+        _checkEffective(pendingTiersEffectiveAt);
+        delete tiers;
+        uint256[] memory minAmounts = new uint256[](pendingTiers.length);
+        uint256[] memory bps = new uint256[](pendingTiers.length);
+        for (uint256 i = 0; i < pendingTiers.length; i++) {
+            tiers.push(pendingTiers[i]);
+            minAmounts[i] = pendingTiers[i].minAmount;
+            bps[i] = pendingTiers[i].bps;
+        }
+        delete pendingTiers;
+        delete pendingTiersEffectiveAt;
+        emit FeeTiers(msg.sender, minAmounts, bps);
+    }
+
+    /**
+     *  @notice Announce minimum service fee of payments in `token`, which can be applied by {applyMinServiceFee}
+     *          after FEE_CHANGE_DELAY
+     *
+     *  @dev    Only FEE_MANAGER_ROLE of CMB can call this function. Announcing again replaces the pending change.
+     *
+     *          Name                Meaning
+     *  @param  token               Token of payments, zero address for native coin
+     *  @param  newMinServiceFee    New minimum service fee in `token`, zero for no minimum
+     *
+     *  Emit event {PendingMinServiceFee}
+     */
+    function setMinServiceFee(address token, uint256 newMinServiceFee) external onlyFeeManager {
+        require(newMinServiceFee <= type(uint256).max / (WEIGHT_DECIMAL * 100), "Minimum service fee is too high");
+        uint256 effectiveAt = block.timestamp + FEE_CHANGE_DELAY;
+        pendingMinServiceFees[token] = FeeChange(newMinServiceFee, effectiveAt);
+        emit PendingMinServiceFee(msg.sender, token, newMinServiceFee, effectiveAt);
+    }
+
+    /**
+     *  @notice Apply announced minimum service fee of payments in `token` once FEE_CHANGE_DELAY has passed
+     *
+     *  @dev    Anyone can call this function. Payments requested before keep their fee.
+     *
+     *          Name        Meaning
+     *  @param  token       Token of payments, zero address for native coin
+     *
+     *  Emit event {MinServiceFee}
+     */
+    function applyMinServiceFee(address token) external {
+        uint256 oldMinServiceFee = minServiceFees[token];
+        minServiceFees[token] = _applyFeeChange(pendingMinServiceFees[token]);
+        emit MinServiceFee(msg.sender, token, oldMinServiceFee, minServiceFees[token]);
+    }
+
+    /**
+     *  @notice Get amount based tiers
+     *
+     *          Type        Meaning
+     *  @return Tier[]      Tiers sorted by ascending minAmount
+     */
+    function getFeeTiers() external view returns (Tier[] memory) {
+        return tiers;
+    }
+
+    /**
+     *  @notice Get announced tiers that are not applied yet
+     *
+     *          Type        Meaning
+     *  @return Tier[]      Tiers sorted by ascending minAmount
+     */
+    function getPendingFeeTiers() external view returns (Tier[] memory) {
+        return pendingTiers;
+    }
+
+    /**
+     *  @notice Get service fee percent of a payment requested by `bo` for `amount` of `token`
+     *
+     *  @dev    Percent is raised so the fee of the whole amount reaches minimum service fee of token, up to MAX_SERVICE_FEE_BPS.
+     *
+     *          Name                Meaning
+     *  @param  bo                  Address of Business Owner
+     *  @param  token               Token of payment, zero address for native coin
+     *  @param  amount              Amount of payment
+     *  @param  defaultPercent      serviceFeePercent of CMB, used when no override or tier applies
+     *
+     *          Type        Meaning
+     *  @return uint256     Percent multiplied by WEIGHT_DECIMAL
+     */
+    function getServiceFeePercent(
+        address bo,
+        address token,
+        uint256 amount,
+        uint256 defaultPercent
+    )
+        external
+        view
+        override
+        returns (uint256)
+    {
+        uint256 percent = getServiceFeeBps(bo, amount) * BPS_WEIGHT;
+        if (percent == 0) percent = defaultPercent;
+
+        uint256 minServiceFee = minServiceFees[token] * WEIGHT_DECIMAL * 100;
+        if (amount > 0 && amount * percent < minServiceFee) {
+            percent = (minServiceFee + amount - 1) / amount;
+            if (percent > MAX_SERVICE_FEE_BPS * BPS_WEIGHT) percent = MAX_SERVICE_FEE_BPS * BPS_WEIGHT;
+        }
+
+        return percent;
+    }
+
+    /**
+     *  @notice Get service fee of a payment requested by `bo` for `amount` before minimum service fee
+     *
+     *          Name        Meaning
+     *  @param  bo          Address of Business Owner
+     *  @param  amount      Amount of payment
+     *
+     *          Type        Meaning
+     *  @return uint256     Override of Business Owner, else the highest tier `amount` reaches, else zero
+     */
+    function getServiceFeeBps(address bo, uint256 amount) public view returns (uint256) {
+        uint256 bps = businessOwnerFeeBps[bo];
+        if (bps > 0) return bps;
+
+        for (uint256 i = tiers.length; i > 0; i--) {
+            if (amount >= tiers[i - 1].minAmount) return tiers[i - 1].bps;
+        }
+        return 0;
+    }
+
+    /**
+     *  @notice Value of an announced fee change that has become effective, the change is cleared
+     */
+    function _applyFeeChange(FeeChange storage change) private returns (uint256 value) {
+        _checkEffective(change.effectiveAt);
+        value = change.value;
+        change.value = 0;
+        change.effectiveAt = 0;
+    }
+
+    /**
+     *  @notice Revert if no change is announced or FEE_CHANGE_DELAY has not passed since
+     */
+    function _checkEffective(uint256 effectiveAt) private view {
+        require(effectiveAt > 0, "No pending fee change");
+        require(block.timestamp >= effectiveAt, "Fee change is not effective yet");
+    }
+}
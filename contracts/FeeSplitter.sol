@@ -0,0 +1,228 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./interfaces/ICMB.sol";
+
+/**
+ *  @notice Splits service fee of CMB between recipients by shares. Treasurers of CMB and recipients {collect} service
+ *          fee of CMB into the splitter, which credits every recipient with its share, and each recipient pulls its
+ *          balance by {withdraw}
+ *
+ *  @dev    Needs TREASURER_ROLE of CMB to collect, balances already credited stay withdrawable without it.
+ *          Accounts with TREASURER_ROLE of CMB manage recipients.
+ *          Rounding remainder of a split is kept as undistributed and added to the next split of that token.
+ */
+contract FeeSplitter is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    /**
+     *  @notice MAX_RECIPIENTS uint256 constant is the max number of recipients, which bounds the loop of {collect}
+     */
+    uint256 public constant MAX_RECIPIENTS = 20;
+
+    /**
+     *  @notice TREASURER_ROLE bytes32 constant is the role of CMB that can manage recipients
+     */
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+
+    /**
+     *  @notice cmb ICMB is the CMB proxy whose service fee is split
+     */
+    ICMB public immutable cmb;
+
+    /**
+     *  @notice Recipients in the order they were set
+     */
+    address[] private recipients;
+
+    /**
+     *  @notice Mapping recipient address to its shares, zero for accounts that are not recipients
+     */
+    mapping(address => uint256) public shares;
+
+    /**
+     *  @notice totalShares uint256 is the sum of shares of all recipients
+     */
+    uint256 public totalShares;
+
+    /**
+     *  @notice Mapping token address to mapping account address to withdrawable balance, zero address for native coin
+     */
+    mapping(address => mapping(address => uint256)) public balances;
+
+    /**
+     *  @notice Mapping token address to amount collected but not credited to any recipient yet
+     */
+    mapping(address => uint256) public undistributed;
+
+    /**
+     *  @notice Mapping token address to total service fee collected from CMB
+     */
+    mapping(address => uint256) public totalCollected;
+
+    /**
+     *  @notice Mapping token address to mapping account address to total withdrawn by that account
+     */
+    mapping(address => mapping(address => uint256)) public totalWithdrawn;
+
+    event Recipients(address indexed sender, address[] accounts, uint256[] shares);
+    event Collected(address indexed sender, address indexed token, uint256 amount);
+    event Credited(address indexed token, address indexed account, uint256 amount);
+    event Withdrawn(address indexed token, address indexed account, uint256 amount);
+
+    modifier onlyTreasurer() {
+        require(cmb.hasRole(TREASURER_ROLE, msg.sender), "Caller is missing role");
+        _;
+    }
+
+    modifier onlyTreasurerOrRecipient() {
+        require(
+            shares[msg.sender] > 0 || cmb.hasRole(TREASURER_ROLE, msg.sender),
+            "Only treasurer or recipient can do it"
+        );
+        _;
+    }
+
+    constructor(address _cmb) {
+        cmb = ICMB(_cmb);
+    }
+
+    /**
+     *  @dev    Receives native coin pulled from CMB by {collect}
+     */
+    receive() external payable {}
+
+    /**
+     *  @notice Replace recipients and their shares
+     *
+     *  @dev    Only TREASURER_ROLE of CMB can call this function. Balances already credited stay withdrawable, but
+     *          service fee not collected yet is split by the new shares, so {collect} every token first to settle it.
+     *
+     *          Name            Meaning
+     *  @param  accounts        Addresses of recipients, without duplicates
+     *  @param  _shares         Shares of each recipient, greater than 0
+     *
+     *  Emit event {Recipients}
+     */
+    function setRecipients(address[] calldata accounts, uint256[] calldata _shares) external onlyTreasurer {
+        require(accounts.length == _shares.length, "Lengths do not match");
+        require(accounts.length <= MAX_RECIPIENTS, "Too many recipients");
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            delete shares[recipients[i]];
+        }
+        delete recipients;
+        totalShares = 0;
+
+        for (uint256 i = 0; i < accounts.length; i++) {
+            require(accounts[i] != address(0), "Invalid address");
+            require(_shares[i] > 0, "Shares must be greater than 0");
+            require(shares[accounts[i]] == 0, "Duplicated recipient");
+            recipients.push(accounts[i]);
+            shares[accounts[i]] = _shares[i];
+            totalShares += _shares[i];
+        }
+        emit Recipients(msg.sender, accounts, _shares);
+    }
+
+    /**
+     *  @notice Collect all service fee of CMB in `token` and credit recipients by their shares
+     *
+     *  @dev    Only TREASURER_ROLE of CMB and recipients can call this function. Without recipients the amount stays
+     *          undistributed.
+     *
+     *          Name        Meaning
+     *  @param  token       Token of service fee, zero address for native coin
+     *
+     *  Emit events {Collected} and {Credited} for each recipient
+     */
+    function collect(address token) external nonReentrant onlyTreasurerOrRecipient {
+        uint256 amount = cmb.getServiceFeeTotal(token);
+        if (amount > 0) {
+            cmb.withdrawServiceFee(token, amount, address(this));
+            if (token == address(0)) cmb.withdraw();
+            totalCollected[token] += amount;
+            emit Collected(msg.sender, token, amount);
+        }
+
+        uint256 pool = undistributed[token] + amount;
+        if (pool == 0 || totalShares == 0) {
+            undistributed[token] = pool;
+            return;
+        }
+
+        uint256 credited;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            uint256 share = (pool * shares[recipients[i]]) / totalShares;
+            if (share == 0) continue;
+            balances[token][recipients[i]] += share;
+            credited += share;
+            emit Credited(token, recipients[i], share);
+        }
+        undistributed[token] = pool - credited;
+    }
+
+    /**
+     *  @notice Pay the whole balance of caller in `token` to caller
+     *
+     *  @dev    Only pays what {collect} credited. Recipients removed by {setRecipients} can still withdraw their
+     *          balance.
+     *
+     *          Name        Meaning
+     *  @param  token       Token of service fee, zero address for native coin
+     *
+     *  Emit event {Withdrawn}
+     */
+    function withdraw(address token) external nonReentrant {
+        uint256 amount = balances[token][msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        balances[token][msg.sender] = 0;
+        totalWithdrawn[token][msg.sender] += amount;
+        if (token == address(0)) {
+            Address.sendValue(payable(msg.sender), amount);
+        } else {
+            IERC20(token).safeTransfer(msg.sender, amount);
+        }
+        emit Withdrawn(token, msg.sender, amount);
+    }
+
+    /**
+     *  @notice Get recipients and their shares
+     *
+     *          Type            Meaning
+     *  @return accounts        Addresses of recipients
+     *  @return _shares         Shares of each recipient
+     */
+    function getRecipients() external view returns (address[] memory accounts, uint256[] memory _shares) {
+        accounts = recipients;
+        _shares = new uint256[](accounts.length);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            _shares[i] = shares[accounts[i]];
+        }
+    }
+
+    /**
+     *  @notice Get what `account` would receive by {withdraw} of `token` after {collect}, including its share of
+     *          service fee that CMB still holds
+     *
+     *          Name        Meaning
+     *  @param  token       Token of service fee, zero address for native coin
+     *  @param  account     Address of recipient
+     *
+     *          Type        Meaning
+     *  @return uint256     Withdrawable amount
+     */
+    function withdrawable(address token, address account) external view returns (uint256) {
+        uint256 pending;
+        if (totalShares > 0) {
+            uint256 pool = undistributed[token] + cmb.getServiceFeeTotal(token);
+            pending = (pool * shares[account]) / totalShares;
+        }
+        return balances[token][account] + pending;
+    }
+}
@@ -0,0 +1,10 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/metatx/MinimalForwarder.sol";
+
+/**
+ *  @notice ERC-2771 forwarder that CMB trusts by {CMB-setTrustedForwarder}.
+ *          Relayers submit requests signed by Business Owners and Clients so they do not need native coin for gas
+ */
+contract Forwarder is MinimalForwarder {}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ *  @notice Policy that CMB asks whether an account can be a Business Owner, Client or funding receiver
+ */
+interface IAccountPolicy {
+    /** 
+     *  @notice Check whether `account` is allowed, whether it is an externally owned account or a contract
+     * 
+     *          Name                Meaning 
+     *  @param  account             Address of account
+     *
+     *          Type        Meaning
+     *  @return bool        True if `account` is allowed
+     */ 
+    function isAllowed(address account) external view returns (bool);
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ *  @notice Affiliate registry that CMB credits a cut of service fee to when a payment is claimed
+ */
+interface IAffiliateRewards {
+    /** 
+     *  @notice Credit the affiliate of `bo` with its cut of `serviceFee`, which CMB pays to this contract right after the call
+     * 
+     *  @dev    Only CMB can call this function. Native coin is credited to withdrawable balance of this contract in CMB.
+     * 
+     *          Name                Meaning 
+     *  @param  paymentId           ID of payment the service fee is charged from
+     *  @param  bo                  Address of Business Owner
+     *  @param  token               Token of service fee, zero address for native coin
+     *  @param  serviceFee          Service fee charged by CMB
+     *
+     *          Type        Meaning
+     *  @return uint256     Reward of affiliate, zero when `bo` has no affiliate and never more than `serviceFee`
+     */ 
+    function credit(uint256 paymentId, address bo, address token, uint256 serviceFee) external returns (uint256);
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/access/IAccessControlUpgradeable.sol";
+
+/**
+ *  @notice Service fee accounting and withdrawals of CMB used by {FeeSplitter} and {AffiliateRewards}
+ */
+interface ICMB is IAccessControlUpgradeable {
+    /** 
+     *  @notice Get service fee of CMB in `token` that has not been withdrawn yet
+     * 
+     *          Name                Meaning 
+     *  @param  token               Token of service fee, zero address for native coin
+     *
+     *          Type        Meaning
+     *  @return uint256     Total of service fee in that token
+     */ 
+    function getServiceFeeTotal(address token) external view returns (uint256);
+
+    /** 
+     *  @notice Withdraw `amount` of service fee in `token` to `fundingReceiver`, caller needs TREASURER_ROLE
+     * 
+     *          Name                Meaning 
+     *  @param  token               Token of service fee, zero address for native coin
+     *  @param  amount              Amount of service fee that want to withdraw
+     *  @param  fundingReceiver     Address that want to transfer
+     */ 
+    function withdrawServiceFee(address token, uint256 amount, address fundingReceiver) external payable;
+
+    /** 
+     *  @notice Get native coin released to `account` that it can pull by {withdraw}
+     * 
+     *          Name                Meaning 
+     *  @param  account             Address of account
+     *
+     *          Type        Meaning
+     *  @return uint256     Withdrawable balance
+     */ 
+    function withdrawableBalances(address account) external view returns (uint256);
+
+    /** 
+     *  @notice Withdraw native coin released to caller
+     */ 
+    function withdraw() external;
+}
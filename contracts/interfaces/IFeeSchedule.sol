@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ *  @notice Source of service fee percent that CMB fixes for a payment when it is requested
+ */
+interface IFeeSchedule {
+    /** 
+     *  @notice Get service fee percent of a payment requested by `bo` for `amount` of `token`
+     * 
+     *          Name                Meaning 
+     *  @param  bo                  Address of Business Owner
+     *  @param  token               Token of payment, zero address for native coin
+     *  @param  amount              Amount of payment
+     *  @param  defaultPercent      serviceFeePercent of CMB
+     *
+     *          Type        Meaning
+     *  @return uint256     Percent multiplied by 1e6 like serviceFeePercent of CMB
+     */ 
+    function getServiceFeePercent(
+        address bo, 
+        address token, 
+        uint256 amount, 
+        uint256 defaultPercent
+    ) external view returns (uint256);
+}
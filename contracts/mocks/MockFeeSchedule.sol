@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../interfaces/IFeeSchedule.sol";
+
+/**
+ *  @notice MockFeeSchedule returns the same service fee percent for every payment and is only used in tests
+ */
+contract MockFeeSchedule is IFeeSchedule {
+    uint256 public percent;
+
+    /**
+     *  @notice Set service fee percent returned for every payment
+     *
+     *  @dev    Anyone can call this function.
+     */
+    function setPercent(uint256 newPercent) external {
+        percent = newPercent;
+    }
+
+    function getServiceFeePercent(address, address, uint256, uint256) external view override returns (uint256) {
+        return percent;
+    }
+}
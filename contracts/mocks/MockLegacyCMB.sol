@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ *  @notice MockLegacyCMB emits events in the shape the first deployed CMB emitted them, before tokens were supported.
+ *          It is only used in tests of the indexer
+ */
+contract MockLegacyCMB {
+    event RequestedPayment(
+        uint256 indexed paymentId, 
+        address indexed bo, 
+        address indexed client, 
+        bytes32 data, 
+        uint256 amount
+    );
+    event WithdrawnServiceFee(uint256 amount, address indexed fundingReceiver);
+
+    function emitRequestedPayment(uint256 paymentId, address client, bytes32 data, uint256 amount) external {
+        emit RequestedPayment(paymentId, msg.sender, client, data, amount);
+    }
+
+    function emitWithdrawnServiceFee(uint256 amount, address fundingReceiver) external {
+        emit WithdrawnServiceFee(amount, fundingReceiver);
+    }
+}
@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+
+/**
+ *  @notice Storage layouts that are only used to test validating upgrades, MockUpgradeableV1 is the deployed one
+ */
+contract MockUpgradeableV1 is Initializable {
+    uint256 public amount;
+    address public receiver;
+
+    function initialize(uint256 _amount, address _receiver) public initializer {
+        amount = _amount;
+        receiver = _receiver;
+    }
+}
+
+/**
+ *  @notice Keeps storage of MockUpgradeableV1 and appends to it
+ */
+contract MockUpgradeableAppended is Initializable {
+    uint256 public amount;
+    address public receiver;
+    uint256 public fee;
+}
+
+/**
+ *  @notice Swaps the state variables of MockUpgradeableV1
+ */
+contract MockUpgradeableReordered is Initializable {
+    address public receiver;
+    uint256 public amount;
+}
+
+/**
+ *  @notice Inserts a state variable between the ones of MockUpgradeableV1
+ */
+contract MockUpgradeableInserted is Initializable {
+    uint256 public amount;
+    uint256 public fee;
+    address public receiver;
+}
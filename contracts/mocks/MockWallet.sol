@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ *  @notice MockWallet is a Safe-like smart-contract wallet that is only used in tests. Its owner makes calls through
+ *          {execute}, and receiving native coin needs more gas than the stipend of `transfer`
+ */
+contract MockWallet {
+    address public immutable owner;
+
+    /**
+     *  @notice received uint256 is total native coin received, written on every receive
+     */
+    uint256 public received;
+
+    event Received(address indexed sender, uint256 amount);
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    receive() external payable {
+        received += msg.value;
+        emit Received(msg.sender, msg.value);
+    }
+
+    /**
+     *  @notice Call `target` with `data` and `value` from wallet, reverting with reason of the call
+     *
+     *  @dev    Only owner can call this function.
+     */
+    function execute(address target, uint256 value, bytes calldata data) external payable returns (bytes memory) {
+        require(msg.sender == owner, "Only owner can do it");
+        return Address.functionCallWithValue(target, data, value);
+    }
+}
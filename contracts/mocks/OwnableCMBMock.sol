@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+
+/**
+ *  @notice Storage and initializer of CMB before roles replaced owner, to test upgrading deployed proxies
+ */
+contract OwnableCMBMock is Initializable, OwnableUpgradeable, ReentrancyGuardUpgradeable {
+    struct Payment {
+        uint256 paymentId;
+        address bo;
+        address client;
+        bytes32 data;
+        uint256 amount;
+        Status status;
+    }
+
+    enum Status { REQUESTING, PAID, CONFIRMED, CLAIMED }
+
+    mapping(uint256 => Payment) public payments;
+
+    uint256 public serviceFeeTotal;
+
+    uint256 public serviceFeePercent;
+
+    uint256 public lastPaymentId;
+
+    function initialize(address _owner) public initializer {
+        OwnableUpgradeable.__Ownable_init();
+        transferOwnership(_owner);
+    }
+
+    /**
+     *  @notice Request payment the way deployed proxies did, before payments were listed by account
+     */
+    function requestPayment(address client, bytes32 data, uint256 amount) external {
+        lastPaymentId++;
+        payments[lastPaymentId] = Payment(lastPaymentId, _msgSender(), client, data, amount, Status.REQUESTING);
+    }
+}
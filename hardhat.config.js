@@ -18,6 +18,10 @@ require('@nomiclabs/hardhat-solhint');
 require('@nomiclabs/hardhat-etherscan');
 
 require('@openzeppelin/hardhat-upgrades');
+
+// cmb:* tasks that drive the deployed CMB proxy of --network, see tasks/cmb.js
+require('./tasks/cmb');
+
 const config = {
   defaultNetwork: 'hardhat',
   networks: {
@@ -29,7 +33,7 @@ const config = {
     },
     avaxMainnet: {
       url: 'https://api.avax.network/ext/bc/C/rpc',
-      chainId: 43113,
+      chainId: 43114,
       accounts: [process.env.DEPLOY_ACCOUNT],
       gasPrice: 8000000000,
     },
@@ -44,6 +48,13 @@ const config = {
         settings: { optimizer: { enabled: true, runs: 200 } },
       },
     ],
+    overrides: {
+      // CMB is close to the 24 KB contract size limit, optimize it for size over gas
+      'contracts/CMB.sol': {
+        version: '0.8.4',
+        settings: { optimizer: { enabled: true, runs: 1 } },
+      },
+    },
   },
   paths: {
     sources: './contracts',
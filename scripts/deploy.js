@@ -1,16 +1,23 @@
 const hre = require('hardhat');
-const fs = require('fs');
 const ethers = hre.ethers;
 const upgrades = hre.upgrades;
-const { getImplementationAddress } = require('@openzeppelin/upgrades-core');
+const {
+  getAdminAddress,
+  getImplementationAddress,
+} = require('@openzeppelin/upgrades-core');
+const assignRoles = require('../utils/assignRoles');
+const writeDeployment = require('../utils/writeDeployment');
+const roles = require('../config/roles');
 const provider = ethers.provider;
 
+// TRUSTED_FORWARDER_ADDRESS: ERC-2771 forwarder for meta-transactions, a new Forwarder is deployed if not set
+const trustedForwarder = process.env.TRUSTED_FORWARDER_ADDRESS;
+
 async function main() {
   // Loading accounts
   const accounts = await ethers.getSigners();
   const addresses = accounts.map((account) => account.address);
-  const bo = addresses[0];
-  const serviceFee = 2000000;
+  const deployer = addresses[0];
 
   // Loading contract factory
   const CMB = await ethers.getContractFactory('CMB');
@@ -28,24 +35,84 @@ async function main() {
   // await cmbContract.deployed();
   // console.log('CMB contract deployed at: ', cmbContract.address);
 
-  const cmbProxy = await upgrades.deployProxy(CMB, [bo]);
+  const cmbProxy = await upgrades.deployProxy(CMB, [deployer]);
   await cmbProxy.deployed();
   console.log('CMB proxy deployed at: ', cmbProxy.address);
 
-  const cmbVerify = await getImplementationAddress(provider, cmbProxy.address);
-  console.log('Current implementation address: ', cmbVerify);
+  const cmbImplementation = await getImplementationAddress(
+    provider,
+    cmbProxy.address,
+  );
+  console.log('Current implementation address: ', cmbImplementation);
+  const proxyAdmin = await getAdminAddress(provider, cmbProxy.address);
+  const receipt = await cmbProxy.deployTransaction.wait();
+
+  // Trusting forwarder, needs DEFAULT_ADMIN_ROLE so before roles are assigned
+  let forwarder = trustedForwarder;
+  if (!forwarder) {
+    const Forwarder = await ethers.getContractFactory('Forwarder');
+    const forwarderContract = await Forwarder.deploy();
+    await forwarderContract.deployed();
+    forwarder = forwarderContract.address;
+    console.log('Forwarder deployed at: ', forwarder);
+  }
+  await (await cmbProxy.setTrustedForwarder(forwarder)).wait();
+  console.log('Trusted forwarder: ', forwarder);
+
+  // Fee splitter collects service fee as treasurer, granted while deployer still holds DEFAULT_ADMIN_ROLE
+  const FeeSplitter = await ethers.getContractFactory('FeeSplitter');
+  const feeSplitter = await FeeSplitter.deploy(cmbProxy.address);
+  await feeSplitter.deployed();
+  console.log('FeeSplitter deployed at: ', feeSplitter.address);
+  await (
+    await cmbProxy.grantRole(
+      await cmbProxy.TREASURER_ROLE(),
+      feeSplitter.address,
+    )
+  ).wait();
+  console.log('Treasurer needs to call setRecipients of FeeSplitter');
+
+  // Assigning roles
+  await assignRoles(cmbProxy, roles, deployer);
+
+  // Fee schedule and affiliate rewards are managed by FEE_MANAGER_ROLE, which may have been assigned to another account
+  const FeeSchedule = await ethers.getContractFactory('FeeSchedule');
+  const feeSchedule = await FeeSchedule.deploy(cmbProxy.address);
+  await feeSchedule.deployed();
+  console.log('FeeSchedule deployed at: ', feeSchedule.address);
+  const AffiliateRewards = await ethers.getContractFactory('AffiliateRewards');
+  const affiliateRewards = await AffiliateRewards.deploy(cmbProxy.address);
+  await affiliateRewards.deployed();
+  console.log('AffiliateRewards deployed at: ', affiliateRewards.address);
+  if (await cmbProxy.hasRole(await cmbProxy.FEE_MANAGER_ROLE(), deployer)) {
+    await (await cmbProxy.setFeeSchedule(feeSchedule.address)).wait();
+    await (await cmbProxy.setAffiliateRewards(affiliateRewards.address)).wait();
+  } else {
+    console.log(
+      'Fee manager needs to call setFeeSchedule and setAffiliateRewards with them',
+    );
+  }
 
   // Upgrading
   // const CMBv2 = await ethers.getContractFactory('CMBV2');
   // const upgraded = await upgrades.upgradeProxy(cmb.address, CMBv2);
 
-  const contractAddresses = {
-    bo: bo.address,
+  // Read by upgrade.js, verify.js and cmb:* tasks of the network
+  const { chainId } = await provider.getNetwork();
+  writeDeployment(hre.network.name, {
+    chainId,
     cmbProxy: cmbProxy.address,
-    cmbVerify: cmbVerify,
-  };
-
-  await fs.writeFileSync('contracts.json', JSON.stringify(contractAddresses));
+    cmbImplementation,
+    proxyAdmin,
+    deployer,
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.transactionHash,
+    forwarder,
+    feeSchedule: feeSchedule.address,
+    feeSplitter: feeSplitter.address,
+    affiliateRewards: affiliateRewards.address,
+  });
+  console.log(`Deployment written to deployments/${hre.network.name}.json`);
 }
 
 main()
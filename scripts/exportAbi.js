@@ -0,0 +1,19 @@
+const hre = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+
+// ABI shipped with the SDK, so it works without compiling CMB. Run after every change of the CMB interface.
+const abiFile = path.join(__dirname, '..', 'sdk', 'abi', 'CMB.json');
+
+async function main() {
+  const { abi } = await hre.artifacts.readArtifact('CMB');
+  fs.writeFileSync(abiFile, `${JSON.stringify(abi, null, 2)}\n`);
+  console.log('CMB ABI written to: ', abiFile);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
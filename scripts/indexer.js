@@ -0,0 +1,45 @@
+const hre = require('hardhat');
+const path = require('path');
+const readDeployment = require('../utils/readDeployment');
+const { CMBIndexer, JsonStore } = require('../sdk');
+
+// INDEXER_START_BLOCK: block to start from, block CMB proxy was deployed at by default
+// INDEXER_CONFIRMATIONS: number of latest blocks re-scanned on every sync for reorgs
+// INDEXER_POLL_INTERVAL: seconds between syncs, sync only once if not set
+const confirmations = Number(process.env.INDEXER_CONFIRMATIONS || 12);
+const pollInterval = Number(process.env.INDEXER_POLL_INTERVAL || 0);
+
+async function main() {
+  const deployment = readDeployment(hre.network.name);
+  const startBlock = Number(
+    process.env.INDEXER_START_BLOCK || deployment.blockNumber || 0,
+  );
+  const store = new JsonStore(
+    path.join('indexer-data', `${hre.network.name}.json`),
+  );
+  const indexer = new CMBIndexer(
+    deployment.cmbProxy,
+    hre.ethers.provider,
+    store,
+    { startBlock, confirmations },
+  );
+
+  do {
+    const state = await indexer.sync();
+    console.log(
+      `Indexed ${Object.keys(state.payments).length} payments up to block ${
+        state.lastBlock
+      }`,
+    );
+    if (pollInterval > 0) {
+      await new Promise((resolve) => setTimeout(resolve, pollInterval * 1000));
+    }
+  } while (pollInterval > 0);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,33 @@
+const hre = require('hardhat');
+const readDeployment = require('../utils/readDeployment');
+const ethers = hre.ethers;
+
+// Set UNPAUSE=true to resume the contract instead
+const unpause = process.env.UNPAUSE === 'true';
+
+async function main() {
+  const [pauser] = await ethers.getSigners();
+  const { cmbProxy } = readDeployment(hre.network.name);
+  const cmbContract = await ethers.getContractAt('CMB', cmbProxy);
+
+  const pauserRole = await cmbContract.PAUSER_ROLE();
+  if (!(await cmbContract.hasRole(pauserRole, pauser.address))) {
+    throw new Error(`${pauser.address} does not have PAUSER_ROLE`);
+  }
+
+  const tx = unpause
+    ? await cmbContract.connect(pauser).unpause()
+    : await cmbContract.connect(pauser).pause();
+  await tx.wait();
+  console.log(
+    `CMB ${unpause ? 'unpaused' : 'paused'} on ${hre.network.name}: `,
+    tx.hash,
+  );
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+const hre = require('hardhat');
+const { Manifest } = require('@openzeppelin/upgrades-core');
+const writeDeployment = require('../utils/writeDeployment');
+const ethers = hre.ethers;
+const upgrades = hre.upgrades;
+const provider = ethers.provider;
+
+// Write deployments/<network>.json for a CMB proxy deployed before deploy.js recorded deployments, from the
+// proxy deployment transaction in the .openzeppelin manifest of the network. Set CMB_PROXY if it holds several.
+async function main() {
+  const { proxies } = await (await Manifest.forNetwork(provider)).read();
+  const proxy = process.env.CMB_PROXY
+    ? proxies.find(({ address }) => address === process.env.CMB_PROXY)
+    : proxies[proxies.length - 1];
+  if (!proxy) {
+    throw new Error(`CMB proxy is not in manifest of ${hre.network.name}`);
+  }
+
+  const tx = await provider.getTransaction(proxy.txHash);
+  const receipt = await provider.getTransactionReceipt(proxy.txHash);
+  const { chainId } = await provider.getNetwork();
+  writeDeployment(hre.network.name, {
+    chainId,
+    cmbProxy: proxy.address,
+    cmbImplementation: await upgrades.erc1967.getImplementationAddress(
+      proxy.address,
+    ),
+    proxyAdmin: await upgrades.erc1967.getAdminAddress(proxy.address),
+    deployer: tx.from,
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.transactionHash,
+  });
+  console.log(`Deployment written to deployments/${hre.network.name}.json`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,31 @@
+const hre = require('hardhat');
+const readDeployment = require('../utils/readDeployment');
+const createRelayer = require('../utils/createRelayer');
+
+// RELAYER_PORT: port the relayer listens on
+const port = Number(process.env.RELAYER_PORT || 8080);
+
+async function main() {
+  const deployment = readDeployment(hre.network.name);
+  if (!deployment.forwarder) {
+    throw new Error(
+      `Forwarder is not in deployments/${hre.network.name}.json, deploy CMB first`,
+    );
+  }
+  const [signer] = await hre.ethers.getSigners();
+  const server = createRelayer({
+    signer,
+    forwarder: deployment.forwarder,
+    target: deployment.cmbProxy,
+  });
+
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(
+    `Relaying calls to CMB ${deployment.cmbProxy} on ${hre.network.name} at http://localhost:${port}/relay, gas paid by ${signer.address}`,
+  );
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
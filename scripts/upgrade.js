@@ -0,0 +1,85 @@
+const hre = require('hardhat');
+const ethers = hre.ethers;
+const upgrades = hre.upgrades;
+const { getImplementationAddress } = require('@openzeppelin/upgrades-core');
+const readDeployment = require('../utils/readDeployment');
+const validateUpgrade = require('../utils/validateUpgrade');
+const writeDeployment = require('../utils/writeDeployment');
+const provider = ethers.provider;
+
+async function main() {
+  const deployment = readDeployment(hre.network.name);
+  const CMB = await ethers.getContractFactory('CMB');
+
+  // Proxy deployed before roles existed still has an owner that needs to be moved into DEFAULT_ADMIN_ROLE
+  const ownable = await ethers.getContractAt(
+    'OwnableUpgradeable',
+    deployment.cmbProxy,
+  );
+  const owner = await ownable.owner();
+  const call =
+    owner === ethers.constants.AddressZero ? undefined : 'initializeRoles';
+
+  // Nothing is deployed unless new implementation keeps storage layout of the one behind the proxy
+  const previousImplementation = await validateUpgrade(
+    hre,
+    deployment.cmbProxy,
+    CMB,
+  );
+  console.log(
+    'Upgrade validated from implementation: ',
+    previousImplementation,
+  );
+
+  const cmbProxy = await upgrades.upgradeProxy(deployment.cmbProxy, CMB, {
+    call,
+  });
+  const receipt = await cmbProxy.deployTransaction.wait();
+  console.log('CMB proxy upgraded at: ', cmbProxy.address);
+
+  // Owner moved into DEFAULT_ADMIN_ROLE lists payments requested before the upgrade, a batch per transaction
+  if (call) {
+    const lastPaymentId = await cmbProxy.lastPaymentId();
+    const batchSize = await cmbProxy.MAX_BATCH_SIZE();
+    for (
+      let fromPaymentId = ethers.BigNumber.from(1);
+      fromPaymentId.lte(lastPaymentId);
+      fromPaymentId = fromPaymentId.add(batchSize)
+    ) {
+      const toPaymentId = fromPaymentId.add(batchSize).sub(1);
+      const tx = await cmbProxy.listPayments(
+        fromPaymentId,
+        toPaymentId.lt(lastPaymentId) ? toPaymentId : lastPaymentId,
+      );
+      await tx.wait();
+    }
+    console.log('Payments listed: ', lastPaymentId.toString());
+  }
+
+  const cmbImplementation = await getImplementationAddress(
+    provider,
+    cmbProxy.address,
+  );
+  console.log('Current implementation address: ', cmbImplementation);
+
+  writeDeployment(hre.network.name, {
+    ...deployment,
+    cmbImplementation,
+    upgrades: [
+      ...(deployment.upgrades || []),
+      {
+        previousImplementation,
+        implementation: cmbImplementation,
+        blockNumber: receipt.blockNumber,
+        transactionHash: receipt.transactionHash,
+      },
+    ],
+  });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
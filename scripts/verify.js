@@ -1,13 +1,26 @@
 const hre = require('hardhat');
-const contracts = require('../contracts.json');
+const readDeployment = require('../utils/readDeployment');
 
 async function main() {
-  try {
-    await hre.run('verify:verify', {
-      address: contracts.cmbVerify,
-    });
-  } catch (error) {
-    console.log('err: >> ', error);
+  const deployment = readDeployment(hre.network.name);
+
+  // Implementation behind the proxy, and contracts deployed along with it with their constructor arguments
+  const contracts = [
+    ['CMB implementation', deployment.cmbImplementation, []],
+    ['Forwarder', deployment.forwarder, []],
+    ['FeeSchedule', deployment.feeSchedule, [deployment.cmbProxy]],
+    ['FeeSplitter', deployment.feeSplitter, [deployment.cmbProxy]],
+    ['AffiliateRewards', deployment.affiliateRewards, [deployment.cmbProxy]],
+  ];
+  for (const [name, address, constructorArguments] of contracts) {
+    if (!address) continue;
+
+    console.log(`Verifying ${name} at: `, address);
+    try {
+      await hre.run('verify:verify', { address, constructorArguments });
+    } catch (error) {
+      console.log('err: >> ', error);
+    }
   }
 }
 
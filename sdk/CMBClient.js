@@ -0,0 +1,856 @@
+const { ethers } = require('ethers');
+const { STATUS, Status, Role } = require('./constants');
+const CMBClientError = require('./CMBClientError');
+const NETWORKS = require('./networks');
+const {
+  buildInvoice,
+  signInvoice,
+  recoverInvoiceSigner,
+} = require('./invoice');
+const { signForwardRequest } = require('./forwarder');
+const { loadInvoiceData } = require('./invoiceData');
+const CMB_ABI = require('./abi/CMB.json');
+
+const ZERO_ADDRESS = ethers.constants.AddressZero;
+const ACCOUNT_POLICY_ABI = [
+  'function isAllowed(address account) view returns (bool)',
+];
+
+/**
+ * @typedef {Object} Payment
+ * @property {ethers.BigNumber} paymentId
+ * @property {string} bo
+ * @property {string} client
+ * @property {string} data
+ * @property {ethers.BigNumber} amount
+ * @property {string} status            Name of status, e.g. `PAID`
+ * @property {string} token             Zero address for native coin
+ * @property {ethers.BigNumber} paidAmount
+ * @property {ethers.BigNumber} paymentDeadline
+ * @property {ethers.BigNumber} releaseDuration
+ * @property {ethers.BigNumber} releaseDeadline
+ */
+
+/**
+ * @typedef {Object} Milestone
+ * @property {ethers.BigNumber} amount
+ * @property {ethers.BigNumber} releaseDeadline
+ * @property {string} status            Name of status, e.g. `CONFIRMED`
+ */
+
+function decodePayment(payment) {
+  return {
+    paymentId: payment.paymentId,
+    bo: payment.bo,
+    client: payment.client,
+    data: payment.data,
+    amount: payment.amount,
+    status: STATUS[payment.status],
+    token: payment.token,
+    paidAmount: payment.paidAmount,
+    paymentDeadline: payment.paymentDeadline,
+    releaseDuration: payment.releaseDuration,
+    releaseDeadline: payment.releaseDeadline,
+  };
+}
+
+function decodeMilestone(milestone) {
+  return {
+    amount: milestone.amount,
+    releaseDeadline: milestone.releaseDeadline,
+    status: STATUS[milestone.status],
+  };
+}
+
+/**
+ * Wrapper around the CMB proxy that decodes payments and checks the contract's
+ * revert conditions before a transaction is sent.
+ */
+class CMBClient {
+  /**
+   * @param {string} address                                      Address of CMB proxy
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider
+   *        Signer for sending transactions, provider for reading only
+   * @param {Array} [abi]                                         ABI of CMB, `sdk/abi/CMB.json` by default
+   */
+  constructor(address, signerOrProvider, abi = CMB_ABI) {
+    this.contract = new ethers.Contract(address, abi, signerOrProvider);
+    this.signer = ethers.Signer.isSigner(signerOrProvider)
+      ? signerOrProvider
+      : null;
+    this.provider = this.signer ? this.signer.provider : signerOrProvider;
+  }
+
+  /**
+   * Create a client for the CMB proxy deployed on the network of `signerOrProvider`.
+   *
+   * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider
+   * @param {Array} [abi]
+   * @return {Promise<CMBClient>}
+   */
+  static async forNetwork(signerOrProvider, abi) {
+    const provider = ethers.Signer.isSigner(signerOrProvider)
+      ? signerOrProvider.provider
+      : signerOrProvider;
+    const { chainId } = await provider.getNetwork();
+    const network = NETWORKS[chainId];
+    if (!network) {
+      throw new CMBClientError(
+        'UNSUPPORTED_NETWORK',
+        `CMB is not deployed on chain ${chainId}`,
+      );
+    }
+
+    return new CMBClient(network.cmbProxy, signerOrProvider, abi);
+  }
+
+  get address() {
+    return this.contract.address;
+  }
+
+  /**
+   * @param {ethers.BigNumberish} paymentId
+   * @return {Promise<Payment>}
+   */
+  async getPayment(paymentId) {
+    return decodePayment(await this.contract.payments(paymentId));
+  }
+
+  /**
+   * @param {ethers.BigNumberish} paymentId
+   * @return {Promise<Milestone[]>}
+   */
+  async getMilestones(paymentId) {
+    const milestones = await this.contract.getMilestones(paymentId);
+    return milestones.map(decodeMilestone);
+  }
+
+  /**
+   * Page of payments requested by a Business Owner, optionally only in `status`.
+   *
+   * @param {string} bo
+   * @param {Object} [options]
+   * @param {string} [options.status]     Name of status, e.g. `PAID`
+   * @param {number} [options.offset]
+   * @param {number} [options.limit]
+   * @return {Promise<Payment[]>}
+   */
+  async getPaymentsByBusinessOwner(bo, options = {}) {
+    return this._getPayments('BusinessOwner', bo, options);
+  }
+
+  /**
+   * Page of payments requested to a Client, optionally only in `status`.
+   *
+   * @param {string} client
+   * @param {Object} [options]
+   * @param {string} [options.status]     Name of status, e.g. `PAID`
+   * @param {number} [options.offset]
+   * @param {number} [options.limit]
+   * @return {Promise<Payment[]>}
+   */
+  async getPaymentsByClient(client, options = {}) {
+    return this._getPayments('Client', client, options);
+  }
+
+  /**
+   * Request a payment from `client`.
+   *
+   * @param {string} client
+   * @param {string} data                   bytes32 hex string
+   * @param {ethers.BigNumberish} amount
+   * @param {Object} options
+   * @param {string} [options.token]        Zero address for native coin
+   * @param {number} options.paymentDuration
+   * @param {number} options.releaseDuration
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async requestPayment(
+    client,
+    data,
+    amount,
+    { token = ZERO_ADDRESS, paymentDuration, releaseDuration },
+    overrides = {},
+  ) {
+    const sender = await this._sender();
+    await this._checkNotPaused();
+    await this._checkValidAddress(client, 'Client');
+    if (sameAddress(sender, client)) {
+      throw new CMBClientError(
+        'SAME_BO_AND_CLIENT',
+        'Business Owner and Client can not be same',
+      );
+    }
+    if (token !== ZERO_ADDRESS && !(await this._isContract(token))) {
+      throw new CMBClientError('INVALID_TOKEN', `${token} is not a token`);
+    }
+    if (!(paymentDuration > 0) || !(releaseDuration > 0)) {
+      throw new CMBClientError(
+        'INVALID_DURATION',
+        'Payment and release durations must be greater than 0',
+      );
+    }
+
+    return this.contract.requestPayment(
+      client,
+      data,
+      amount,
+      token,
+      paymentDuration,
+      releaseDuration,
+      overrides,
+    );
+  }
+
+  /**
+   * Accept terms of a requested payment as client, which is needed before paying it. Pass the terms client agreed to,
+   * not ones read from the contract, so that changes of Business Owner are detected.
+   *
+   * @param {ethers.BigNumberish} paymentId
+   * @param {ethers.BigNumberish} expectedAmount
+   * @param {string} expectedData           bytes32 hex string, e.g. commitment of `storeInvoiceData`
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async acceptRequest(paymentId, expectedAmount, expectedData, overrides = {}) {
+    const payment = await this._getValidPayment(paymentId);
+    this._checkClient(payment, await this._sender());
+    this._checkStatus(payment, 'REQUESTING');
+    if (
+      !payment.amount.eq(expectedAmount) ||
+      payment.data.toLowerCase() !== expectedData.toLowerCase()
+    ) {
+      throw new CMBClientError(
+        'TERMS_CHANGED',
+        `Terms of payment ${paymentId} have changed, amount is ${payment.amount} and data is ${payment.data}`,
+      );
+    }
+
+    return this.contract.acceptRequest(
+      paymentId,
+      expectedAmount,
+      expectedData,
+      overrides,
+    );
+  }
+
+  /**
+   * Escrow the unpaid amount of a payment, or of all its unpaid milestones. Native coin is sent along automatically,
+   * token payments need enough allowance for the CMB proxy.
+   *
+   * @param {ethers.BigNumberish} paymentId
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async pay(paymentId, overrides = {}) {
+    const payment = await this._getValidPayment(paymentId);
+    const sender = await this._sender();
+    await this._checkNotPaused();
+    this._checkClient(payment, sender);
+    await this._checkPayable(payment);
+
+    const amount = await this._unpaidAmount(payment);
+    if (payment.token === ZERO_ADDRESS) {
+      return this.contract.pay(paymentId, { ...overrides, value: amount });
+    }
+
+    await this._checkAllowance(payment.token, sender, amount);
+
+    return this.contract.pay(paymentId, overrides);
+  }
+
+  /**
+   * Escrow part of a payment without milestones. The installment is capped at what is left to pay,
+   * the payment is paid once installments reach its amount.
+   *
+   * @param {ethers.BigNumberish} paymentId
+   * @param {ethers.BigNumberish} amount    Amount of installment
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async payInstallment(paymentId, amount, overrides = {}) {
+    const payment = await this._getValidPayment(paymentId);
+    const sender = await this._sender();
+    await this._checkNotPaused();
+    this._checkClient(payment, sender);
+    await this._checkPayable(payment);
+    await this._checkWithoutMilestones(paymentId);
+    if (ethers.BigNumber.from(amount).lte(0)) {
+      throw new CMBClientError(
+        'INVALID_AMOUNT',
+        'Amount must be greater than 0',
+      );
+    }
+
+    const unpaidAmount = await this._unpaidAmount(payment);
+    const installment = unpaidAmount.lt(amount) ? unpaidAmount : amount;
+    if (payment.token === ZERO_ADDRESS) {
+      return this.contract.payInstallment(paymentId, installment, {
+        ...overrides,
+        value: installment,
+      });
+    }
+
+    await this._checkAllowance(payment.token, sender, installment);
+
+    return this.contract.payInstallment(paymentId, installment, overrides);
+  }
+
+  /**
+   * Sign an invoice as Business Owner instead of requesting the payment on-chain.
+   *
+   * @param {Object} fields       Fields of `Invoice`, token and nonce are optional
+   * @return {Promise<{invoice: Invoice, signature: ethers.Signature}>}
+   */
+  async signInvoice(fields) {
+    await this._sender();
+
+    return signInvoice(this.signer, this.address, buildInvoice(fields));
+  }
+
+  /**
+   * Create and pay a payment from an invoice signed by Business Owner.
+   *
+   * @param {{invoice: Invoice, signature: ethers.Signature}} signedInvoice
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async payWithSignature(signedInvoice, overrides = {}) {
+    const { invoice, signature } = signedInvoice;
+    const sender = await this._sender();
+    await this._checkNotPaused();
+    if (!sameAddress(sender, invoice.client)) {
+      throw new CMBClientError(
+        'NOT_CLIENT',
+        `Only Client ${invoice.client} of invoice can do it, sender is ${sender}`,
+      );
+    }
+    if (ethers.BigNumber.from(invoice.expiry).lte(await this._now())) {
+      throw new CMBClientError('EXPIRED', 'Invoice has expired');
+    }
+    const { chainId } = await this.provider.getNetwork();
+    const bo = recoverInvoiceSigner(this.address, chainId, signedInvoice);
+    if (await this.contract.usedInvoiceNonces(bo, invoice.nonce)) {
+      throw new CMBClientError(
+        'USED_INVOICE',
+        `Invoice ${invoice.nonce} of ${bo} has been paid or cancelled`,
+      );
+    }
+
+    const { v, r, s } = signature;
+    if (invoice.token === ZERO_ADDRESS) {
+      return this.contract.payWithSignature(invoice, v, r, s, {
+        ...overrides,
+        value: invoice.amount,
+      });
+    }
+    await this._checkAllowance(invoice.token, sender, invoice.amount);
+
+    return this.contract.payWithSignature(invoice, v, r, s, overrides);
+  }
+
+  /**
+   * @param {ethers.BigNumberish} paymentId
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async confirmToRelease(paymentId, overrides = {}) {
+    const payment = await this._getValidPayment(paymentId);
+    this._checkClient(payment, await this._sender());
+    this._checkStatus(payment, 'PAID');
+    await this._checkWithoutMilestones(paymentId);
+
+    return this.contract.confirmToRelease(paymentId, overrides);
+  }
+
+  /**
+   * @param {ethers.BigNumberish} paymentId
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async claim(paymentId, overrides = {}) {
+    const payment = await this._getValidPayment(paymentId);
+    await this._checkNotPaused();
+    this._checkBusinessOwner(payment, await this._sender());
+    const released =
+      payment.status === 'CONFIRMED' ||
+      (payment.status === 'PAID' &&
+        payment.releaseDeadline.lte(await this._now()));
+    if (!released) {
+      throw new CMBClientError(
+        'NOT_RELEASED',
+        `Payment ${paymentId} needs to be confirmed by client or pass its release deadline, current status is ${payment.status}`,
+      );
+    }
+    await this._checkWithoutMilestones(paymentId);
+
+    return this.contract.claim(paymentId, overrides);
+  }
+
+  /**
+   * Native coin released to `account` by claims, refunds and service fee withdrawals, pulled by `withdraw`.
+   *
+   * @param {string} [account]            Signer by default
+   * @return {Promise<ethers.BigNumber>}
+   */
+  async getWithdrawableBalance(account) {
+    return this.contract.withdrawableBalances(
+      account || (await this._sender()),
+    );
+  }
+
+  /**
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async withdraw(overrides = {}) {
+    const balance = await this.getWithdrawableBalance();
+    if (balance.isZero()) {
+      throw new CMBClientError('NOTHING_TO_WITHDRAW', 'Nothing to withdraw');
+    }
+
+    return this.contract.withdraw(overrides);
+  }
+
+  /**
+   * @param {ethers.BigNumberish} paymentId
+   * @param {string} newClient
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async setClient(paymentId, newClient, overrides = {}) {
+    await this._checkEditable(paymentId);
+    await this._checkValidAddress(newClient, 'Client');
+
+    return this.contract.setClient(paymentId, newClient, overrides);
+  }
+
+  /**
+   * @param {ethers.BigNumberish} paymentId
+   * @param {string} newData                bytes32 hex string
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async setData(paymentId, newData, overrides = {}) {
+    await this._checkEditable(paymentId);
+
+    return this.contract.setData(paymentId, newData, overrides);
+  }
+
+  /**
+   * Load encrypted invoice data committed to by `data` of the payment, verify and decrypt it.
+   *
+   * @param {ethers.BigNumberish} paymentId
+   * @param {Object} store                  Content-addressed store, e.g. `FileStore`
+   * @param {string|ethers.utils.SigningKey} privateKey   Key of Business Owner or client
+   * @return {Promise<Object>} Invoice details
+   */
+  async readInvoiceData(paymentId, store, privateKey) {
+    const payment = await this._getValidPayment(paymentId);
+
+    return loadInvoiceData(store, payment.data, privateKey);
+  }
+
+  /**
+   * @param {ethers.BigNumberish} paymentId
+   * @param {ethers.BigNumberish} newAmount
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async setAmount(paymentId, newAmount, overrides = {}) {
+    await this._checkEditable(paymentId);
+    if (ethers.BigNumber.from(newAmount).lte(0)) {
+      throw new CMBClientError(
+        'INVALID_AMOUNT',
+        'Amount must be greater than 0',
+      );
+    }
+    if ((await this.contract.getMilestones(paymentId)).length > 0) {
+      throw new CMBClientError(
+        'MILESTONE_PAYMENT',
+        `Payment ${paymentId} has milestones, its amount can not be set`,
+      );
+    }
+
+    return this.contract.setAmount(paymentId, newAmount, overrides);
+  }
+
+  /**
+   * Announce service fee, which `applyServiceFeePercent` applies after `FEE_CHANGE_DELAY`.
+   *
+   * @param {ethers.BigNumberish} newServiceFeeBps   Basis points, e.g. 150 for 1.5%
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async setServiceFeePercent(newServiceFeeBps, overrides = {}) {
+    await this._checkRole('FEE_MANAGER');
+    const bps = ethers.BigNumber.from(newServiceFeeBps);
+    const maxBps = await this.contract.MAX_SERVICE_FEE_BPS();
+    if (bps.lte(0) || bps.gt(maxBps)) {
+      throw new CMBClientError(
+        'INVALID_SERVICE_FEE',
+        `Service fee needs to be between 1 and ${maxBps} basis points`,
+      );
+    }
+
+    return this.contract.setServiceFeePercent(bps, overrides);
+  }
+
+  /**
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async applyServiceFeePercent(overrides = {}) {
+    await this._sender();
+    const { effectiveAt } = await this.contract.pendingServiceFeePercent();
+    if (effectiveAt.isZero()) {
+      throw new CMBClientError('NO_PENDING_FEE', 'No service fee is announced');
+    }
+    if (effectiveAt.gt(await this._now())) {
+      throw new CMBClientError(
+        'FEE_NOT_EFFECTIVE',
+        `Announced service fee can be applied from ${effectiveAt}`,
+      );
+    }
+
+    return this.contract.applyServiceFeePercent(overrides);
+  }
+
+  /**
+   * Service fee of a payment requested now by `bo`, which stays fixed until the payment is claimed.
+   *
+   * @param {string} bo
+   * @param {ethers.BigNumberish} amount
+   * @param {string} [token]              Zero address for native coin
+   * @return {Promise<{percent: ethers.BigNumber, serviceFee: ethers.BigNumber}>}  Percent is scaled by 1e6
+   */
+  async previewServiceFee(bo, amount, token = ZERO_ADDRESS) {
+    const [percent, serviceFee] = await Promise.all([
+      this.contract.getServiceFeePercent(bo, token, amount),
+      this.contract.previewServiceFee(bo, token, amount),
+    ]);
+
+    return { percent, serviceFee };
+  }
+
+  /**
+   * Withdraw collected service fee as treasurer. Native coin is credited to `fundingReceiver`, which pulls it with
+   * `withdraw`.
+   *
+   * @param {string} token                Zero address for native coin
+   * @param {ethers.BigNumberish} amount
+   * @param {string} fundingReceiver
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async withdrawServiceFee(token, amount, fundingReceiver, overrides = {}) {
+    await this._checkRole('TREASURER');
+    await this._checkValidAddress(fundingReceiver, 'Funding receiver');
+    const total = await this.contract.getServiceFeeTotal(token);
+    if (ethers.BigNumber.from(amount).lte(0) || total.lt(amount)) {
+      throw new CMBClientError(
+        'INVALID_AMOUNT',
+        `Amount needs to be between 1 and ${total}, the service fee collected in ${token}`,
+      );
+    }
+
+    return this.contract.withdrawServiceFee(
+      token,
+      amount,
+      fundingReceiver,
+      overrides,
+    );
+  }
+
+  /**
+   * @param {string} role                 Name of role, e.g. `ARBITER`
+   * @param {string} account
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async grantRole(role, account, overrides = {}) {
+    await this._checkRole('DEFAULT_ADMIN');
+
+    return this.contract.grantRole(this._roleId(role), account, overrides);
+  }
+
+  /**
+   * @param {string} role                 Name of role, e.g. `ARBITER`
+   * @param {string} account
+   * @param {Object} [overrides]
+   * @return {Promise<ethers.ContractTransaction>}
+   */
+  async revokeRole(role, account, overrides = {}) {
+    await this._checkRole('DEFAULT_ADMIN');
+
+    return this.contract.revokeRole(this._roleId(role), account, overrides);
+  }
+
+  /**
+   * @param {string} role                 Name of role, e.g. `ARBITER`
+   * @param {string} account
+   * @return {Promise<boolean>}
+   */
+  async hasRole(role, account) {
+    return this.contract.hasRole(this._roleId(role), account);
+  }
+
+  /**
+   * Sign a CMB call for a relayer to submit through the trusted forwarder, so sender pays no gas.
+   *
+   * @param {string} forwarderAddress
+   * @param {string} method               Name of CMB function, e.g. `confirmToRelease`
+   * @param {Array} args
+   * @param {Object} [options]
+   * @param {ethers.BigNumberish} [options.gas]   Gas forwarded to the call
+   * @return {Promise<{request: ForwardRequest, signature: string}>}
+   */
+  async signMetaTransaction(forwarderAddress, method, args, options) {
+    await this._sender();
+    if (!(await this.contract.isTrustedForwarder(forwarderAddress))) {
+      throw new CMBClientError(
+        'UNTRUSTED_FORWARDER',
+        `Forwarder ${forwarderAddress} is not trusted by CMB`,
+      );
+    }
+
+    return signForwardRequest(
+      this.signer,
+      forwarderAddress,
+      this.address,
+      this.contract.interface.encodeFunctionData(method, args),
+      options,
+    );
+  }
+
+  async _getPayments(role, address, { status, offset = 0, limit = 50 }) {
+    const payments =
+      status === undefined
+        ? await this.contract[`getPaymentsBy${role}`](address, offset, limit)
+        : await this.contract[`getPaymentsBy${role}AndStatus`](
+            address,
+            Status[status],
+            offset,
+            limit,
+          );
+
+    return payments.map(decodePayment);
+  }
+
+  async _sender() {
+    if (!this.signer) {
+      throw new CMBClientError(
+        'NO_SIGNER',
+        'A signer is required to send transactions',
+      );
+    }
+
+    return this.signer.getAddress();
+  }
+
+  async _now() {
+    const block = await this.provider.getBlock('latest');
+    return block.timestamp;
+  }
+
+  async _isContract(address) {
+    return (await this.provider.getCode(address)) !== '0x';
+  }
+
+  async _getValidPayment(paymentId) {
+    const lastPaymentId = await this.contract.lastPaymentId();
+    const id = ethers.BigNumber.from(paymentId);
+    if (id.lte(0) || id.gt(lastPaymentId)) {
+      throw new CMBClientError(
+        'INVALID_PAYMENT',
+        `Payment ${paymentId} does not exist`,
+      );
+    }
+
+    return this.getPayment(id);
+  }
+
+  async _checkValidAddress(address, role) {
+    if (!ethers.utils.isAddress(address) || address === ZERO_ADDRESS) {
+      throw new CMBClientError(
+        'INVALID_ADDRESS',
+        `${role} ${address} is not a valid address`,
+      );
+    }
+    const policyAddress = await this.contract.accountPolicy();
+    if (policyAddress === ZERO_ADDRESS) return;
+
+    const policy = new ethers.Contract(
+      policyAddress,
+      ACCOUNT_POLICY_ABI,
+      this.provider,
+    );
+    if (!(await policy.isAllowed(address))) {
+      throw new CMBClientError(
+        'NOT_ALLOWED',
+        `${role} ${address} is not allowed by account policy`,
+      );
+    }
+  }
+
+  async _checkPayable(payment) {
+    if (payment.status === 'CANCELLED') {
+      throw new CMBClientError(
+        'CANCELLED',
+        `Payment ${payment.paymentId} has been cancelled`,
+      );
+    }
+    if (
+      payment.status === 'REQUESTING' &&
+      payment.paymentDeadline.lte(await this._now())
+    ) {
+      throw new CMBClientError(
+        'EXPIRED',
+        `Payment ${
+          payment.paymentId
+        } has expired, it had to be paid before ${new Date(
+          payment.paymentDeadline.toNumber() * 1000,
+        ).toISOString()}`,
+      );
+    }
+    if (
+      payment.status === 'REQUESTING' &&
+      !(await this.contract.acceptedPayments(payment.paymentId))
+    ) {
+      throw new CMBClientError(
+        'NOT_ACCEPTED',
+        `Payment ${payment.paymentId} needs to be accepted by client with acceptRequest first`,
+      );
+    }
+  }
+
+  async _unpaidAmount(payment) {
+    const milestones = await this.getMilestones(payment.paymentId);
+    if (milestones.length === 0) {
+      this._checkStatus(payment, 'REQUESTING');
+      return payment.amount.sub(payment.paidAmount);
+    }
+
+    if (payment.status !== 'REQUESTING' && payment.status !== 'PAID') {
+      throw new CMBClientError(
+        'INVALID_STATUS',
+        `Payment ${payment.paymentId} can not be paid, current status is ${payment.status}`,
+      );
+    }
+    const amount = milestones
+      .filter((milestone) => milestone.status === 'REQUESTING')
+      .reduce(
+        (sum, milestone) => sum.add(milestone.amount),
+        ethers.constants.Zero,
+      );
+    if (amount.isZero()) {
+      throw new CMBClientError(
+        'INVALID_STATUS',
+        `Payment ${payment.paymentId} has been paid`,
+      );
+    }
+
+    return amount;
+  }
+
+  _roleId(role) {
+    if (!(role in Role)) {
+      throw new CMBClientError('INVALID_ROLE', `${role} is not a CMB role`);
+    }
+
+    return Role[role];
+  }
+
+  async _checkRole(role) {
+    const sender = await this._sender();
+    if (!(await this.hasRole(role, sender))) {
+      throw new CMBClientError(
+        'MISSING_ROLE',
+        `Only ${role} role can do it, sender ${sender} does not have it`,
+      );
+    }
+  }
+
+  async _checkAllowance(tokenAddress, owner, amount) {
+    const token = new ethers.Contract(
+      tokenAddress,
+      ['function allowance(address,address) view returns (uint256)'],
+      this.provider,
+    );
+    const allowance = await token.allowance(owner, this.address);
+    if (allowance.lt(amount)) {
+      throw new CMBClientError(
+        'INSUFFICIENT_ALLOWANCE',
+        `Allowance of ${tokenAddress} for CMB is ${allowance}, ${amount} is required`,
+      );
+    }
+  }
+
+  async _checkNotPaused() {
+    if (await this.contract.paused()) {
+      throw new CMBClientError(
+        'PAUSED',
+        'CMB is paused, requests, payments and claims are halted',
+      );
+    }
+  }
+
+  async _checkEditable(paymentId) {
+    const payment = await this._getValidPayment(paymentId);
+    this._checkBusinessOwner(payment, await this._sender());
+    this._checkStatus(payment, 'REQUESTING');
+    if (!payment.paidAmount.isZero()) {
+      throw new CMBClientError(
+        'PARTLY_PAID',
+        `Payment ${paymentId} is partly paid, its terms can not be changed`,
+      );
+    }
+  }
+
+  async _checkWithoutMilestones(paymentId) {
+    if ((await this.contract.getMilestones(paymentId)).length > 0) {
+      throw new CMBClientError(
+        'MILESTONE_PAYMENT',
+        `Payment ${paymentId} needs to be released by milestone`,
+      );
+    }
+  }
+
+  _checkBusinessOwner(payment, sender) {
+    if (!sameAddress(sender, payment.bo)) {
+      throw new CMBClientError(
+        'NOT_BUSINESS_OWNER',
+        `Only Business Owner ${payment.bo} of payment ${payment.paymentId} can do it, sender is ${sender}`,
+      );
+    }
+  }
+
+  _checkClient(payment, sender) {
+    if (!sameAddress(sender, payment.client)) {
+      throw new CMBClientError(
+        'NOT_CLIENT',
+        `Only Client ${payment.client} of payment ${payment.paymentId} can do it, sender is ${sender}`,
+      );
+    }
+  }
+
+  _checkStatus(payment, status) {
+    if (payment.status !== status) {
+      throw new CMBClientError(
+        'INVALID_STATUS',
+        `Payment ${payment.paymentId} needs to be ${status}, current status is ${payment.status}`,
+      );
+    }
+  }
+}
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+CMBClient.Status = Status;
+CMBClient.decodePayment = decodePayment;
+CMBClient.decodeMilestone = decodeMilestone;
+
+module.exports = CMBClient;
@@ -0,0 +1,13 @@
+/**
+ * Error thrown by `CMBClient` when a call would revert on-chain.
+ * `code` is a stable identifier of the failed check, `message` is human readable.
+ */
+class CMBClientError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CMBClientError';
+    this.code = code;
+  }
+}
+
+module.exports = CMBClientError;
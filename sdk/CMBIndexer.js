@@ -0,0 +1,295 @@
+const { ethers } = require('ethers');
+const { STATUS } = require('./constants');
+const CMB_ABI = require('./abi/CMB.json');
+
+const ZERO_ADDRESS = ethers.constants.AddressZero;
+
+// Events the deployed proxy emitted before their shape changed: setter and fee events before paymentId and sender
+// were added to them, payment requests and fee withdrawals before tokens were supported
+const LEGACY_EVENTS = [
+  'event RequestedPayment(uint256 indexed paymentId, address indexed bo, address indexed client, bytes32 data, uint256 amount)',
+  'event WithdrawnServiceFee(uint256 amount, address indexed fundingReceiver)',
+  'event SetClient(address oldClient, address newClient)',
+  'event SetData(bytes32 oldData, bytes32 newData)',
+  'event SetAmount(uint256 oldAmount, uint256 newAmount)',
+  'event ServiceFeePercent(uint256 oldAmount, uint256 newAmount)',
+];
+
+// Functions emitting the legacy setter events, which do not carry the ID of payment
+const SETTER_EVENTS = {
+  SetClient: 'setClient',
+  SetData: 'setData',
+  SetAmount: 'setAmount',
+};
+
+// Status of payment after each event, events missing here keep the status
+const STATUS_AFTER = {
+  RequestedPayment: 'REQUESTING',
+  Paid: 'PAID',
+  ConfirmedToRelease: 'CONFIRMED',
+  Claimed: 'CLAIMED',
+  Disputed: 'DISPUTED',
+  ResolvedDispute: 'RESOLVED',
+  Cancelled: 'CANCELLED',
+  Refunded: 'REFUNDED',
+};
+
+// Status of a milestone after each milestone event, the payment stays PAID until its last milestone is claimed
+const MILESTONE_STATUS_AFTER = {
+  PaidMilestone: 'PAID',
+  ConfirmedMilestone: 'CONFIRMED',
+  ClaimedMilestone: 'CLAIMED',
+};
+
+/**
+ * @typedef {Object} IndexedEvent
+ * @property {string} event             Name of event
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {Object} args              Named arguments, numbers as decimal strings
+ */
+
+/**
+ * @typedef {Object} IndexedPayment
+ * @property {string} paymentId
+ * @property {string} bo
+ * @property {string} client
+ * @property {string} data
+ * @property {string} amount
+ * @property {string} token
+ * @property {string} status            Name of status after the last indexed event
+ * @property {Object<string, string>} [milestones]   Status of each paid milestone by index
+ * @property {IndexedEvent[]} timeline  Events of payment in chain order
+ */
+
+function emptyState(startBlock) {
+  return {
+    lastBlock: startBlock - 1,
+    payments: {},
+    contractEvents: [],
+  };
+}
+
+function formatArgs(fragment, args) {
+  return fragment.inputs.reduce((formatted, input, index) => {
+    const value = args[index];
+    formatted[input.name] = ethers.BigNumber.isBigNumber(value)
+      ? value.toString()
+      : value;
+    return formatted;
+  }, {});
+}
+
+/**
+ * Rebuilds the history of every payment from CMB logs into a store.
+ *
+ * Logs of the last `confirmations` blocks are dropped and scanned again on every
+ * sync, so a reorg inside that window replaces the orphaned events.
+ */
+class CMBIndexer {
+  /**
+   * @param {string} address                            Address of CMB proxy
+   * @param {ethers.providers.Provider} provider
+   * @param {{load: Function, save: Function}} store    e.g. `JsonStore`
+   * @param {Object} [options]
+   * @param {number} [options.startBlock]               Block CMB was deployed at
+   * @param {number} [options.confirmations]            Size of re-scanned window
+   * @param {number} [options.batchSize]                Max blocks per `getLogs` call
+   * @param {Array} [options.abi]                       ABI of CMB, `sdk/abi/CMB.json` by default
+   */
+  constructor(
+    address,
+    provider,
+    store,
+    {
+      startBlock = 0,
+      confirmations = 12,
+      batchSize = 2000,
+      abi = CMB_ABI,
+    } = {},
+  ) {
+    this.address = address;
+    this.provider = provider;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.interface = new ethers.utils.Interface(abi);
+    this.legacyInterface = new ethers.utils.Interface(LEGACY_EVENTS);
+    this.state = null;
+  }
+
+  /**
+   * Scan logs up to `toBlock` and save the result to store.
+   *
+   * @param {number} [toBlock]    Latest block by default
+   * @return {Promise<Object>}    State that was saved
+   */
+  async sync(toBlock) {
+    const state = await this._loadState();
+    const latest =
+      toBlock === undefined ? await this.provider.getBlockNumber() : toBlock;
+    const fromBlock = Math.max(
+      this.startBlock,
+      state.lastBlock - this.confirmations + 1,
+    );
+
+    this._dropFrom(state, fromBlock);
+    for (let from = fromBlock; from <= latest; from += this.batchSize) {
+      const to = Math.min(from + this.batchSize - 1, latest);
+      const logs = await this.provider.getLogs({
+        address: this.address,
+        fromBlock: from,
+        toBlock: to,
+      });
+      for (const log of logs) {
+        await this._index(state, log);
+      }
+    }
+    state.lastBlock = Math.max(latest, fromBlock - 1);
+
+    await this.store.save(state);
+    return state;
+  }
+
+  /**
+   * Current values of a payment, replayed from its timeline.
+   *
+   * @param {ethers.BigNumberish} paymentId
+   * @return {Promise<IndexedPayment|null>}
+   */
+  async getPayment(paymentId) {
+    const state = await this._loadState();
+    const timeline = state.payments[paymentId.toString()];
+    if (!timeline) return null;
+
+    const payment = { paymentId: paymentId.toString(), timeline };
+    for (const { event, args } of timeline) {
+      if (event === 'RequestedPayment') {
+        Object.assign(payment, {
+          bo: args.bo,
+          client: args.client,
+          data: args.data,
+          amount: args.amount,
+          token: args.token,
+        });
+      } else if (event === 'SetClient') {
+        payment.client = args.newClient;
+      } else if (event === 'SetData') {
+        payment.data = args.newData;
+      } else if (event === 'SetAmount') {
+        payment.amount = args.newAmount;
+      }
+      payment.status = STATUS_AFTER[event] || payment.status;
+      if (MILESTONE_STATUS_AFTER[event]) {
+        payment.milestones = payment.milestones || {};
+        payment.milestones[args.milestoneIndex] = MILESTONE_STATUS_AFTER[event];
+      }
+    }
+
+    return payment;
+  }
+
+  /**
+   * @return {Promise<string[]>} IDs of all indexed payments
+   */
+  async getPaymentIds() {
+    const state = await this._loadState();
+    return Object.keys(state.payments);
+  }
+
+  /**
+   * @return {Promise<IndexedEvent[]>} All {WithdrawnServiceFee} events
+   */
+  async getServiceFeeWithdrawals() {
+    const state = await this._loadState();
+    return state.contractEvents.filter(
+      ({ event }) => event === 'WithdrawnServiceFee',
+    );
+  }
+
+  async _loadState() {
+    if (!this.state) {
+      this.state = (await this.store.load()) || emptyState(this.startBlock);
+    }
+
+    return this.state;
+  }
+
+  _dropFrom(state, blockNumber) {
+    const confirmed = ({ blockNumber: eventBlock }) => eventBlock < blockNumber;
+    for (const [paymentId, timeline] of Object.entries(state.payments)) {
+      const kept = timeline.filter(confirmed);
+      if (kept.length === 0) {
+        delete state.payments[paymentId];
+      } else {
+        state.payments[paymentId] = kept;
+      }
+    }
+    state.contractEvents = state.contractEvents.filter(confirmed);
+  }
+
+  async _index(state, log) {
+    const parsed = this._parseLog(log);
+    // Proxy events such as {Upgraded} are not part of CMB ABI
+    if (!parsed) return;
+
+    const event = {
+      event: parsed.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+      args: formatArgs(parsed.eventFragment, parsed.args),
+    };
+    // Only native coin was paid before events carried a token
+    if (
+      (parsed.name === 'RequestedPayment' ||
+        parsed.name === 'WithdrawnServiceFee') &&
+      event.args.token === undefined
+    ) {
+      event.args.token = ZERO_ADDRESS;
+    }
+    const paymentId =
+      event.args.paymentId || (await this._setterPaymentId(parsed.name, log));
+    if (paymentId === undefined) {
+      state.contractEvents.push(event);
+      return;
+    }
+
+    state.payments[paymentId] = state.payments[paymentId] || [];
+    state.payments[paymentId].push(event);
+  }
+
+  _parseLog(log) {
+    for (const iface of [this.interface, this.legacyInterface]) {
+      try {
+        return iface.parseLog(log);
+      } catch (err) {
+        // Not an event of this interface
+      }
+    }
+
+    return null;
+  }
+
+  // Legacy setter events are attributed to a payment by decoding the call that emitted them
+  async _setterPaymentId(eventName, log) {
+    const functionName = SETTER_EVENTS[eventName];
+    if (!functionName) return undefined;
+
+    const tx = await this.provider.getTransaction(log.transactionHash);
+    try {
+      const call = this.interface.parseTransaction({ data: tx.data });
+      if (call.name === functionName) return call.args.paymentId.toString();
+    } catch (err) {
+      // Called through another contract, calldata is not a CMB call
+    }
+
+    return undefined;
+  }
+}
+
+module.exports = CMBIndexer;
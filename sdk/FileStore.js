@@ -0,0 +1,48 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+/**
+ * Content-addressed store of encrypted invoice data in a directory, one file per keccak256 of its bytes.
+ * Any object with the same `put` and `get` methods can be used instead, e.g. one backed by IPFS or S3.
+ */
+class FileStore {
+  /**
+   * @param {string} dir    Directory of files, created on first put
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   * @return {Promise<string>} bytes32 id of `bytes`
+   */
+  async put(bytes) {
+    const id = ethers.utils.keccak256(bytes);
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const file = this._file(id);
+    const tmp = `${file}.tmp`;
+    await fs.promises.writeFile(tmp, bytes);
+    await fs.promises.rename(tmp, file);
+
+    return id;
+  }
+
+  /**
+   * @param {string} id
+   * @return {Promise<Uint8Array|null>} Stored bytes, `null` if nothing is stored under `id`
+   */
+  async get(id) {
+    const file = this._file(id);
+    if (!fs.existsSync(file)) return null;
+
+    return new Uint8Array(await fs.promises.readFile(file));
+  }
+
+  _file(id) {
+    return path.join(this.dir, ethers.utils.hexlify(id).slice(2));
+  }
+}
+
+module.exports = FileStore;
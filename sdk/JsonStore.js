@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Keeps indexer state in a JSON file. Any object with the same `load` and `save`
+ * methods can be used as store of `CMBIndexer`, e.g. one backed by SQLite.
+ */
+class JsonStore {
+  /**
+   * @param {string} file   Path of JSON file, created on first save
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  /**
+   * @return {Promise<Object|null>} Saved state, `null` if nothing was saved yet
+   */
+  async load() {
+    if (!fs.existsSync(this.file)) return null;
+
+    return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+  }
+
+  /**
+   * Write state to a temporary file first so a crash never leaves a half written store.
+   *
+   * @param {Object} state
+   */
+  async save(state) {
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(state, null, 2));
+    await fs.promises.rename(tmp, this.file);
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,35 @@
+const { ethers } = require('ethers');
+
+/**
+ * Names of `CMB.Status` values, indexed by their on-chain number.
+ */
+const STATUS = [
+  'REQUESTING',
+  'PAID',
+  'CONFIRMED',
+  'CLAIMED',
+  'DISPUTED',
+  'RESOLVED',
+  'CANCELLED',
+  'REFUNDED',
+];
+
+/**
+ * On-chain number of each `CMB.Status` name, e.g. `Status.PAID === 1`.
+ */
+const Status = Object.freeze(
+  STATUS.reduce((status, name, index) => ({ ...status, [name]: index }), {}),
+);
+
+/**
+ * Role IDs of CMB by name, e.g. `Role.TREASURER`.
+ */
+const Role = Object.freeze({
+  DEFAULT_ADMIN: ethers.constants.HashZero,
+  FEE_MANAGER: ethers.utils.id('FEE_MANAGER_ROLE'),
+  TREASURER: ethers.utils.id('TREASURER_ROLE'),
+  PAUSER: ethers.utils.id('PAUSER_ROLE'),
+  ARBITER: ethers.utils.id('ARBITER_ROLE'),
+});
+
+module.exports = { STATUS, Status, Role };
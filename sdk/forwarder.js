@@ -0,0 +1,92 @@
+const { ethers } = require('ethers');
+
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+  ],
+};
+
+const FORWARDER_ABI = [
+  'function getNonce(address from) view returns (uint256)',
+  'function verify((address from, address to, uint256 value, uint256 gas, uint256 nonce, bytes data) req, bytes signature) view returns (bool)',
+  'function execute((address from, address to, uint256 value, uint256 gas, uint256 nonce, bytes data) req, bytes signature) payable returns (bool, bytes)',
+];
+
+/**
+ * @typedef {Object} ForwardRequest
+ * @property {string} from                  Signer, the sender CMB sees
+ * @property {string} to                    Address of CMB proxy
+ * @property {ethers.BigNumberish} value
+ * @property {ethers.BigNumberish} gas      Gas forwarded to the call
+ * @property {ethers.BigNumberish} nonce    Nonce of signer in forwarder
+ * @property {string} data                  Encoded CMB call
+ */
+
+/**
+ * EIP-712 domain of the `Forwarder` contract at `forwarderAddress`.
+ *
+ * @param {string} forwarderAddress
+ * @param {number} chainId
+ */
+function forwarderDomain(forwarderAddress, chainId) {
+  return {
+    name: 'MinimalForwarder',
+    version: '0.0.1',
+    chainId,
+    verifyingContract: forwarderAddress,
+  };
+}
+
+/**
+ * Sign a call to `to` as `signer`, to be submitted by a relayer.
+ *
+ * @param {ethers.Signer} signer
+ * @param {string} forwarderAddress
+ * @param {string} to
+ * @param {string} data                 Encoded call, e.g. `interface.encodeFunctionData`
+ * @param {Object} [options]
+ * @param {ethers.BigNumberish} [options.gas]
+ * @return {Promise<{request: ForwardRequest, signature: string}>}
+ */
+async function signForwardRequest(
+  signer,
+  forwarderAddress,
+  to,
+  data,
+  { gas = 500000 } = {},
+) {
+  const forwarder = new ethers.Contract(
+    forwarderAddress,
+    FORWARDER_ABI,
+    signer,
+  );
+  const from = await signer.getAddress();
+  const request = {
+    from,
+    to,
+    value: '0',
+    gas: gas.toString(),
+    nonce: (await forwarder.getNonce(from)).toString(),
+    data,
+  };
+  const domain = forwarderDomain(forwarderAddress, await signer.getChainId());
+  const signature = await signer._signTypedData(
+    domain,
+    FORWARD_REQUEST_TYPES,
+    request,
+  );
+
+  return { request, signature };
+}
+
+module.exports = {
+  FORWARD_REQUEST_TYPES,
+  FORWARDER_ABI,
+  forwarderDomain,
+  signForwardRequest,
+};
@@ -0,0 +1,25 @@
+const CMBClient = require('./CMBClient');
+const CMBClientError = require('./CMBClientError');
+const CMBIndexer = require('./CMBIndexer');
+const JsonStore = require('./JsonStore');
+const FileStore = require('./FileStore');
+const invoice = require('./invoice');
+const forwarder = require('./forwarder');
+const invoiceData = require('./invoiceData');
+const NETWORKS = require('./networks');
+const { STATUS, Status, Role } = require('./constants');
+
+module.exports = {
+  CMBClient,
+  CMBClientError,
+  CMBIndexer,
+  JsonStore,
+  FileStore,
+  NETWORKS,
+  STATUS,
+  Status,
+  Role,
+  ...invoice,
+  ...forwarder,
+  ...invoiceData,
+};
@@ -0,0 +1,92 @@
+const { ethers } = require('ethers');
+
+const INVOICE_TYPES = {
+  Invoice: [
+    { name: 'client', type: 'address' },
+    { name: 'data', type: 'bytes32' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'token', type: 'address' },
+    { name: 'releaseDuration', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+  ],
+};
+
+/**
+ * @typedef {Object} Invoice
+ * @property {string} client
+ * @property {string} data                    bytes32 hex string
+ * @property {ethers.BigNumberish} amount
+ * @property {string} token                   Zero address for native coin
+ * @property {ethers.BigNumberish} releaseDuration
+ * @property {ethers.BigNumberish} nonce      Any unused number of Business Owner
+ * @property {ethers.BigNumberish} expiry     Timestamp the invoice can no longer be paid at
+ */
+
+/**
+ * EIP-712 domain of invoices of the CMB proxy at `cmbAddress`.
+ *
+ * @param {string} cmbAddress
+ * @param {number} chainId
+ */
+function invoiceDomain(cmbAddress, chainId) {
+  return { name: 'CMB', version: '1', chainId, verifyingContract: cmbAddress };
+}
+
+/**
+ * Fill in defaults of an invoice: native coin and a random nonce.
+ *
+ * @param {Object} fields
+ * @return {Invoice}
+ */
+function buildInvoice({
+  client,
+  data,
+  amount,
+  token = ethers.constants.AddressZero,
+  releaseDuration,
+  nonce = ethers.BigNumber.from(ethers.utils.randomBytes(32)),
+  expiry,
+}) {
+  return { client, data, amount, token, releaseDuration, nonce, expiry };
+}
+
+/**
+ * Sign an invoice as Business Owner. Client pays it with `payWithSignature`.
+ *
+ * @param {ethers.Signer} bo
+ * @param {string} cmbAddress
+ * @param {Invoice} invoice
+ * @return {Promise<{invoice: Invoice, signature: ethers.Signature}>}
+ */
+async function signInvoice(bo, cmbAddress, invoice) {
+  const domain = invoiceDomain(cmbAddress, await bo.getChainId());
+  const signature = await bo._signTypedData(domain, INVOICE_TYPES, invoice);
+
+  return { invoice, signature: ethers.utils.splitSignature(signature) };
+}
+
+/**
+ * Recover Business Owner that signed an invoice.
+ *
+ * @param {string} cmbAddress
+ * @param {number} chainId
+ * @param {{invoice: Invoice, signature: ethers.Signature}} signedInvoice
+ * @return {string}
+ */
+function recoverInvoiceSigner(cmbAddress, chainId, { invoice, signature }) {
+  return ethers.utils.verifyTypedData(
+    invoiceDomain(cmbAddress, chainId),
+    INVOICE_TYPES,
+    invoice,
+    signature,
+  );
+}
+
+module.exports = {
+  INVOICE_TYPES,
+  invoiceDomain,
+  buildInvoice,
+  signInvoice,
+  recoverInvoiceSigner,
+};
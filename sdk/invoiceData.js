@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const CMBClientError = require('./CMBClientError');
+
+const ENVELOPE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_INFO = ethers.utils.toUtf8Bytes('CMB invoice data key');
+
+/**
+ * @typedef {Object} Recipient
+ * @property {string} address               Account that can decrypt
+ * @property {string} ephemeralPublicKey    Uncompressed public key of the one-time ECDH key
+ * @property {string} iv
+ * @property {string} wrappedKey            Content key encrypted to the recipient
+ * @property {string} tag
+ */
+
+/**
+ * @typedef {Object} Envelope
+ * @property {number} version
+ * @property {string} cipher
+ * @property {string} iv
+ * @property {string} ciphertext            Invoice details as JSON, encrypted with the content key
+ * @property {string} tag
+ * @property {Recipient[]} recipients
+ */
+
+function aesEncrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    iv: ethers.utils.hexlify(iv),
+    ciphertext: ethers.utils.hexlify(ciphertext),
+    tag: ethers.utils.hexlify(cipher.getAuthTag()),
+  };
+}
+
+function aesDecrypt(key, { iv, ciphertext, tag }) {
+  const decipher = crypto.createDecipheriv(
+    CIPHER,
+    key,
+    ethers.utils.arrayify(iv),
+  );
+  decipher.setAuthTag(ethers.utils.arrayify(tag));
+
+  return Buffer.concat([
+    decipher.update(ethers.utils.arrayify(ciphertext)),
+    decipher.final(),
+  ]);
+}
+
+/**
+ * Key that wraps the content key for one recipient: HKDF-SHA256 of the ECDH secret,
+ * salted with the ephemeral public key so every recipient gets a different key.
+ */
+function wrappingKey(signingKey, publicKey, ephemeralPublicKey) {
+  const secret = signingKey.computeSharedSecret(publicKey);
+
+  return Buffer.from(
+    crypto.hkdfSync(
+      'sha256',
+      ethers.utils.arrayify(secret),
+      ethers.utils.arrayify(ephemeralPublicKey),
+      KEY_INFO,
+      32,
+    ),
+  );
+}
+
+/**
+ * Encrypt invoice details so that only the owners of `publicKeys` can read them (ECIES over secp256k1).
+ * Details are encrypted once with a random content key, which is then encrypted to each public key.
+ *
+ * Public keys of accounts can be recovered from any message they signed with `ethers.utils.recoverPublicKey`.
+ *
+ * @param {Object} details              Any JSON serializable invoice details
+ * @param {string[]} publicKeys         Public keys of Business Owner and client
+ * @return {Envelope}
+ */
+function encryptInvoiceData(details, publicKeys) {
+  const contentKey = crypto.randomBytes(32);
+  const recipients = publicKeys.map((publicKey) => {
+    const ephemeralKey = new ethers.utils.SigningKey(
+      ethers.utils.randomBytes(32),
+    );
+    const { iv, ciphertext, tag } = aesEncrypt(
+      wrappingKey(ephemeralKey, publicKey, ephemeralKey.publicKey),
+      contentKey,
+    );
+
+    return {
+      address: ethers.utils.computeAddress(publicKey),
+      ephemeralPublicKey: ephemeralKey.publicKey,
+      iv,
+      wrappedKey: ciphertext,
+      tag,
+    };
+  });
+
+  return {
+    version: ENVELOPE_VERSION,
+    cipher: CIPHER,
+    ...aesEncrypt(contentKey, Buffer.from(JSON.stringify(details), 'utf8')),
+    recipients,
+  };
+}
+
+/**
+ * Decrypt invoice details of an envelope with the private key of one of its recipients.
+ *
+ * @param {Envelope} envelope
+ * @param {string|ethers.utils.SigningKey} privateKey
+ * @return {Object} Invoice details
+ */
+function decryptInvoiceData(envelope, privateKey) {
+  if (envelope.version !== ENVELOPE_VERSION || envelope.cipher !== CIPHER) {
+    throw new CMBClientError(
+      'UNSUPPORTED_ENVELOPE',
+      `Envelope version ${envelope.version} with ${envelope.cipher} is not supported`,
+    );
+  }
+  const signingKey = new ethers.utils.SigningKey(privateKey);
+  const address = ethers.utils.computeAddress(signingKey.publicKey);
+  const recipient = envelope.recipients.find(
+    (r) => r.address.toLowerCase() === address.toLowerCase(),
+  );
+  if (!recipient) {
+    throw new CMBClientError(
+      'NOT_RECIPIENT',
+      `${address} is not a recipient of invoice data`,
+    );
+  }
+
+  try {
+    const contentKey = aesDecrypt(
+      wrappingKey(
+        signingKey,
+        recipient.ephemeralPublicKey,
+        recipient.ephemeralPublicKey,
+      ),
+      { ...recipient, ciphertext: recipient.wrappedKey },
+    );
+    return JSON.parse(aesDecrypt(contentKey, envelope).toString('utf8'));
+  } catch (err) {
+    throw new CMBClientError(
+      'DATA_MISMATCH',
+      `Invoice data can not be decrypted: ${err.message}`,
+    );
+  }
+}
+
+/**
+ * @param {Envelope} envelope
+ * @return {Uint8Array} Bytes that are stored and committed to
+ */
+function encodeEnvelope(envelope) {
+  return ethers.utils.toUtf8Bytes(JSON.stringify(envelope));
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @return {Envelope}
+ */
+function decodeEnvelope(bytes) {
+  return JSON.parse(ethers.utils.toUtf8String(bytes));
+}
+
+/**
+ * bytes32 commitment to stored bytes, passed as `data` to `requestPayment` or `setData`.
+ * It is also the id of the bytes in a content-addressed store.
+ *
+ * @param {Uint8Array} bytes
+ * @return {string}
+ */
+function invoiceDataCommitment(bytes) {
+  return ethers.utils.keccak256(bytes);
+}
+
+/**
+ * Encrypt invoice details and save the envelope to `store`.
+ *
+ * @param {{put: function(Uint8Array): Promise<string>}} store     Content-addressed store, e.g. `FileStore`
+ * @param {Object} details
+ * @param {string[]} publicKeys
+ * @return {Promise<{data: string, envelope: Envelope}>}  `data` is the commitment to pass on-chain
+ */
+async function storeInvoiceData(store, details, publicKeys) {
+  const envelope = encryptInvoiceData(details, publicKeys);
+  const bytes = encodeEnvelope(envelope);
+  const data = invoiceDataCommitment(bytes);
+  const id = await store.put(bytes);
+  if (id !== data) {
+    throw new CMBClientError(
+      'DATA_MISMATCH',
+      `Store saved invoice data as ${id}, expected ${data}`,
+    );
+  }
+
+  return { data, envelope };
+}
+
+/**
+ * Load the envelope committed to by `data` from `store`, check it against the commitment and decrypt it.
+ * The store is not trusted, bytes that do not hash to `data` are rejected.
+ *
+ * @param {{get: function(string): Promise<Uint8Array|null>}} store
+ * @param {string} data                 bytes32 commitment, `Payment.data`
+ * @param {string|ethers.utils.SigningKey} privateKey
+ * @return {Promise<Object>} Invoice details
+ */
+async function loadInvoiceData(store, data, privateKey) {
+  const bytes = await store.get(data);
+  if (!bytes) {
+    throw new CMBClientError(
+      'DATA_NOT_FOUND',
+      `Invoice data ${data} is not in store`,
+    );
+  }
+  if (invoiceDataCommitment(bytes) !== data) {
+    throw new CMBClientError(
+      'DATA_MISMATCH',
+      `Stored invoice data does not match commitment ${data}`,
+    );
+  }
+
+  return decryptInvoiceData(decodeEnvelope(bytes), privateKey);
+}
+
+module.exports = {
+  encryptInvoiceData,
+  decryptInvoiceData,
+  encodeEnvelope,
+  decodeEnvelope,
+  invoiceDataCommitment,
+  storeInvoiceData,
+  loadInvoiceData,
+};
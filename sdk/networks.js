@@ -0,0 +1,11 @@
+/**
+ * Deployed CMB proxies by chain ID.
+ */
+const NETWORKS = {
+  43113: {
+    name: 'avaxTestnet',
+    cmbProxy: '0x5673Df8C5E7dD3f74dBf66A29C1AdD2A8D0eFe05',
+  },
+};
+
+module.exports = NETWORKS;
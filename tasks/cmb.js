@@ -0,0 +1,321 @@
+const { task, types } = require('hardhat/config');
+const { ethers } = require('ethers');
+const { CMBClient, Status } = require('../sdk');
+const readDeployment = require('../utils/readDeployment');
+
+const ZERO_ADDRESS = ethers.constants.AddressZero;
+const PAYMENT_DURATION = 7 * 24 * 60 * 60;
+const RELEASE_DURATION = 14 * 24 * 60 * 60;
+const ERC20_ABI = ['function decimals() view returns (uint8)'];
+
+// Every task talks to the CMB proxy of --network, read from deployments/<network>.json unless --cmb is set
+function cmbTask(name, description) {
+  return task(name, description)
+    .addOptionalParam(
+      'cmb',
+      'Address of CMB proxy, read from deployments/<network>.json by default',
+    )
+    .addOptionalParam(
+      'from',
+      'Account that sends transactions, first account of network by default',
+    );
+}
+
+async function connect({ cmb, from }, hre) {
+  const address = cmb || readDeployment(hre.network.name).cmbProxy;
+  const signer = from
+    ? await hre.ethers.getSigner(from)
+    : (await hre.ethers.getSigners())[0];
+
+  return new CMBClient(address, signer);
+}
+
+async function getDecimals(client, token) {
+  if (token === ZERO_ADDRESS) return 18;
+
+  return new ethers.Contract(token, ERC20_ABI, client.provider).decimals();
+}
+
+// Data is a bytes32 hex string, or text of at most 31 characters
+function toBytes32(data) {
+  return ethers.utils.isHexString(data, 32)
+    ? data
+    : ethers.utils.formatBytes32String(data);
+}
+
+function formatTime(timestamp) {
+  return timestamp.isZero()
+    ? '-'
+    : new Date(timestamp.toNumber() * 1000).toISOString();
+}
+
+function formatValue(value) {
+  return Array.isArray(value) ? `[${value.join(', ')}]` : value.toString();
+}
+
+// Wait for transaction and print the CMB events it emitted with their arguments
+async function printEvents(client, tx) {
+  const receipt = await tx.wait();
+  console.log(
+    `Transaction ${receipt.transactionHash} mined in block ${receipt.blockNumber}`,
+  );
+  const address = ethers.utils.getAddress(client.address);
+  const events = receipt.logs
+    .filter((log) => ethers.utils.getAddress(log.address) === address)
+    .map((log) => client.contract.interface.parseLog(log));
+  for (const event of events) {
+    const args = event.eventFragment.inputs.map(
+      (input, index) => `${input.name}: ${formatValue(event.args[index])}`,
+    );
+    console.log(`  ${event.name}(${args.join(', ')})`);
+  }
+
+  return events;
+}
+
+async function printPayment(client, payment) {
+  const decimals = await getDecimals(client, payment.token);
+  const format = (amount) => ethers.utils.formatUnits(amount, decimals);
+  console.log(`Payment ${payment.paymentId} ${payment.status}`);
+  console.log(`  Business Owner    ${payment.bo}`);
+  console.log(`  Client            ${payment.client}`);
+  console.log(
+    `  Token             ${
+      payment.token === ZERO_ADDRESS ? 'native coin' : payment.token
+    }`,
+  );
+  console.log(`  Amount            ${format(payment.amount)}`);
+  console.log(`  Paid amount       ${format(payment.paidAmount)}`);
+  console.log(`  Data              ${payment.data}`);
+  console.log(`  Payment deadline  ${formatTime(payment.paymentDeadline)}`);
+  console.log(`  Release deadline  ${formatTime(payment.releaseDeadline)}`);
+
+  const milestones = await client.getMilestones(payment.paymentId);
+  milestones.forEach((milestone, index) => {
+    console.log(
+      `  Milestone ${index}       ${format(milestone.amount)} ${
+        milestone.status
+      }, released at ${formatTime(milestone.releaseDeadline)}`,
+    );
+  });
+
+  return milestones;
+}
+
+cmbTask('cmb:request', 'Request a payment from a client as Business Owner')
+  .addParam('client', 'Address of client')
+  .addParam('amount', 'Amount in whole units of token, e.g. 1.5')
+  .addOptionalParam(
+    'data',
+    'bytes32 hex string or short text describing payment',
+    ethers.constants.HashZero,
+  )
+  .addOptionalParam(
+    'token',
+    'Token of payment, native coin by default',
+    ZERO_ADDRESS,
+  )
+  .addOptionalParam(
+    'paymentDuration',
+    'Seconds client has to pay',
+    PAYMENT_DURATION,
+    types.int,
+  )
+  .addOptionalParam(
+    'releaseDuration',
+    'Seconds from payment until money can be claimed without confirmation',
+    RELEASE_DURATION,
+    types.int,
+  )
+  .setAction(async (args, hre) => {
+    const client = await connect(args, hre);
+    const amount = ethers.utils.parseUnits(
+      args.amount,
+      await getDecimals(client, args.token),
+    );
+    const tx = await client.requestPayment(
+      args.client,
+      toBytes32(args.data),
+      amount,
+      {
+        token: args.token,
+        paymentDuration: args.paymentDuration,
+        releaseDuration: args.releaseDuration,
+      },
+    );
+    const events = await printEvents(client, tx);
+    const requested = events.find(({ name }) => name === 'RequestedPayment');
+    if (!requested) {
+      throw new Error(`Transaction ${tx.hash} did not emit RequestedPayment`);
+    }
+
+    return requested.args.paymentId;
+  });
+
+cmbTask('cmb:pay', 'Pay a payment as client')
+  .addParam('id', 'ID of payment', undefined, types.int)
+  .addOptionalParam(
+    'installment',
+    'Pay only this amount in whole units of token, e.g. 0.5',
+  )
+  .addFlag(
+    'accept',
+    'Accept terms of payment set by --amount and --data before paying',
+  )
+  .addOptionalParam(
+    'amount',
+    'Amount of payment to accept in whole units of token, e.g. 1.5',
+  )
+  .addOptionalParam(
+    'data',
+    'bytes32 hex string or short text describing payment to accept',
+  )
+  .setAction(async (args, hre) => {
+    if (args.accept && (args.amount === undefined || args.data === undefined)) {
+      throw new Error('--amount and --data need to be set to accept payment');
+    }
+    const client = await connect(args, hre);
+    const payment = await client.getPayment(args.id);
+    const decimals = await getDecimals(client, payment.token);
+    if (args.accept) {
+      await printEvents(
+        client,
+        await client.acceptRequest(
+          args.id,
+          ethers.utils.parseUnits(args.amount, decimals),
+          toBytes32(args.data),
+        ),
+      );
+    }
+
+    if (!args.installment) {
+      return printEvents(client, await client.pay(args.id));
+    }
+    const installment = ethers.utils.parseUnits(args.installment, decimals);
+
+    return printEvents(
+      client,
+      await client.payInstallment(args.id, installment),
+    );
+  });
+
+cmbTask('cmb:confirm', 'Confirm to release money of a paid payment as client')
+  .addParam('id', 'ID of payment', undefined, types.int)
+  .setAction(async (args, hre) => {
+    const client = await connect(args, hre);
+
+    return printEvents(client, await client.confirmToRelease(args.id));
+  });
+
+cmbTask('cmb:claim', 'Claim released money of a payment as Business Owner')
+  .addParam('id', 'ID of payment', undefined, types.int)
+  .setAction(async (args, hre) => {
+    const client = await connect(args, hre);
+
+    return printEvents(client, await client.claim(args.id));
+  });
+
+cmbTask(
+  'cmb:set-fee',
+  'Announce service fee as fee manager, or apply the announced one once effective',
+)
+  .addOptionalParam(
+    'bps',
+    'Service fee in basis points, e.g. 150 for 1.5%',
+    undefined,
+    types.int,
+  )
+  .addFlag('apply', 'Apply announced service fee')
+  .setAction(async (args, hre) => {
+    if (args.apply === (args.bps !== undefined)) {
+      throw new Error('Either --bps or --apply needs to be set');
+    }
+    const client = await connect(args, hre);
+    const tx = args.apply
+      ? await client.applyServiceFeePercent()
+      : await client.setServiceFeePercent(args.bps);
+
+    return printEvents(client, tx);
+  });
+
+cmbTask('cmb:withdraw-fees', 'Withdraw collected service fee as treasurer')
+  .addOptionalParam(
+    'token',
+    'Token of fee, native coin by default',
+    ZERO_ADDRESS,
+  )
+  .addOptionalParam(
+    'amount',
+    'Amount in whole units of token, all collected fee by default',
+  )
+  .addOptionalParam('receiver', 'Receiver of fee, sender by default')
+  .setAction(async (args, hre) => {
+    const client = await connect(args, hre);
+    const amount = args.amount
+      ? ethers.utils.parseUnits(
+          args.amount,
+          await getDecimals(client, args.token),
+        )
+      : await client.contract.getServiceFeeTotal(args.token);
+    const receiver = args.receiver || (await client.signer.getAddress());
+
+    return printEvents(
+      client,
+      await client.withdrawServiceFee(args.token, amount, receiver),
+    );
+  });
+
+cmbTask('cmb:show', 'Show a payment and its milestones')
+  .addPositionalParam('id', 'ID of payment', undefined, types.int)
+  .setAction(async (args, hre) => {
+    const client = await connect(args, hre);
+    const payment = await client.getPayment(args.id);
+    if (payment.paymentId.isZero()) {
+      throw new Error(`Payment ${args.id} does not exist`);
+    }
+    const milestones = await printPayment(client, payment);
+
+    return { ...payment, milestones };
+  });
+
+cmbTask('cmb:list', 'List payments of an account as Business Owner or client')
+  .addOptionalParam('account', 'Account of payments, sender by default')
+  .addOptionalParam('role', 'Role of account in payments, bo or client', 'bo')
+  .addOptionalParam('status', 'Only payments in status, e.g. PAID')
+  .addOptionalParam('offset', 'Payments to skip', 0, types.int)
+  .addOptionalParam('limit', 'Payments to list', 20, types.int)
+  .setAction(async (args, hre) => {
+    const client = await connect(args, hre);
+    const account = args.account || (await client.signer.getAddress());
+    if (args.status !== undefined && !(args.status in Status)) {
+      throw new Error(`${args.status} is not a status of payment`);
+    }
+    const options = {
+      status: args.status,
+      offset: args.offset,
+      limit: args.limit,
+    };
+    let payments;
+    if (args.role === 'bo') {
+      payments = await client.getPaymentsByBusinessOwner(account, options);
+    } else if (args.role === 'client') {
+      payments = await client.getPaymentsByClient(account, options);
+    } else {
+      throw new Error(`Role needs to be bo or client, not ${args.role}`);
+    }
+
+    for (const payment of payments) {
+      const decimals = await getDecimals(client, payment.token);
+      console.log(
+        `${payment.paymentId}\t${payment.status}\t${ethers.utils.formatUnits(
+          payment.amount,
+          decimals,
+        )}\t${payment.token === ZERO_ADDRESS ? 'native' : payment.token}\t${
+          args.role === 'bo' ? payment.client : payment.bo
+        }`,
+      );
+    }
+    if (payments.length === 0) console.log('No payments');
+
+    return payments;
+  });
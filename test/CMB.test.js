@@ -9,14 +9,32 @@ const REQUESTING_STATUS = 0;
 const PAID_STATUS = 1;
 const CONFIRMED_STATUS = 2;
 const CLAIMED_STATUS = 3;
+const DISPUTED_STATUS = 4;
+const RESOLVED_STATUS = 5;
+const CANCELLED_STATUS = 6;
+const REFUNDED_STATUS = 7;
 const BEGINNING_PAYMENT_ID = 1;
 const NOT_EXISTED_PAYMENT_ID = 9999;
 
 const WEIGHT_DECIMAL = 1e6;
 const DEFAULT_FEE_PERCENTAGE = 15e5;
+const PAYMENT_DURATION = 7 * 24 * 60 * 60;
+const RELEASE_DURATION = 14 * 24 * 60 * 60;
+const FEE_CHANGE_DELAY = 2 * 24 * 60 * 60;
+const MAX_SERVICE_FEE_BPS = 1000;
+
+const DEFAULT_ADMIN_ROLE = ethers.constants.HashZero;
+const FEE_MANAGER_ROLE = ethers.utils.id('FEE_MANAGER_ROLE');
+const TREASURER_ROLE = ethers.utils.id('TREASURER_ROLE');
+const PAUSER_ROLE = ethers.utils.id('PAUSER_ROLE');
+const ARBITER_ROLE = ethers.utils.id('ARBITER_ROLE');
 
 const provider = ethers.provider;
 const getTransactionFee = require('../utils/getTransactionFee');
+const acceptRequest = require('../utils/acceptRequest');
+const increaseTime = require('../utils/increaseTime');
+const signPermit = require('../utils/signPermit');
+const { buildInvoice, signInvoice, signForwardRequest } = require('../sdk');
 
 const chai = require('chai');
 chai.use(require('chai-bignumber')());
@@ -31,18 +49,23 @@ describe('CMB - Unit test', () => {
     client2 = accounts[2];
     fundingReceiver = accounts[3];
     stranger = accounts[4];
+    arbiter = accounts[5];
     // serviceFee = ethers.utils.parseEther('0.002');
 
     CMB = await ethers.getContractFactory('CMB');
     cmbContract = await upgrades.deployProxy(CMB, [bo.address]);
+    await cmbContract.connect(bo).grantRole(FEE_MANAGER_ROLE, bo.address);
+    await cmbContract.connect(bo).grantRole(TREASURER_ROLE, bo.address);
   });
 
   describe('initialize', async () => {
-    it('Should assign service fee and owner successfully', async () => {
+    it('Should assign service fee and admin successfully', async () => {
       expect(await cmbContract.serviceFeePercent()).to.equal(
         DEFAULT_FEE_PERCENTAGE,
       );
-      expect(await cmbContract.owner()).to.equal(bo.address);
+      expect(await cmbContract.hasRole(DEFAULT_ADMIN_ROLE, bo.address)).to.be
+        .true;
+      expect(await cmbContract.owner()).to.equal(ZERO_ADDRESS);
     });
   });
 
@@ -50,7 +73,14 @@ describe('CMB - Unit test', () => {
     it('Should request payment successfully', async () => {
       const tx = await cmbContract
         .connect(bo)
-        .requestPayment(client.address, data, amount);
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
 
       const lastPaymentId = await cmbContract.lastPaymentId();
       const payment = await cmbContract.payments(lastPaymentId);
@@ -67,14 +97,28 @@ describe('CMB - Unit test', () => {
     it('Should request payment fail when client address is invalid', async () => {
       const tx = cmbContract
         .connect(bo)
-        .requestPayment(ZERO_ADDRESS, data, amount);
+        .requestPayment(
+          ZERO_ADDRESS,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
       await expect(tx).to.be.revertedWith('Invalid address');
     });
 
     it('Should request payment fail when client address and business owner address are same', async () => {
       const tx = cmbContract
         .connect(bo)
-        .requestPayment(bo.address, data, amount);
+        .requestPayment(
+          bo.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
       await expect(tx).to.be.revertedWith(
         'Business Owner and Client can not be same',
       );
@@ -85,11 +129,19 @@ describe('CMB - Unit test', () => {
     beforeEach(async () => {
       await cmbContract
         .connect(bo)
-        .requestPayment(client.address, data, amount);
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
       lastPaymentId = await cmbContract.lastPaymentId();
     });
 
     it('Should pay successfully, status will change to PAID and serviceTotalFee will be increased by service fee ', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
       const balanceOfClientBefore = await provider.getBalance(client.address);
       const balanceOfContractBefore = await provider.getBalance(
         cmbContract.address,
@@ -133,23 +185,301 @@ describe('CMB - Unit test', () => {
     });
 
     it('Should be fail when client not pay enough amount payment', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
       await expect(
         cmbContract
           .connect(client)
           .pay(lastPaymentId, { value: amount.sub(1) }),
       ).to.be.revertedWith('Not enough fee according to payment');
     });
+
+    it('Should be fail when client has not accepted payment', async () => {
+      await expect(
+        cmbContract.connect(client).pay(lastPaymentId, { value: amount }),
+      ).to.be.revertedWith('Client has not accepted payment');
+    });
+
+    it('Should be fail when this payment has been paid', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await expect(
+        cmbContract.connect(client).pay(lastPaymentId, { value: amount }),
+      ).to.be.revertedWith('This payment needs to be requested');
+      expect((await cmbContract.payments(lastPaymentId)).paidAmount).to.equal(
+        amount,
+      );
+    });
+
+    it('Should credit native coin sent over amount of payment', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract
+        .connect(client)
+        .pay(lastPaymentId, { value: amount.mul(3) });
+      expect((await cmbContract.payments(lastPaymentId)).paidAmount).to.equal(
+        amount,
+      );
+      expect(await cmbContract.withdrawableBalances(client.address)).to.equal(
+        amount.mul(2),
+      );
+
+      await expect(() =>
+        cmbContract.connect(client).withdraw(),
+      ).to.changeEtherBalances(
+        [client, cmbContract],
+        [amount.mul(2), amount.mul(-2)],
+      );
+    });
+  });
+
+  describe('payInstallment', async () => {
+    beforeEach(async () => {
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      lastPaymentId = await cmbContract.lastPaymentId();
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      installment = amount.div(4);
+    });
+
+    it('Should pay in installments until amount is reached', async () => {
+      await expect(
+        cmbContract
+          .connect(client)
+          .payInstallment(lastPaymentId, installment, { value: installment }),
+      )
+        .to.emit(cmbContract, 'PaidInstallment')
+        .withArgs(lastPaymentId, installment, installment);
+
+      let payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.status).to.equal(REQUESTING_STATUS);
+      expect(payment.paidAmount).to.equal(installment);
+      expect(payment.releaseDeadline).to.equal(0);
+
+      // pay pays the rest
+      await expect(
+        cmbContract
+          .connect(client)
+          .pay(lastPaymentId, { value: amount.sub(installment) }),
+      )
+        .to.emit(cmbContract, 'Paid')
+        .withArgs(lastPaymentId);
+      payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.status).to.equal(PAID_STATUS);
+      expect(payment.paidAmount).to.equal(amount);
+      expect(await provider.getBalance(cmbContract.address)).to.equal(amount);
+    });
+
+    it('Should cap the last installment and credit the excess', async () => {
+      await cmbContract
+        .connect(client)
+        .payInstallment(lastPaymentId, installment.mul(3), {
+          value: installment.mul(3),
+        });
+
+      await expect(() =>
+        cmbContract
+          .connect(client)
+          .payInstallment(lastPaymentId, amount, { value: amount }),
+      ).to.changeEtherBalances([client, cmbContract], [amount.mul(-1), amount]);
+      expect(await cmbContract.withdrawableBalances(client.address)).to.equal(
+        amount.sub(installment),
+      );
+      const payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.status).to.equal(PAID_STATUS);
+      expect(payment.paidAmount).to.equal(amount);
+      expect(payment.releaseDeadline).to.be.gt(0);
+
+      await expect(
+        cmbContract
+          .connect(client)
+          .payInstallment(lastPaymentId, installment, { value: installment }),
+      ).to.be.revertedWith('This payment needs to be requested');
+    });
+
+    it('Should lock terms of payment after the first installment', async () => {
+      await cmbContract
+        .connect(client)
+        .payInstallment(lastPaymentId, installment, { value: installment });
+
+      await expect(
+        cmbContract.connect(bo).setAmount(lastPaymentId, amount.mul(2)),
+      ).to.be.revertedWith('This payment is partly paid');
+      await expect(
+        cmbContract.connect(bo).setClient(lastPaymentId, client2.address),
+      ).to.be.revertedWith('This payment is partly paid');
+    });
+
+    it('Should refund installments of cancelled or expired payment', async () => {
+      await cmbContract
+        .connect(client)
+        .payInstallment(lastPaymentId, installment, { value: installment });
+      await expect(
+        cmbContract.connect(client).claimRefund(lastPaymentId),
+      ).to.be.revertedWith('This payment needs to be cancelled');
+
+      await increaseTime(PAYMENT_DURATION + 1);
+      await expect(
+        cmbContract
+          .connect(client)
+          .payInstallment(lastPaymentId, installment, { value: installment }),
+      ).to.be.revertedWith('This payment has expired');
+      await expect(cmbContract.connect(client).claimRefund(lastPaymentId))
+        .to.emit(cmbContract, 'Refunded')
+        .withArgs(lastPaymentId, installment);
+      expect(await cmbContract.withdrawableBalances(client.address)).to.equal(
+        installment,
+      );
+    });
+
+    it('Should be fail for invalid installment', async () => {
+      await expect(
+        cmbContract
+          .connect(client)
+          .payInstallment(lastPaymentId, 0, { value: 0 }),
+      ).to.be.revertedWith('Amount must be greater than 0');
+      await expect(
+        cmbContract.connect(client).payInstallment(lastPaymentId, installment, {
+          value: installment.sub(1),
+        }),
+      ).to.be.revertedWith('Not enough fee according to payment');
+      await expect(
+        cmbContract
+          .connect(stranger)
+          .payInstallment(lastPaymentId, installment, { value: installment }),
+      ).to.be.revertedWith('Only Client can do it');
+
+      await cmbContract
+        .connect(bo)
+        .requestMilestonePayment(
+          client.address,
+          data,
+          [amount],
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      await expect(
+        cmbContract
+          .connect(client)
+          .payInstallment(lastPaymentId.add(1), installment, {
+            value: installment,
+          }),
+      ).to.be.revertedWith('This payment needs to be released by milestone');
+    });
+  });
+
+  describe('acceptRequest', async () => {
+    beforeEach(async () => {
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      lastPaymentId = await cmbContract.lastPaymentId();
+    });
+
+    it('Should accept terms that client expects', async () => {
+      await expect(
+        cmbContract.connect(client).acceptRequest(lastPaymentId, amount, data),
+      )
+        .to.emit(cmbContract, 'AcceptedRequest')
+        .withArgs(lastPaymentId, client.address, amount, data);
+      expect(await cmbContract.acceptedPayments(lastPaymentId)).to.be.true;
+
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await expect(
+        cmbContract.connect(client).acceptRequest(lastPaymentId, amount, data),
+      ).to.be.revertedWith('This payment needs to be requested');
+    });
+
+    it('Should be fail when terms have changed', async () => {
+      await expect(
+        cmbContract
+          .connect(client)
+          .acceptRequest(lastPaymentId, amount.sub(1), data),
+      ).to.be.revertedWith('Terms of payment have changed');
+      await expect(
+        cmbContract
+          .connect(client)
+          .acceptRequest(lastPaymentId, amount, ethers.constants.HashZero),
+      ).to.be.revertedWith('Terms of payment have changed');
+      await expect(
+        cmbContract
+          .connect(stranger)
+          .acceptRequest(lastPaymentId, amount, data),
+      ).to.be.revertedWith('Only Client can do it');
+      await expect(
+        cmbContract
+          .connect(client)
+          .acceptRequest(NOT_EXISTED_PAYMENT_ID, amount, data),
+      ).to.be.revertedWith('This payment is invalid');
+    });
+
+    it('Should clear acceptance when Business Owner edits payment', async () => {
+      const newData = ethers.utils.formatBytes32String('edited');
+      const edits = [
+        () => cmbContract.connect(bo).setAmount(lastPaymentId, amount.mul(2)),
+        () => cmbContract.connect(bo).setData(lastPaymentId, newData),
+        () => cmbContract.connect(bo).setClient(lastPaymentId, client.address),
+      ];
+      for (const edit of edits) {
+        await acceptRequest(cmbContract, client, lastPaymentId);
+        await edit();
+        expect(await cmbContract.acceptedPayments(lastPaymentId)).to.be.false;
+        await expect(
+          cmbContract
+            .connect(client)
+            .pay(lastPaymentId, { value: amount.mul(2) }),
+        ).to.be.revertedWith('Client has not accepted payment');
+      }
+
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract
+        .connect(client)
+        .pay(lastPaymentId, { value: amount.mul(2) });
+    });
+
+    it('Should not let Business Owner raise amount accepted by client', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      // Business Owner front-runs payment of client with a higher amount
+      await cmbContract.connect(bo).setAmount(lastPaymentId, amount.mul(2));
+      await expect(
+        cmbContract
+          .connect(client)
+          .pay(lastPaymentId, { value: amount.mul(2) }),
+      ).to.be.revertedWith('Client has not accepted payment');
+    });
   });
 
   describe('confirmToRelease', async () => {
     beforeEach(async () => {
       await cmbContract
         .connect(bo)
-        .requestPayment(client.address, data, amount);
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
     });
 
     it('Should confirm to release successfully, status will change to CONFIRMED', async () => {
       const lastPaymentId = cmbContract.lastPaymentId();
+      await acceptRequest(cmbContract, client, lastPaymentId);
       await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
       await cmbContract.connect(client).confirmToRelease(lastPaymentId);
 
@@ -160,6 +490,7 @@ describe('CMB - Unit test', () => {
 
     it('Should be fail when caller is not client', async () => {
       const lastPaymentId = cmbContract.lastPaymentId();
+      await acceptRequest(cmbContract, client, lastPaymentId);
       await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
       await expect(
         cmbContract.connect(bo).confirmToRelease(lastPaymentId),
@@ -184,8 +515,16 @@ describe('CMB - Unit test', () => {
     beforeEach(async () => {
       await cmbContract
         .connect(bo)
-        .requestPayment(client.address, data, amount);
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
       lastPaymentId = await cmbContract.lastPaymentId();
+      await acceptRequest(cmbContract, client, lastPaymentId);
       await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
     });
 
@@ -212,16 +551,28 @@ describe('CMB - Unit test', () => {
       const receivedAmount = payment.amount.sub(serviceFee);
 
       expect(await payment.status).to.equal(CLAIMED_STATUS);
-      expect(balanceOfBoAfter).to.equal(
-        balanceOfBoBefore.add(receivedAmount).sub(txFee),
-      );
-      expect(balanceOfContractAfter).to.equal(
-        balanceOfContractBefore.sub(receivedAmount),
+      expect(balanceOfBoAfter).to.equal(balanceOfBoBefore.sub(txFee));
+      expect(balanceOfContractAfter).to.equal(balanceOfContractBefore);
+      expect(await cmbContract.withdrawableBalances(bo.address)).to.equal(
+        receivedAmount,
       );
       expect(serviceFeeTotalAfter).to.equal(
         serviceFeeTotalBefore.add(serviceFee),
       );
       expect(cmbContract).to.emit('Claimed');
+
+      const withdrawal = await cmbContract.connect(bo).withdraw();
+      const withdrawalFee = await getTransactionFee(withdrawal, cmbContract);
+      await expect(withdrawal)
+        .to.emit(cmbContract, 'Withdrawn')
+        .withArgs(bo.address, receivedAmount);
+      expect(await provider.getBalance(bo.address)).to.equal(
+        balanceOfBoAfter.add(receivedAmount).sub(withdrawalFee),
+      );
+      expect(await provider.getBalance(cmbContract.address)).to.equal(
+        balanceOfContractBefore.sub(receivedAmount),
+      );
+      expect(await cmbContract.withdrawableBalances(bo.address)).to.equal(0);
     });
 
     it('Should be fail when this payment is invalid', async () => {
@@ -248,8 +599,16 @@ describe('CMB - Unit test', () => {
     beforeEach(async () => {
       await cmbContract
         .connect(bo)
-        .requestPayment(client.address, data, amount);
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
       lastPaymentId = cmbContract.lastPaymentId();
+      await acceptRequest(cmbContract, client, lastPaymentId);
       await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
       await cmbContract.connect(client).confirmToRelease(lastPaymentId);
       await cmbContract.connect(bo).claim(lastPaymentId);
@@ -269,7 +628,11 @@ describe('CMB - Unit test', () => {
 
       const transaction = await cmbContract
         .connect(bo)
-        .withdrawServiceFee(serviceFeeTotal, fundingReceiver.address);
+        .withdrawServiceFee(
+          ZERO_ADDRESS,
+          serviceFeeTotal,
+          fundingReceiver.address,
+        );
 
       const txFee = await getTransactionFee(transaction, cmbContract);
 
@@ -282,9 +645,11 @@ describe('CMB - Unit test', () => {
         cmbContract.address,
       );
 
-      expect(balanceOfReceiverAfter).to.equal(
-        balanceOfReceiverBefore.add(serviceFeeTotal),
-      );
+      expect(balanceOfReceiverAfter).to.equal(balanceOfReceiverBefore);
+      expect(
+        await cmbContract.withdrawableBalances(fundingReceiver.address),
+      ).to.equal(serviceFeeTotal);
+      expect(balanceOfContractAfter).to.equal(balanceOfContractBefore);
       expect(balanceOfBoAfter).to.equal(balanceOfBoBefore.sub(txFee));
       expect(serviceFeeTotalBefore).to.equal(
         serviceFeeTotalAfter.add(serviceFeeTotal),
@@ -298,7 +663,7 @@ describe('CMB - Unit test', () => {
       await expect(
         cmbContract
           .connect(bo)
-          .withdrawServiceFee(ZERO_FEE, fundingReceiver.address),
+          .withdrawServiceFee(ZERO_ADDRESS, ZERO_FEE, fundingReceiver.address),
       ).to.be.revertedWith('Amount must be greater than 0');
     });
 
@@ -308,48 +673,95 @@ describe('CMB - Unit test', () => {
       await expect(
         cmbContract
           .connect(bo)
-          .withdrawServiceFee(amountFee, fundingReceiver.address),
+          .withdrawServiceFee(ZERO_ADDRESS, amountFee, fundingReceiver.address),
       ).to.be.revertedWith('Not enough to withdraw');
     });
 
-    it('Should be fail when caller is not owner', async () => {
+    it('Should be fail when caller is not treasurer', async () => {
       await expect(
         cmbContract
           .connect(client)
-          .withdrawServiceFee(serviceFeeTotal, fundingReceiver.address),
-      ).to.be.revertedWith('Ownable: caller is not the owner');
+          .withdrawServiceFee(
+            ZERO_ADDRESS,
+            serviceFeeTotal,
+            fundingReceiver.address,
+          ),
+      ).to.be.revertedWith('Caller is missing role');
     });
 
     it('Should be fail when funding receiver is an invalid address', async () => {
       await expect(
         cmbContract
           .connect(bo)
-          .withdrawServiceFee(serviceFeeTotal, ZERO_ADDRESS),
+          .withdrawServiceFee(ZERO_ADDRESS, serviceFeeTotal, ZERO_ADDRESS),
       ).to.be.revertedWith('Invalid address');
     });
   });
 
   describe('setServiceFeePercent', async () => {
-    const newServiceFeePercentage = 25;
-    it('Should set service fee successfully', async () => {
-      await cmbContract
-        .connect(bo)
-        .setServiceFeePercent(newServiceFeePercentage);
-      const serviceFeePercent = await cmbContract.serviceFeePercent();
-      expect(await cmbContract.serviceFeePercent()).to.equal(serviceFeePercent);
-      expect(cmbContract).to.emit('SetServiceFee');
+    // 2.5% in basis points
+    const newServiceFeeBps = 250;
+    const newServiceFeePercent = (newServiceFeeBps * WEIGHT_DECIMAL) / 100;
+
+    it('Should announce and apply service fee after delay', async () => {
+      const tx = cmbContract.connect(bo).setServiceFeePercent(newServiceFeeBps);
+      await expect(tx).to.emit(cmbContract, 'PendingServiceFeePercent');
+      const { timestamp } = await provider.getBlock('latest');
+      const pending = await cmbContract.pendingServiceFeePercent();
+      expect(pending.value).to.equal(newServiceFeePercent);
+      expect(pending.effectiveAt).to.equal(timestamp + FEE_CHANGE_DELAY);
+      expect(await cmbContract.serviceFeePercent()).to.equal(
+        DEFAULT_FEE_PERCENTAGE,
+      );
+
+      await expect(
+        cmbContract.connect(stranger).applyServiceFeePercent(),
+      ).to.be.revertedWith('Fee change is not effective yet');
+
+      await increaseTime(FEE_CHANGE_DELAY);
+      await expect(cmbContract.connect(stranger).applyServiceFeePercent())
+        .to.emit(cmbContract, 'ServiceFeePercent')
+        .withArgs(
+          stranger.address,
+          DEFAULT_FEE_PERCENTAGE,
+          newServiceFeePercent,
+        );
+      expect(await cmbContract.serviceFeePercent()).to.equal(
+        newServiceFeePercent,
+      );
+      expect(
+        (await cmbContract.pendingServiceFeePercent()).effectiveAt,
+      ).to.equal(0);
+    });
+
+    it('Should set fractional percent that default fee uses', async () => {
+      await cmbContract.connect(bo).setServiceFeePercent(150);
+      await increaseTime(FEE_CHANGE_DELAY);
+      await cmbContract.connect(bo).applyServiceFeePercent();
+      expect(await cmbContract.serviceFeePercent()).to.equal(
+        DEFAULT_FEE_PERCENTAGE,
+      );
+    });
+
+    it('Should be fail to apply when no change is pending', async () => {
+      await expect(
+        cmbContract.connect(bo).applyServiceFeePercent(),
+      ).to.be.revertedWith('No pending fee change');
     });
 
-    it('Should be fail when service fee is zero', async () => {
+    it('Should be fail when service fee is zero or exceeds cap', async () => {
       await expect(
         cmbContract.connect(bo).setServiceFeePercent(0),
       ).to.be.revertedWith('Service fee percentage must be greather than 0');
+      await expect(
+        cmbContract.connect(bo).setServiceFeePercent(MAX_SERVICE_FEE_BPS + 1),
+      ).to.be.revertedWith('Service fee exceeds cap');
     });
 
-    it('Should be fail when caller is not owner', async () => {
+    it('Should be fail when caller is not fee manager', async () => {
       await expect(
         cmbContract.connect(client).setServiceFeePercent(amount),
-      ).to.be.revertedWith('Ownable: caller is not the owner');
+      ).to.be.revertedWith('Caller is missing role');
     });
   });
 
@@ -357,16 +769,26 @@ describe('CMB - Unit test', () => {
     beforeEach(async () => {
       await cmbContract
         .connect(bo)
-        .requestPayment(client.address, data, amount);
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
     });
 
     it('Should set client successfully', async () => {
-      const lastPaymentId = cmbContract.lastPaymentId();
-      await cmbContract.connect(bo).setClient(lastPaymentId, client2.address);
+      const lastPaymentId = await cmbContract.lastPaymentId();
+      await expect(
+        cmbContract.connect(bo).setClient(lastPaymentId, client2.address),
+      )
+        .to.emit(cmbContract, 'SetClient')
+        .withArgs(lastPaymentId, bo.address, client.address, client2.address);
 
       const payment = await cmbContract.payments(lastPaymentId);
       expect(payment.client).to.equal(client2.address);
-      expect(cmbContract).to.emit('SetClient');
     });
 
     it('Should be fail when caller is not business owner', async () => {
@@ -391,6 +813,7 @@ describe('CMB - Unit test', () => {
 
     it('Should be fail when this payment status is not requesting', async () => {
       const lastPaymentId = await cmbContract.lastPaymentId();
+      await acceptRequest(cmbContract, client, lastPaymentId);
       await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
       await expect(
         cmbContract.connect(bo).setClient(lastPaymentId, client2.address),
@@ -402,18 +825,26 @@ describe('CMB - Unit test', () => {
     beforeEach(async () => {
       await cmbContract
         .connect(bo)
-        .requestPayment(client.address, data, amount);
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
       newData =
         '0x123f6f6261720000000000000000000000000000000000000000000000000000';
     });
 
     it('Should set data successfully', async () => {
-      const lastPaymentId = cmbContract.lastPaymentId();
-      await cmbContract.connect(bo).setData(lastPaymentId, newData);
+      const lastPaymentId = await cmbContract.lastPaymentId();
+      await expect(cmbContract.connect(bo).setData(lastPaymentId, newData))
+        .to.emit(cmbContract, 'SetData')
+        .withArgs(lastPaymentId, bo.address, data, newData);
 
       const payment = await cmbContract.payments(lastPaymentId);
       expect(payment.data).to.equal(newData);
-      expect(cmbContract).to.emit('SetData');
     });
 
     it('Should be fail when caller is not business owner', async () => {
@@ -431,6 +862,7 @@ describe('CMB - Unit test', () => {
 
     it('Should be fail when this payment status is not requesting', async () => {
       const lastPaymentId = await cmbContract.lastPaymentId();
+      await acceptRequest(cmbContract, client, lastPaymentId);
       await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
       await expect(
         cmbContract.connect(bo).setData(lastPaymentId, newData),
@@ -442,17 +874,25 @@ describe('CMB - Unit test', () => {
     beforeEach(async () => {
       await cmbContract
         .connect(bo)
-        .requestPayment(client.address, data, amount);
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
       newAmount = ethers.utils.parseEther('0.012345');
       lastPaymentId = cmbContract.lastPaymentId();
     });
 
     it('Should set amount payment successfully', async () => {
-      await cmbContract.connect(bo).setAmount(lastPaymentId, newAmount);
+      await expect(cmbContract.connect(bo).setAmount(lastPaymentId, newAmount))
+        .to.emit(cmbContract, 'SetAmount')
+        .withArgs(await lastPaymentId, bo.address, amount, newAmount);
 
       const payment = await cmbContract.payments(lastPaymentId);
       expect(payment.amount).to.equal(newAmount);
-      expect(cmbContract).to.emit('SetAmount');
     });
 
     it('Should be fail when caller is not business owner', async () => {
@@ -476,10 +916,2783 @@ describe('CMB - Unit test', () => {
 
     it('Should be fail when this payment status is not requesting', async () => {
       const lastPaymentId = await cmbContract.lastPaymentId();
+      await acceptRequest(cmbContract, client, lastPaymentId);
       await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
       await expect(
         cmbContract.connect(bo).setAmount(lastPaymentId, newAmount),
       ).to.be.revertedWith('This payment needs to be requested');
     });
   });
+
+  describe('roles', async () => {
+    it('Should grant and revoke role by admin', async () => {
+      await expect(
+        cmbContract.connect(bo).grantRole(ARBITER_ROLE, arbiter.address),
+      )
+        .to.emit(cmbContract, 'RoleGranted')
+        .withArgs(ARBITER_ROLE, arbiter.address, bo.address);
+      expect(await cmbContract.hasRole(ARBITER_ROLE, arbiter.address)).to.be
+        .true;
+
+      await expect(
+        cmbContract.connect(bo).revokeRole(ARBITER_ROLE, arbiter.address),
+      )
+        .to.emit(cmbContract, 'RoleRevoked')
+        .withArgs(ARBITER_ROLE, arbiter.address, bo.address);
+      expect(await cmbContract.hasRole(ARBITER_ROLE, arbiter.address)).to.be
+        .false;
+    });
+
+    it('Should renounce own role', async () => {
+      await cmbContract.connect(bo).grantRole(ARBITER_ROLE, arbiter.address);
+      await expect(
+        cmbContract.connect(bo).renounceRole(ARBITER_ROLE, arbiter.address),
+      ).to.be.revertedWith('Can only renounce roles for self');
+
+      await cmbContract
+        .connect(arbiter)
+        .renounceRole(ARBITER_ROLE, arbiter.address);
+      expect(await cmbContract.hasRole(ARBITER_ROLE, arbiter.address)).to.be
+        .false;
+    });
+
+    it('Should be fail when caller is not admin', async () => {
+      await expect(
+        cmbContract.connect(client).grantRole(ARBITER_ROLE, client.address),
+      ).to.be.revertedWith('Caller is missing role');
+      await expect(
+        cmbContract.connect(client).revokeRole(FEE_MANAGER_ROLE, bo.address),
+      ).to.be.revertedWith('Caller is missing role');
+    });
+
+    it('Should keep roles separate from admin', async () => {
+      await cmbContract
+        .connect(bo)
+        .grantRole(DEFAULT_ADMIN_ROLE, client.address);
+      expect(await cmbContract.getRoleAdmin(FEE_MANAGER_ROLE)).to.equal(
+        DEFAULT_ADMIN_ROLE,
+      );
+      await expect(
+        cmbContract.connect(client).setServiceFeePercent(2),
+      ).to.be.revertedWith('Caller is missing role');
+    });
+
+    it('Should move owner of upgraded proxy into admin role', async () => {
+      const OwnableCMBMock = await ethers.getContractFactory('OwnableCMBMock');
+      const proxy = await upgrades.deployProxy(OwnableCMBMock, [bo.address]);
+
+      const upgraded = await upgrades.upgradeProxy(proxy.address, CMB, {
+        call: 'initializeRoles',
+      });
+
+      expect(await upgraded.hasRole(DEFAULT_ADMIN_ROLE, bo.address)).to.be.true;
+      expect(await upgraded.owner()).to.equal(ZERO_ADDRESS);
+      await expect(upgraded.initializeRoles()).to.be.revertedWith(
+        'Initializable: contract is already initialized',
+      );
+    });
+  });
+
+  describe('raiseDispute', async () => {
+    beforeEach(async () => {
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      lastPaymentId = await cmbContract.lastPaymentId();
+    });
+
+    it('Should raise dispute by client successfully, status will change to DISPUTED', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await expect(cmbContract.connect(client).raiseDispute(lastPaymentId))
+        .to.emit(cmbContract, 'Disputed')
+        .withArgs(lastPaymentId, client.address);
+
+      const payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.status).to.equal(DISPUTED_STATUS);
+    });
+
+    it('Should raise dispute by business owner successfully', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await expect(cmbContract.connect(bo).raiseDispute(lastPaymentId))
+        .to.emit(cmbContract, 'Disputed')
+        .withArgs(lastPaymentId, bo.address);
+    });
+
+    it('Should be fail when caller is neither business owner nor client', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await expect(
+        cmbContract.connect(stranger).raiseDispute(lastPaymentId),
+      ).to.be.revertedWith('Only Business Owner or Client can do it');
+    });
+
+    it('Should be fail when this payment is not paid by client', async () => {
+      await expect(
+        cmbContract.connect(client).raiseDispute(lastPaymentId),
+      ).to.be.revertedWith('This payment needs to paid by client');
+    });
+
+    it('Should be fail when this payment is invalid', async () => {
+      await expect(
+        cmbContract.connect(client).raiseDispute(NOT_EXISTED_PAYMENT_ID),
+      ).to.be.revertedWith('This payment is invalid');
+    });
+
+    it('Should be fail to confirm to release when this payment is disputed', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await cmbContract.connect(client).raiseDispute(lastPaymentId);
+      await expect(
+        cmbContract.connect(client).confirmToRelease(lastPaymentId),
+      ).to.be.revertedWith('This payment needs to paid by client');
+    });
+  });
+
+  describe('resolveDispute', async () => {
+    beforeEach(async () => {
+      await cmbContract.connect(bo).grantRole(ARBITER_ROLE, arbiter.address);
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      lastPaymentId = await cmbContract.lastPaymentId();
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+    });
+
+    it('Should resolve dispute successfully, status will change to RESOLVED', async () => {
+      await cmbContract.connect(client).raiseDispute(lastPaymentId);
+
+      const boAmount = amount.mul(7).div(10);
+      const clientAmount = amount.sub(boAmount);
+      const serviceFee = await cmbContract.calculateServiceFee(boAmount);
+
+      await expect(
+        cmbContract.connect(arbiter).resolveDispute(lastPaymentId, boAmount),
+      )
+        .to.emit(cmbContract, 'ResolvedDispute')
+        .withArgs(lastPaymentId, boAmount, clientAmount);
+
+      const payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.status).to.equal(RESOLVED_STATUS);
+      expect(await cmbContract.withdrawableBalances(bo.address)).to.equal(
+        boAmount.sub(serviceFee),
+      );
+      expect(await cmbContract.withdrawableBalances(client.address)).to.equal(
+        clientAmount,
+      );
+      expect(await cmbContract.serviceFeeTotal()).to.equal(serviceFee);
+      expect(await provider.getBalance(cmbContract.address)).to.equal(amount);
+    });
+
+    it('Should refund all to client when business owner amount is zero', async () => {
+      await cmbContract.connect(bo).raiseDispute(lastPaymentId);
+
+      await cmbContract.connect(arbiter).resolveDispute(lastPaymentId, 0);
+
+      expect(await cmbContract.withdrawableBalances(client.address)).to.equal(
+        amount,
+      );
+      expect(await cmbContract.withdrawableBalances(bo.address)).to.equal(0);
+      expect(await cmbContract.serviceFeeTotal()).to.equal(0);
+    });
+
+    it('Should be fail when caller is not arbiter', async () => {
+      await cmbContract.connect(client).raiseDispute(lastPaymentId);
+      await expect(
+        cmbContract.connect(bo).resolveDispute(lastPaymentId, amount),
+      ).to.be.revertedWith('Caller is missing role');
+    });
+
+    it('Should be fail when this payment is not disputed', async () => {
+      await expect(
+        cmbContract.connect(arbiter).resolveDispute(lastPaymentId, amount),
+      ).to.be.revertedWith('This payment needs to be disputed');
+    });
+
+    it('Should be fail when business owner amount exceeds payment amount', async () => {
+      await cmbContract.connect(client).raiseDispute(lastPaymentId);
+      await expect(
+        cmbContract
+          .connect(arbiter)
+          .resolveDispute(lastPaymentId, amount.add(1)),
+      ).to.be.revertedWith('Amount exceeds payment amount');
+    });
+  });
+
+  describe('cancelPayment', async () => {
+    beforeEach(async () => {
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      lastPaymentId = await cmbContract.lastPaymentId();
+    });
+
+    it('Should cancel requesting payment successfully, status will change to CANCELLED', async () => {
+      await expect(cmbContract.connect(bo).cancelPayment(lastPaymentId))
+        .to.emit(cmbContract, 'Cancelled')
+        .withArgs(lastPaymentId);
+
+      const payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.status).to.equal(CANCELLED_STATUS);
+    });
+
+    it('Should cancel paid payment successfully', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await cmbContract.connect(bo).cancelPayment(lastPaymentId);
+
+      const payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.status).to.equal(CANCELLED_STATUS);
+      expect(payment.paidAmount).to.equal(amount);
+    });
+
+    it('Should be fail when caller is not business owner', async () => {
+      await expect(
+        cmbContract.connect(client).cancelPayment(lastPaymentId),
+      ).to.be.revertedWith('Only Business Owner can do it');
+    });
+
+    it('Should be fail when this payment is confirmed', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await cmbContract.connect(client).confirmToRelease(lastPaymentId);
+      await expect(
+        cmbContract.connect(bo).cancelPayment(lastPaymentId),
+      ).to.be.revertedWith('This payment can not be cancelled');
+    });
+
+    it('Should be fail to pay and update when this payment is cancelled', async () => {
+      await cmbContract.connect(bo).cancelPayment(lastPaymentId);
+
+      await expect(
+        cmbContract.connect(client).pay(lastPaymentId, { value: amount }),
+      ).to.be.revertedWith('This payment needs to be requested');
+      await expect(
+        cmbContract.connect(bo).setClient(lastPaymentId, client2.address),
+      ).to.be.revertedWith('This payment needs to be requested');
+      await expect(
+        cmbContract.connect(bo).setData(lastPaymentId, data),
+      ).to.be.revertedWith('This payment needs to be requested');
+      await expect(
+        cmbContract.connect(bo).setAmount(lastPaymentId, amount),
+      ).to.be.revertedWith('This payment needs to be requested');
+    });
+  });
+
+  describe('refund', async () => {
+    beforeEach(async () => {
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      lastPaymentId = await cmbContract.lastPaymentId();
+    });
+
+    it('Should refund successfully, status will change to REFUNDED', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+
+      await expect(cmbContract.connect(bo).refund(lastPaymentId))
+        .to.emit(cmbContract, 'Refunded')
+        .withArgs(lastPaymentId, amount);
+
+      const payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.status).to.equal(REFUNDED_STATUS);
+      expect(await cmbContract.withdrawableBalances(client.address)).to.equal(
+        amount,
+      );
+
+      await cmbContract.connect(client).withdraw();
+      expect(await provider.getBalance(cmbContract.address)).to.equal(0);
+    });
+
+    it('Should be fail when caller is not business owner', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await expect(
+        cmbContract.connect(client).refund(lastPaymentId),
+      ).to.be.revertedWith('Only Business Owner can do it');
+    });
+
+    it('Should be fail when this payment is not paid by client', async () => {
+      await expect(
+        cmbContract.connect(bo).refund(lastPaymentId),
+      ).to.be.revertedWith('This payment needs to paid by client');
+    });
+  });
+
+  describe('claimRefund', async () => {
+    beforeEach(async () => {
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      lastPaymentId = await cmbContract.lastPaymentId();
+    });
+
+    it('Should claim refund successfully after business owner cancels paid payment', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await cmbContract.connect(bo).cancelPayment(lastPaymentId);
+
+      const balanceOfClientBefore = await provider.getBalance(client.address);
+      const transaction = await cmbContract
+        .connect(client)
+        .claimRefund(lastPaymentId);
+      const txFee = await getTransactionFee(transaction, cmbContract);
+
+      const payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.status).to.equal(REFUNDED_STATUS);
+      expect(await provider.getBalance(client.address)).to.equal(
+        balanceOfClientBefore.sub(txFee),
+      );
+      expect(await cmbContract.withdrawableBalances(client.address)).to.equal(
+        amount,
+      );
+      await expect(transaction)
+        .to.emit(cmbContract, 'Refunded')
+        .withArgs(lastPaymentId, amount);
+    });
+
+    it('Should be fail when caller is not client', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await cmbContract.connect(bo).cancelPayment(lastPaymentId);
+      await expect(
+        cmbContract.connect(bo).claimRefund(lastPaymentId),
+      ).to.be.revertedWith('Only Client can do it');
+    });
+
+    it('Should be fail when this payment is not cancelled', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await expect(
+        cmbContract.connect(client).claimRefund(lastPaymentId),
+      ).to.be.revertedWith('This payment needs to be cancelled');
+    });
+
+    it('Should be fail when cancelled payment was not paid', async () => {
+      await cmbContract.connect(bo).cancelPayment(lastPaymentId);
+      await expect(
+        cmbContract.connect(client).claimRefund(lastPaymentId),
+      ).to.be.revertedWith('Nothing to refund');
+    });
+
+    it('Should be fail when claiming refund twice', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await cmbContract.connect(bo).cancelPayment(lastPaymentId);
+      await cmbContract.connect(client).claimRefund(lastPaymentId);
+      await expect(
+        cmbContract.connect(client).claimRefund(lastPaymentId),
+      ).to.be.revertedWith('This payment needs to be cancelled');
+    });
+  });
+
+  describe('deadlines', async () => {
+    beforeEach(async () => {
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      lastPaymentId = await cmbContract.lastPaymentId();
+    });
+
+    it('Should set payment deadline when requesting payment', async () => {
+      const { timestamp } = await provider.getBlock('latest');
+      const payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.paymentDeadline).to.equal(timestamp + PAYMENT_DURATION);
+      expect(payment.releaseDuration).to.equal(RELEASE_DURATION);
+      expect(payment.releaseDeadline).to.equal(0);
+    });
+
+    it('Should request payment fail when duration is zero', async () => {
+      await expect(
+        cmbContract
+          .connect(bo)
+          .requestPayment(
+            client.address,
+            data,
+            amount,
+            ZERO_ADDRESS,
+            0,
+            RELEASE_DURATION,
+          ),
+      ).to.be.revertedWith('Duration must be greater than 0');
+      await expect(
+        cmbContract
+          .connect(bo)
+          .requestPayment(
+            client.address,
+            data,
+            amount,
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            0,
+          ),
+      ).to.be.revertedWith('Duration must be greater than 0');
+    });
+
+    it('Should set release deadline when client pays', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      const { timestamp } = await provider.getBlock('latest');
+      const payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.releaseDeadline).to.equal(timestamp + RELEASE_DURATION);
+    });
+
+    it('Should be fail to pay when payment deadline has passed', async () => {
+      await increaseTime(PAYMENT_DURATION + 1);
+      await expect(
+        cmbContract.connect(client).pay(lastPaymentId, { value: amount }),
+      ).to.be.revertedWith('This payment has expired');
+    });
+
+    it('Should be fail to claim without confirmation before release deadline', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await increaseTime(RELEASE_DURATION - 60);
+      await expect(
+        cmbContract.connect(bo).claim(lastPaymentId),
+      ).to.be.revertedWith('This payment needs to confirmed by client');
+    });
+
+    it('Should claim without confirmation after release deadline', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await increaseTime(RELEASE_DURATION + 1);
+
+      await cmbContract.connect(bo).claim(lastPaymentId);
+      const serviceFee = await cmbContract.calculateServiceFee(amount);
+
+      const payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.status).to.equal(CLAIMED_STATUS);
+      expect(await cmbContract.withdrawableBalances(bo.address)).to.equal(
+        amount.sub(serviceFee),
+      );
+    });
+
+    it('Should be fail to claim after release deadline when client opened a dispute', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId, { value: amount });
+      await cmbContract.connect(client).raiseDispute(lastPaymentId);
+      await increaseTime(RELEASE_DURATION + 1);
+      await expect(
+        cmbContract.connect(bo).claim(lastPaymentId),
+      ).to.be.revertedWith('This payment needs to confirmed by client');
+    });
+  });
+
+  describe('milestone payment', async () => {
+    beforeEach(async () => {
+      milestoneAmounts = [
+        ethers.utils.parseEther('0.01'),
+        ethers.utils.parseEther('0.02'),
+        ethers.utils.parseEther('0.03'),
+      ];
+      totalAmount = ethers.utils.parseEther('0.06');
+      await cmbContract
+        .connect(bo)
+        .requestMilestonePayment(
+          client.address,
+          data,
+          milestoneAmounts,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      lastPaymentId = await cmbContract.lastPaymentId();
+    });
+
+    it('Should request milestone payment successfully', async () => {
+      const payment = await cmbContract.payments(lastPaymentId);
+      const milestones = await cmbContract.getMilestones(lastPaymentId);
+
+      expect(payment.amount).to.equal(totalAmount);
+      expect(payment.status).to.equal(REQUESTING_STATUS);
+      expect(milestones.length).to.equal(milestoneAmounts.length);
+      milestones.forEach((milestone, index) => {
+        expect(milestone.amount).to.equal(milestoneAmounts[index]);
+        expect(milestone.status).to.equal(REQUESTING_STATUS);
+      });
+    });
+
+    it('Should request milestone payment fail when there is no milestone', async () => {
+      await expect(
+        cmbContract
+          .connect(bo)
+          .requestMilestonePayment(
+            client.address,
+            data,
+            [],
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          ),
+      ).to.be.revertedWith('Invalid number of milestones');
+    });
+
+    it('Should request milestone payment fail when a milestone amount is zero', async () => {
+      await expect(
+        cmbContract
+          .connect(bo)
+          .requestMilestonePayment(
+            client.address,
+            data,
+            [amount, 0],
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          ),
+      ).to.be.revertedWith('Amount must be greater than 0');
+    });
+
+    it('Should pay all milestones up front', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await expect(
+        cmbContract.connect(client).pay(lastPaymentId, { value: totalAmount }),
+      )
+        .to.emit(cmbContract, 'PaidMilestone')
+        .withArgs(lastPaymentId, 2);
+
+      const payment = await cmbContract.payments(lastPaymentId);
+      const milestones = await cmbContract.getMilestones(lastPaymentId);
+      expect(payment.status).to.equal(PAID_STATUS);
+      expect(payment.paidAmount).to.equal(totalAmount);
+      milestones.forEach((milestone) =>
+        expect(milestone.status).to.equal(PAID_STATUS),
+      );
+    });
+
+    it('Should pay milestones one at a time', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract
+        .connect(client)
+        .payMilestone(lastPaymentId, 1, { value: milestoneAmounts[1] });
+
+      let payment = await cmbContract.payments(lastPaymentId);
+      let milestones = await cmbContract.getMilestones(lastPaymentId);
+      expect(payment.status).to.equal(PAID_STATUS);
+      expect(payment.paidAmount).to.equal(milestoneAmounts[1]);
+      expect(milestones[0].status).to.equal(REQUESTING_STATUS);
+      expect(milestones[1].status).to.equal(PAID_STATUS);
+
+      // Paying the rest funds the remaining milestones only
+      await cmbContract.connect(client).pay(lastPaymentId, {
+        value: milestoneAmounts[0].add(milestoneAmounts[2]),
+      });
+      payment = await cmbContract.payments(lastPaymentId);
+      milestones = await cmbContract.getMilestones(lastPaymentId);
+      expect(payment.paidAmount).to.equal(totalAmount);
+      milestones.forEach((milestone) =>
+        expect(milestone.status).to.equal(PAID_STATUS),
+      );
+      expect(await provider.getBalance(cmbContract.address)).to.equal(
+        totalAmount,
+      );
+    });
+
+    it('Should be fail when paying a milestone twice', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract
+        .connect(client)
+        .payMilestone(lastPaymentId, 0, { value: milestoneAmounts[0] });
+      await expect(
+        cmbContract
+          .connect(client)
+          .payMilestone(lastPaymentId, 0, { value: milestoneAmounts[0] }),
+      ).to.be.revertedWith('This milestone has been paid');
+    });
+
+    it('Should be fail when paying an invalid milestone', async () => {
+      await expect(
+        cmbContract
+          .connect(client)
+          .payMilestone(lastPaymentId, 3, { value: milestoneAmounts[0] }),
+      ).to.be.revertedWith('This milestone is invalid');
+    });
+
+    it('Should be fail when milestone is paid with less than its amount', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await expect(
+        cmbContract
+          .connect(client)
+          .payMilestone(lastPaymentId, 1, { value: milestoneAmounts[0] }),
+      ).to.be.revertedWith('Not enough fee according to payment');
+    });
+
+    it('Should credit native coin sent over milestone amount', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract
+        .connect(client)
+        .payMilestone(lastPaymentId, 0, { value: milestoneAmounts[1] });
+      expect(await cmbContract.withdrawableBalances(client.address)).to.equal(
+        milestoneAmounts[1].sub(milestoneAmounts[0]),
+      );
+    });
+
+    it('Should confirm and claim each milestone separately', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract
+        .connect(client)
+        .pay(lastPaymentId, { value: totalAmount });
+
+      await expect(
+        cmbContract.connect(client).confirmMilestone(lastPaymentId, 0),
+      )
+        .to.emit(cmbContract, 'ConfirmedMilestone')
+        .withArgs(lastPaymentId, 0);
+
+      const transaction = await cmbContract
+        .connect(bo)
+        .claimMilestone(lastPaymentId, 0);
+      const serviceFee = await cmbContract.calculateServiceFee(
+        milestoneAmounts[0],
+      );
+
+      expect(await cmbContract.withdrawableBalances(bo.address)).to.equal(
+        milestoneAmounts[0].sub(serviceFee),
+      );
+      expect(await cmbContract.serviceFeeTotal()).to.equal(serviceFee);
+      await expect(transaction)
+        .to.emit(cmbContract, 'ClaimedMilestone')
+        .withArgs(lastPaymentId, 0);
+
+      const payment = await cmbContract.payments(lastPaymentId);
+      const milestones = await cmbContract.getMilestones(lastPaymentId);
+      expect(payment.status).to.equal(PAID_STATUS);
+      expect(milestones[0].status).to.equal(CLAIMED_STATUS);
+      expect(milestones[1].status).to.equal(PAID_STATUS);
+    });
+
+    it('Should change payment status to CLAIMED after the last milestone is claimed', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract
+        .connect(client)
+        .pay(lastPaymentId, { value: totalAmount });
+      for (let index = 0; index < milestoneAmounts.length; index++) {
+        await cmbContract
+          .connect(client)
+          .confirmMilestone(lastPaymentId, index);
+      }
+      await cmbContract.connect(bo).claimMilestone(lastPaymentId, 0);
+      await cmbContract.connect(bo).claimMilestone(lastPaymentId, 1);
+      await expect(cmbContract.connect(bo).claimMilestone(lastPaymentId, 2))
+        .to.emit(cmbContract, 'Claimed')
+        .withArgs(lastPaymentId);
+
+      let serviceFeeTotal = ethers.BigNumber.from(0);
+      for (const milestoneAmount of milestoneAmounts) {
+        serviceFeeTotal = serviceFeeTotal.add(
+          await cmbContract.calculateServiceFee(milestoneAmount),
+        );
+      }
+      const payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.status).to.equal(CLAIMED_STATUS);
+      expect(await cmbContract.serviceFeeTotal()).to.equal(serviceFeeTotal);
+      expect(await cmbContract.withdrawableBalances(bo.address)).to.equal(
+        totalAmount.sub(serviceFeeTotal),
+      );
+    });
+
+    it('Should be fail when claiming a milestone that is not confirmed', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract
+        .connect(client)
+        .pay(lastPaymentId, { value: totalAmount });
+      await expect(
+        cmbContract.connect(bo).claimMilestone(lastPaymentId, 0),
+      ).to.be.revertedWith('This milestone needs to confirmed by client');
+    });
+
+    it('Should claim a milestone without confirmation after its release deadline', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract
+        .connect(client)
+        .payMilestone(lastPaymentId, 0, { value: milestoneAmounts[0] });
+      await increaseTime(RELEASE_DURATION + 1);
+      await cmbContract
+        .connect(client)
+        .payMilestone(lastPaymentId, 1, { value: milestoneAmounts[1] });
+
+      await cmbContract.connect(bo).claimMilestone(lastPaymentId, 0);
+      await expect(
+        cmbContract.connect(bo).claimMilestone(lastPaymentId, 1),
+      ).to.be.revertedWith('This milestone needs to confirmed by client');
+    });
+
+    it('Should be fail to confirm or claim whole milestone payment', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract
+        .connect(client)
+        .pay(lastPaymentId, { value: totalAmount });
+      await expect(
+        cmbContract.connect(client).confirmToRelease(lastPaymentId),
+      ).to.be.revertedWith('This payment needs to be released by milestone');
+      await increaseTime(RELEASE_DURATION + 1);
+      await expect(
+        cmbContract.connect(bo).claim(lastPaymentId),
+      ).to.be.revertedWith('This payment needs to be released by milestone');
+    });
+
+    it('Should be fail to set amount of milestone payment', async () => {
+      await expect(
+        cmbContract.connect(bo).setAmount(lastPaymentId, amount),
+      ).to.be.revertedWith('Can not set amount of milestone payment');
+    });
+
+    it('Should only refund milestones that are not claimed', async () => {
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract
+        .connect(client)
+        .pay(lastPaymentId, { value: totalAmount });
+      await cmbContract.connect(client).confirmMilestone(lastPaymentId, 0);
+      await cmbContract.connect(bo).claimMilestone(lastPaymentId, 0);
+
+      await expect(cmbContract.connect(bo).refund(lastPaymentId))
+        .to.emit(cmbContract, 'Refunded')
+        .withArgs(lastPaymentId, milestoneAmounts[1].add(milestoneAmounts[2]));
+    });
+  });
+
+  describe('requestPayments', async () => {
+    it('Should request a payment for each client', async () => {
+      const newData =
+        '0x123f6f6261720000000000000000000000000000000000000000000000000000';
+      await expect(
+        cmbContract
+          .connect(bo)
+          .requestPayments(
+            [client.address, client2.address],
+            [data, newData],
+            [amount, amount.mul(2)],
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          ),
+      )
+        .to.emit(cmbContract, 'RequestedPayment')
+        .withArgs(
+          2,
+          bo.address,
+          client2.address,
+          newData,
+          amount.mul(2),
+          ZERO_ADDRESS,
+        );
+
+      expect(await cmbContract.lastPaymentId()).to.equal(2);
+      const payment = await cmbContract.payments(1);
+      expect(payment.client).to.equal(client.address);
+      expect(payment.data).to.equal(data);
+      expect(payment.amount).to.equal(amount);
+      expect(payment.status).to.equal(REQUESTING_STATUS);
+    });
+
+    it('Should be fail when batch size is invalid', async () => {
+      await expect(
+        cmbContract
+          .connect(bo)
+          .requestPayments(
+            [],
+            [],
+            [],
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          ),
+      ).to.be.revertedWith('Invalid batch size');
+
+      const size = (await cmbContract.MAX_BATCH_SIZE()).toNumber() + 1;
+      await expect(
+        cmbContract
+          .connect(bo)
+          .requestPayments(
+            Array(size).fill(client.address),
+            Array(size).fill(data),
+            Array(size).fill(amount),
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          ),
+      ).to.be.revertedWith('Invalid batch size');
+    });
+
+    it('Should be fail when lengths do not match', async () => {
+      await expect(
+        cmbContract
+          .connect(bo)
+          .requestPayments(
+            [client.address, client2.address],
+            [data],
+            [amount, amount],
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          ),
+      ).to.be.revertedWith('Lengths do not match');
+    });
+
+    it('Should be fail when any payment is invalid', async () => {
+      await expect(
+        cmbContract
+          .connect(bo)
+          .requestPayments(
+            [client.address, ZERO_ADDRESS],
+            [data, data],
+            [amount, amount],
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          ),
+      ).to.be.revertedWith('Invalid address');
+      await expect(
+        cmbContract
+          .connect(bo)
+          .requestPayments(
+            [client.address, bo.address],
+            [data, data],
+            [amount, amount],
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          ),
+      ).to.be.revertedWith('Business Owner and Client can not be same');
+      expect(await cmbContract.lastPaymentId()).to.equal(0);
+    });
+
+    it('Should use less gas than single requests', async () => {
+      const size = 10;
+      let singleGas = ethers.constants.Zero;
+      for (let i = 0; i < size; i++) {
+        const tx = await cmbContract
+          .connect(bo)
+          .requestPayment(
+            client.address,
+            data,
+            amount,
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          );
+        singleGas = singleGas.add((await tx.wait()).gasUsed);
+      }
+
+      const tx = await cmbContract
+        .connect(bo)
+        .requestPayments(
+          Array(size).fill(client.address),
+          Array(size).fill(data),
+          Array(size).fill(amount),
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      const batchGas = (await tx.wait()).gasUsed;
+
+      expect(batchGas).to.be.lt(singleGas);
+    });
+  });
+
+  describe('claimMany', async () => {
+    beforeEach(async () => {
+      await cmbContract
+        .connect(bo)
+        .requestPayments(
+          [client.address, client2.address, client.address],
+          [data, data, data],
+          [amount, amount.mul(2), amount.mul(3)],
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      await acceptRequest(cmbContract, client, 1);
+      await cmbContract.connect(client).pay(1, { value: amount });
+      await acceptRequest(cmbContract, client2, 2);
+      await cmbContract.connect(client2).pay(2, { value: amount.mul(2) });
+      await acceptRequest(cmbContract, client, 3);
+      await cmbContract.connect(client).pay(3, { value: amount.mul(3) });
+      await cmbContract.connect(client).confirmToRelease(1);
+      await cmbContract.connect(client2).confirmToRelease(2);
+    });
+
+    it('Should claim payments with a single credit of net amount', async () => {
+      const serviceFeeTotalBefore = await cmbContract.serviceFeeTotal();
+
+      const transaction = await cmbContract.connect(bo).claimMany([1, 2]);
+
+      const serviceFee = (await cmbContract.calculateServiceFee(amount)).add(
+        await cmbContract.calculateServiceFee(amount.mul(2)),
+      );
+      expect(await cmbContract.withdrawableBalances(bo.address)).to.equal(
+        amount.mul(3).sub(serviceFee),
+      );
+      expect(await cmbContract.serviceFeeTotal()).to.equal(
+        serviceFeeTotalBefore.add(serviceFee),
+      );
+      expect((await cmbContract.payments(1)).status).to.equal(CLAIMED_STATUS);
+      expect((await cmbContract.payments(2)).status).to.equal(CLAIMED_STATUS);
+      await expect(transaction).to.emit(cmbContract, 'Claimed').withArgs(2);
+    });
+
+    it('Should be fail when batch size is invalid', async () => {
+      await expect(cmbContract.connect(bo).claimMany([])).to.be.revertedWith(
+        'Invalid batch size',
+      );
+    });
+
+    it('Should be fail when any payment can not be claimed', async () => {
+      await expect(
+        cmbContract.connect(bo).claimMany([1, 3]),
+      ).to.be.revertedWith('This payment needs to confirmed by client');
+      await expect(
+        cmbContract.connect(bo).claimMany([1, NOT_EXISTED_PAYMENT_ID]),
+      ).to.be.revertedWith('This payment is invalid');
+      await expect(
+        cmbContract.connect(client).claimMany([1, 2]),
+      ).to.be.revertedWith('Only Business Owner can do it');
+      await expect(
+        cmbContract.connect(bo).claimMany([1, 1]),
+      ).to.be.revertedWith('This payment needs to confirmed by client');
+    });
+
+    it('Should be fail when payments are settled in different tokens', async () => {
+      const MockERC20 = await ethers.getContractFactory('MockERC20');
+      const token = await MockERC20.deploy('USD Coin', 'USDC', 6);
+      await token.mint(client.address, amount);
+      await token.connect(client).approve(cmbContract.address, amount);
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          token.address,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      await acceptRequest(cmbContract, client, 4);
+      await cmbContract.connect(client).pay(4);
+      await cmbContract.connect(client).confirmToRelease(4);
+
+      await expect(
+        cmbContract.connect(bo).claimMany([1, 4]),
+      ).to.be.revertedWith('Payments need to be settled in same token');
+    });
+
+    it('Should use less gas than single claims', async () => {
+      const size = 10;
+      const clients = Array(size * 2).fill(client.address);
+      await cmbContract
+        .connect(bo)
+        .requestPayments(
+          clients,
+          Array(size * 2).fill(data),
+          Array(size * 2).fill(amount),
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      const ids = clients.map((_, i) => i + 4);
+      for (const id of ids) {
+        await acceptRequest(cmbContract, client, id);
+        await cmbContract.connect(client).pay(id, { value: amount });
+        await cmbContract.connect(client).confirmToRelease(id);
+      }
+
+      let singleGas = ethers.constants.Zero;
+      for (const id of ids.slice(0, size)) {
+        const tx = await cmbContract.connect(bo).claim(id);
+        singleGas = singleGas.add((await tx.wait()).gasUsed);
+      }
+      const tx = await cmbContract.connect(bo).claimMany(ids.slice(size));
+      const batchGas = (await tx.wait()).gasUsed;
+
+      expect(batchGas).to.be.lt(singleGas);
+    });
+  });
+
+  describe('pause', async () => {
+    beforeEach(async () => {
+      await cmbContract.connect(bo).grantRole(PAUSER_ROLE, bo.address);
+      await cmbContract
+        .connect(bo)
+        .requestPayments(
+          [client.address, client.address, client.address],
+          [data, data, data],
+          [amount, amount, amount],
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      await acceptRequest(cmbContract, client, 1);
+      await cmbContract.connect(client).pay(1, { value: amount });
+      await acceptRequest(cmbContract, client, 2);
+      await cmbContract.connect(client).pay(2, { value: amount });
+    });
+
+    it('Should pause and unpause by pauser', async () => {
+      await expect(cmbContract.connect(bo).pause())
+        .to.emit(cmbContract, 'Paused')
+        .withArgs(bo.address);
+      expect(await cmbContract.paused()).to.be.true;
+
+      await expect(cmbContract.connect(bo).unpause())
+        .to.emit(cmbContract, 'Unpaused')
+        .withArgs(bo.address);
+      expect(await cmbContract.paused()).to.be.false;
+    });
+
+    it('Should be fail when caller is not pauser', async () => {
+      await expect(cmbContract.connect(client).pause()).to.be.revertedWith(
+        'Caller is missing role',
+      );
+      await cmbContract.connect(bo).pause();
+      await expect(cmbContract.connect(client).unpause()).to.be.revertedWith(
+        'Caller is missing role',
+      );
+    });
+
+    it('Should be fail to pause twice or unpause when not paused', async () => {
+      await expect(cmbContract.connect(bo).unpause()).to.be.revertedWith(
+        'Pausable: not paused',
+      );
+      await cmbContract.connect(bo).pause();
+      await expect(cmbContract.connect(bo).pause()).to.be.revertedWith(
+        'Pausable: paused',
+      );
+    });
+
+    it('Should halt requests, payments and claims while paused', async () => {
+      await cmbContract.connect(client).confirmToRelease(1);
+      await cmbContract.connect(bo).pause();
+
+      await expect(
+        cmbContract
+          .connect(bo)
+          .requestPayment(
+            client.address,
+            data,
+            amount,
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          ),
+      ).to.be.revertedWith('Pausable: paused');
+      await expect(
+        cmbContract
+          .connect(bo)
+          .requestPayments(
+            [client.address],
+            [data],
+            [amount],
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          ),
+      ).to.be.revertedWith('Pausable: paused');
+      await expect(
+        cmbContract
+          .connect(bo)
+          .requestMilestonePayment(
+            client.address,
+            data,
+            [amount],
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          ),
+      ).to.be.revertedWith('Pausable: paused');
+      await expect(
+        cmbContract.connect(client).pay(3, { value: amount }),
+      ).to.be.revertedWith('Pausable: paused');
+      await expect(
+        cmbContract.connect(client).payMilestone(3, 0, { value: amount }),
+      ).to.be.revertedWith('Pausable: paused');
+      await expect(cmbContract.connect(bo).claim(1)).to.be.revertedWith(
+        'Pausable: paused',
+      );
+      await expect(cmbContract.connect(bo).claimMany([1])).to.be.revertedWith(
+        'Pausable: paused',
+      );
+      await expect(
+        cmbContract.connect(bo).claimMilestone(1, 0),
+      ).to.be.revertedWith('Pausable: paused');
+
+      await cmbContract.connect(bo).unpause();
+      await cmbContract.connect(bo).claim(1);
+      expect((await cmbContract.payments(1)).status).to.equal(CLAIMED_STATUS);
+    });
+
+    it('Should keep refunds and confirmations working while paused', async () => {
+      await cmbContract.connect(bo).pause();
+
+      await cmbContract.connect(client).confirmToRelease(1);
+      expect((await cmbContract.payments(1)).status).to.equal(CONFIRMED_STATUS);
+
+      await cmbContract.connect(bo).refund(2);
+      expect((await cmbContract.payments(2)).status).to.equal(REFUNDED_STATUS);
+      await expect(() =>
+        cmbContract.connect(client).withdraw(),
+      ).to.changeEtherBalance(client, amount);
+
+      await cmbContract.connect(bo).cancelPayment(3);
+      expect((await cmbContract.payments(3)).status).to.equal(CANCELLED_STATUS);
+    });
+  });
+
+  describe('payment views', async () => {
+    beforeEach(async () => {
+      // Payments 1, 3 and 5 are requested to client, 2 and 4 to client2
+      for (let i = 0; i < 5; i++) {
+        await cmbContract
+          .connect(bo)
+          .requestPayment(
+            i % 2 === 0 ? client.address : client2.address,
+            data,
+            amount.mul(i + 1),
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          );
+      }
+      await acceptRequest(cmbContract, client, 3);
+      await cmbContract.connect(client).pay(3, { value: amount.mul(3) });
+      await acceptRequest(cmbContract, client2, 4);
+      await cmbContract.connect(client2).pay(4, { value: amount.mul(4) });
+    });
+
+    const paymentIds = (payments) =>
+      payments.map((payment) => payment.paymentId.toNumber());
+
+    it('Should count payments of business owner and client', async () => {
+      expect(
+        await cmbContract.getPaymentCountByBusinessOwner(bo.address),
+      ).to.equal(5);
+      expect(
+        await cmbContract.getPaymentCountByClient(client.address),
+      ).to.equal(3);
+      expect(
+        await cmbContract.getPaymentCountByClient(client2.address),
+      ).to.equal(2);
+      expect(
+        await cmbContract.getPaymentCountByBusinessOwner(client.address),
+      ).to.equal(0);
+    });
+
+    it('Should page through payments of business owner', async () => {
+      const firstPage = await cmbContract.getPaymentsByBusinessOwner(
+        bo.address,
+        0,
+        2,
+      );
+      expect(paymentIds(firstPage)).to.deep.equal([1, 2]);
+      expect(firstPage[1].bo).to.equal(bo.address);
+      expect(firstPage[1].client).to.equal(client2.address);
+      expect(firstPage[1].data).to.equal(data);
+      expect(firstPage[1].amount).to.equal(amount.mul(2));
+      expect(firstPage[1].status).to.equal(REQUESTING_STATUS);
+
+      expect(
+        paymentIds(
+          await cmbContract.getPaymentsByBusinessOwner(bo.address, 4, 2),
+        ),
+      ).to.deep.equal([5]);
+      expect(
+        await cmbContract.getPaymentsByBusinessOwner(bo.address, 5, 2),
+      ).to.deep.equal([]);
+    });
+
+    it('Should page through payments of client', async () => {
+      expect(
+        paymentIds(
+          await cmbContract.getPaymentsByClient(client.address, 1, 10),
+        ),
+      ).to.deep.equal([3, 5]);
+      expect(
+        paymentIds(
+          await cmbContract.getPaymentsByClient(client2.address, 0, 10),
+        ),
+      ).to.deep.equal([2, 4]);
+    });
+
+    it('Should filter payments by status', async () => {
+      expect(
+        paymentIds(
+          await cmbContract.getPaymentsByBusinessOwnerAndStatus(
+            bo.address,
+            PAID_STATUS,
+            0,
+            10,
+          ),
+        ),
+      ).to.deep.equal([3, 4]);
+      expect(
+        paymentIds(
+          await cmbContract.getPaymentsByBusinessOwnerAndStatus(
+            bo.address,
+            REQUESTING_STATUS,
+            1,
+            2,
+          ),
+        ),
+      ).to.deep.equal([2, 5]);
+      expect(
+        paymentIds(
+          await cmbContract.getPaymentsByClientAndStatus(
+            client.address,
+            PAID_STATUS,
+            0,
+            10,
+          ),
+        ),
+      ).to.deep.equal([3]);
+    });
+
+    it('Should move payment to new client', async () => {
+      await cmbContract.connect(bo).setClient(1, client2.address);
+
+      expect(
+        paymentIds(
+          await cmbContract.getPaymentsByClient(client.address, 0, 10),
+        ),
+      ).to.deep.equal([5, 3]);
+      expect(
+        paymentIds(
+          await cmbContract.getPaymentsByClient(client2.address, 0, 10),
+        ),
+      ).to.deep.equal([2, 4, 1]);
+      expect(
+        paymentIds(
+          await cmbContract.getPaymentsByBusinessOwner(bo.address, 0, 10),
+        ),
+      ).to.deep.equal([1, 2, 3, 4, 5]);
+    });
+
+    it('Should list payments requested before upgrade', async () => {
+      const OwnableCMBMock = await ethers.getContractFactory('OwnableCMBMock');
+      const proxy = await upgrades.deployProxy(OwnableCMBMock, [bo.address]);
+      await proxy.connect(bo).requestPayment(client.address, data, amount);
+      await proxy.connect(bo).requestPayment(client2.address, data, amount);
+
+      const upgraded = await upgrades.upgradeProxy(proxy.address, CMB, {
+        call: 'initializeRoles',
+      });
+      expect(
+        await upgraded.getPaymentCountByBusinessOwner(bo.address),
+      ).to.equal(0);
+      await upgraded.connect(bo).listPayments(1, 1);
+      await upgraded.connect(bo).listPayments(1, 2);
+      expect(
+        paymentIds(
+          await upgraded.getPaymentsByBusinessOwner(bo.address, 0, 10),
+        ),
+      ).to.deep.equal([1, 2]);
+
+      await upgraded.connect(bo).setClient(1, client2.address);
+      expect(await upgraded.getPaymentCountByClient(client.address)).to.equal(
+        0,
+      );
+      expect(
+        paymentIds(await upgraded.getPaymentsByClient(client2.address, 0, 10)),
+      ).to.deep.equal([2, 1]);
+    });
+
+    it('Should only let admin list valid payments', async () => {
+      await expect(
+        cmbContract.connect(client).listPayments(1, 1),
+      ).to.be.revertedWith('Caller is missing role');
+      await expect(
+        cmbContract.connect(bo).listPayments(0, 1),
+      ).to.be.revertedWith('This payment is invalid');
+      await expect(
+        cmbContract.connect(bo).listPayments(1, 6),
+      ).to.be.revertedWith('This payment is invalid');
+
+      // Payments requested after the upgrade are already listed
+      await cmbContract.connect(bo).listPayments(1, 5);
+      expect(
+        paymentIds(
+          await cmbContract.getPaymentsByBusinessOwner(bo.address, 0, 10),
+        ),
+      ).to.deep.equal([1, 2, 3, 4, 5]);
+    });
+
+    it('Should be fail to set client of payment that is not listed', async () => {
+      const OwnableCMBMock = await ethers.getContractFactory('OwnableCMBMock');
+      const proxy = await upgrades.deployProxy(OwnableCMBMock, [bo.address]);
+      await proxy.connect(bo).requestPayment(client.address, data, amount);
+
+      const upgraded = await upgrades.upgradeProxy(proxy.address, CMB);
+      await expect(
+        upgraded.connect(bo).setClient(1, client2.address),
+      ).to.be.revertedWith('This payment is not listed');
+    });
+  });
+
+  describe('payWithSignature', async () => {
+    beforeEach(async () => {
+      const { timestamp } = await provider.getBlock('latest');
+      invoiceFields = {
+        client: client.address,
+        data,
+        amount,
+        releaseDuration: RELEASE_DURATION,
+        expiry: timestamp + PAYMENT_DURATION,
+      };
+      ({ invoice, signature } = await signInvoice(
+        bo,
+        cmbContract.address,
+        buildInvoice(invoiceFields),
+      ));
+    });
+
+    it('Should request and pay signed invoice in one transaction', async () => {
+      const { v, r, s } = signature;
+      const tx = cmbContract
+        .connect(client)
+        .payWithSignature(invoice, v, r, s, { value: amount });
+      await expect(tx)
+        .to.emit(cmbContract, 'RequestedPayment')
+        .withArgs(
+          BEGINNING_PAYMENT_ID,
+          bo.address,
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+        );
+      await expect(tx)
+        .to.emit(cmbContract, 'Paid')
+        .withArgs(BEGINNING_PAYMENT_ID);
+
+      const payment = await cmbContract.payments(BEGINNING_PAYMENT_ID);
+      expect(payment.bo).to.equal(bo.address);
+      expect(payment.status).to.equal(PAID_STATUS);
+      expect(payment.releaseDuration).to.equal(RELEASE_DURATION);
+      expect(await cmbContract.usedInvoiceNonces(bo.address, invoice.nonce)).to
+        .be.true;
+      expect(await provider.getBalance(cmbContract.address)).to.equal(amount);
+    });
+
+    it('Should be fail when signature is replayed', async () => {
+      const { v, r, s } = signature;
+      await cmbContract
+        .connect(client)
+        .payWithSignature(invoice, v, r, s, { value: amount });
+
+      await expect(
+        cmbContract
+          .connect(client)
+          .payWithSignature(invoice, v, r, s, { value: amount }),
+      ).to.be.revertedWith('Signature has been used');
+    });
+
+    it('Should be fail when invoice has expired', async () => {
+      await increaseTime(PAYMENT_DURATION + 1);
+
+      const { v, r, s } = signature;
+      await expect(
+        cmbContract
+          .connect(client)
+          .payWithSignature(invoice, v, r, s, { value: amount }),
+      ).to.be.revertedWith('Signature has expired');
+    });
+
+    it('Should be fail when sender is not client of invoice', async () => {
+      const { v, r, s } = signature;
+      await expect(
+        cmbContract
+          .connect(stranger)
+          .payWithSignature(invoice, v, r, s, { value: amount }),
+      ).to.be.revertedWith('Only Client can do it');
+    });
+
+    it('Should not pay Business Owner when invoice is tampered', async () => {
+      const { v, r, s } = signature;
+      const tampered = { ...invoice, amount: amount.div(2) };
+      await cmbContract
+        .connect(client)
+        .payWithSignature(tampered, v, r, s, { value: amount.div(2) });
+
+      const payment = await cmbContract.payments(BEGINNING_PAYMENT_ID);
+      expect(payment.bo).to.not.equal(bo.address);
+
+      await expect(
+        cmbContract
+          .connect(client)
+          .payWithSignature(invoice, v, r, '0x' + '00'.repeat(32), {
+            value: amount,
+          }),
+      ).to.be.revertedWith('Invalid signature');
+    });
+
+    it('Should be fail when amount sent is wrong', async () => {
+      const { v, r, s } = signature;
+      await expect(
+        cmbContract
+          .connect(client)
+          .payWithSignature(invoice, v, r, s, { value: amount.sub(1) }),
+      ).to.be.revertedWith('Not enough fee according to payment');
+    });
+
+    it('Should cancel invoice by Business Owner', async () => {
+      await expect(cmbContract.connect(bo).cancelInvoice(invoice.nonce))
+        .to.emit(cmbContract, 'CancelledInvoice')
+        .withArgs(bo.address, invoice.nonce);
+
+      const { v, r, s } = signature;
+      await expect(
+        cmbContract
+          .connect(client)
+          .payWithSignature(invoice, v, r, s, { value: amount }),
+      ).to.be.revertedWith('Signature has been used');
+      await expect(
+        cmbContract.connect(bo).cancelInvoice(invoice.nonce),
+      ).to.be.revertedWith('Signature has been used');
+    });
+
+    it('Should be fail when paused', async () => {
+      await cmbContract.connect(bo).grantRole(PAUSER_ROLE, bo.address);
+      await cmbContract.connect(bo).pause();
+
+      const { v, r, s } = signature;
+      await expect(
+        cmbContract
+          .connect(client)
+          .payWithSignature(invoice, v, r, s, { value: amount }),
+      ).to.be.revertedWith('Pausable: paused');
+    });
+
+    it('Should pay token invoice by allowance', async () => {
+      const MockERC20 = await ethers.getContractFactory('MockERC20');
+      const token = await MockERC20.deploy('USD Coin', 'USDC', 6);
+      await token.mint(client.address, amount);
+      await token.connect(client).approve(cmbContract.address, amount);
+      const signed = await signInvoice(
+        bo,
+        cmbContract.address,
+        buildInvoice({ ...invoiceFields, token: token.address }),
+      );
+
+      const { v, r, s } = signed.signature;
+      await cmbContract
+        .connect(client)
+        .payWithSignature(signed.invoice, v, r, s);
+
+      const payment = await cmbContract.payments(BEGINNING_PAYMENT_ID);
+      expect(payment.token).to.equal(token.address);
+      expect(payment.status).to.equal(PAID_STATUS);
+      expect(await token.balanceOf(cmbContract.address)).to.equal(amount);
+    });
+  });
+
+  describe('trusted forwarder', async () => {
+    beforeEach(async () => {
+      const Forwarder = await ethers.getContractFactory('Forwarder');
+      forwarder = await Forwarder.deploy();
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      await acceptRequest(cmbContract, client, 1);
+      await cmbContract.connect(client).pay(1, { value: amount });
+    });
+
+    it('Should set trusted forwarder by admin', async () => {
+      expect(await cmbContract.isTrustedForwarder(forwarder.address)).to.be
+        .false;
+
+      await expect(
+        cmbContract.connect(bo).setTrustedForwarder(forwarder.address),
+      )
+        .to.emit(cmbContract, 'TrustedForwarder')
+        .withArgs(bo.address, ZERO_ADDRESS, forwarder.address);
+      expect(await cmbContract.trustedForwarder()).to.equal(forwarder.address);
+      expect(await cmbContract.isTrustedForwarder(forwarder.address)).to.be
+        .true;
+
+      await cmbContract.connect(bo).setTrustedForwarder(ZERO_ADDRESS);
+      expect(await cmbContract.isTrustedForwarder(ZERO_ADDRESS)).to.be.false;
+    });
+
+    it('Should be fail to set forwarder when caller is not admin or forwarder is not a contract', async () => {
+      await expect(
+        cmbContract.connect(client).setTrustedForwarder(forwarder.address),
+      ).to.be.revertedWith('Caller is missing role');
+      await expect(
+        cmbContract.connect(bo).setTrustedForwarder(stranger.address),
+      ).to.be.revertedWith('Forwarder needs to be a contract');
+    });
+
+    it('Should act as signer of request relayed by trusted forwarder', async () => {
+      await cmbContract.connect(bo).setTrustedForwarder(forwarder.address);
+      const { request, signature } = await signForwardRequest(
+        client,
+        forwarder.address,
+        cmbContract.address,
+        cmbContract.interface.encodeFunctionData('confirmToRelease', [1]),
+      );
+
+      await expect(() =>
+        forwarder.connect(stranger).execute(request, signature),
+      ).to.changeEtherBalance(client, 0);
+
+      const payment = await cmbContract.payments(1);
+      expect(payment.status).to.equal(CONFIRMED_STATUS);
+    });
+
+    it('Should not act as signer when forwarder is not trusted', async () => {
+      const { request, signature } = await signForwardRequest(
+        client,
+        forwarder.address,
+        cmbContract.address,
+        cmbContract.interface.encodeFunctionData('confirmToRelease', [1]),
+      );
+      await forwarder.connect(stranger).execute(request, signature);
+      expect((await cmbContract.payments(1)).status).to.equal(PAID_STATUS);
+
+      // Appending an address to calldata only works for trusted forwarder
+      const spoofed = ethers.utils.hexConcat([
+        cmbContract.interface.encodeFunctionData('confirmToRelease', [1]),
+        client.address,
+      ]);
+      await expect(
+        stranger.sendTransaction({ to: cmbContract.address, data: spoofed }),
+      ).to.be.revertedWith('Only Client can do it');
+    });
+  });
+
+  describe('fee schedule', async () => {
+    async function applyAfterDelay(tx) {
+      await tx;
+      await increaseTime(FEE_CHANGE_DELAY);
+    }
+
+    beforeEach(async () => {
+      const FeeSchedule = await ethers.getContractFactory('FeeSchedule');
+      feeSchedule = await FeeSchedule.deploy(cmbContract.address);
+      await cmbContract.connect(bo).setFeeSchedule(feeSchedule.address);
+      // 2% from 1 ether, 1% from 10 ether
+      await applyAfterDelay(
+        feeSchedule
+          .connect(bo)
+          .setFeeTiers(
+            [ethers.utils.parseEther('1'), ethers.utils.parseEther('10')],
+            [200, 100],
+          ),
+      );
+      await feeSchedule.applyFeeTiers();
+    });
+
+    it('Should set fee schedule by fee manager', async () => {
+      expect(await cmbContract.feeSchedule()).to.equal(feeSchedule.address);
+      await expect(cmbContract.connect(bo).setFeeSchedule(ZERO_ADDRESS))
+        .to.emit(cmbContract, 'SetFeeSchedule')
+        .withArgs(bo.address, feeSchedule.address, ZERO_ADDRESS);
+
+      await expect(
+        cmbContract.connect(client).setFeeSchedule(feeSchedule.address),
+      ).to.be.revertedWith('Caller is missing role');
+      await expect(
+        cmbContract.connect(bo).setFeeSchedule(stranger.address),
+      ).to.be.revertedWith('Fee schedule needs to be a contract');
+    });
+
+    it('Should only let fee manager of CMB manage fee schedule', async () => {
+      await expect(
+        feeSchedule.connect(client).setBusinessOwnerFeeBps(bo.address, 100),
+      ).to.be.revertedWith('Caller is missing role');
+      await expect(
+        feeSchedule.connect(client).setFeeTiers([], []),
+      ).to.be.revertedWith('Caller is missing role');
+      await expect(
+        feeSchedule.connect(client).setMinServiceFee(ZERO_ADDRESS, 1),
+      ).to.be.revertedWith('Caller is missing role');
+    });
+
+    it('Should announce and apply override of Business Owner after delay', async () => {
+      await expect(
+        feeSchedule.connect(bo).setBusinessOwnerFeeBps(client2.address, 50),
+      ).to.emit(feeSchedule, 'PendingBusinessOwnerFeeBps');
+      await expect(
+        feeSchedule.applyBusinessOwnerFeeBps(client2.address),
+      ).to.be.revertedWith('Fee change is not effective yet');
+
+      await increaseTime(FEE_CHANGE_DELAY);
+      await expect(
+        feeSchedule.connect(stranger).applyBusinessOwnerFeeBps(client2.address),
+      )
+        .to.emit(feeSchedule, 'BusinessOwnerFeeBps')
+        .withArgs(stranger.address, client2.address, 0, 50);
+      expect(await feeSchedule.businessOwnerFeeBps(client2.address)).to.equal(
+        50,
+      );
+      await expect(
+        feeSchedule.applyBusinessOwnerFeeBps(client2.address),
+      ).to.be.revertedWith('No pending fee change');
+    });
+
+    it('Should keep tiers until announced tiers are applied', async () => {
+      await feeSchedule.connect(bo).setFeeTiers([0], [300]);
+      expect((await feeSchedule.getPendingFeeTiers()).length).to.equal(1);
+      expect((await feeSchedule.getFeeTiers()).length).to.equal(2);
+
+      await increaseTime(FEE_CHANGE_DELAY);
+      await expect(feeSchedule.applyFeeTiers())
+        .to.emit(feeSchedule, 'FeeTiers')
+        .withArgs(bo.address, [0], [300]);
+      const tiers = await feeSchedule.getFeeTiers();
+      expect(tiers.length).to.equal(1);
+      expect(tiers[0].bps).to.equal(300);
+      expect((await feeSchedule.getPendingFeeTiers()).length).to.equal(0);
+    });
+
+    it('Should be fail to set invalid fees', async () => {
+      await expect(
+        feeSchedule.connect(bo).setFeeTiers([1, 2], [100]),
+      ).to.be.revertedWith('Lengths do not match');
+      await expect(
+        feeSchedule.connect(bo).setFeeTiers([2, 1], [100, 100]),
+      ).to.be.revertedWith('Tiers need to be ascending');
+      await expect(
+        feeSchedule.connect(bo).setFeeTiers([1], [0]),
+      ).to.be.revertedWith('Service fee percentage must be greather than 0');
+      await expect(
+        feeSchedule.connect(bo).setFeeTiers([1], [MAX_SERVICE_FEE_BPS + 1]),
+      ).to.be.revertedWith('Service fee exceeds cap');
+      await expect(
+        feeSchedule
+          .connect(bo)
+          .setBusinessOwnerFeeBps(bo.address, MAX_SERVICE_FEE_BPS + 1),
+      ).to.be.revertedWith('Service fee exceeds cap');
+    });
+
+    it('Should preview fee by override, tiers and default', async () => {
+      const small = ethers.utils.parseEther('0.5');
+      const medium = ethers.utils.parseEther('1');
+      const large = ethers.utils.parseEther('20');
+
+      expect(
+        await cmbContract.getServiceFeePercent(bo.address, ZERO_ADDRESS, small),
+      ).to.equal(DEFAULT_FEE_PERCENTAGE);
+      expect(
+        await cmbContract.getServiceFeePercent(
+          bo.address,
+          ZERO_ADDRESS,
+          medium,
+        ),
+      ).to.equal(2 * WEIGHT_DECIMAL);
+      expect(
+        await cmbContract.previewServiceFee(bo.address, ZERO_ADDRESS, large),
+      ).to.equal(large.div(100));
+
+      await applyAfterDelay(
+        feeSchedule.connect(bo).setBusinessOwnerFeeBps(bo.address, 50),
+      );
+      await feeSchedule.applyBusinessOwnerFeeBps(bo.address);
+      expect(
+        await cmbContract.previewServiceFee(bo.address, ZERO_ADDRESS, medium),
+      ).to.equal(medium.div(200));
+      expect(
+        await cmbContract.previewServiceFee(
+          client2.address,
+          ZERO_ADDRESS,
+          medium,
+        ),
+      ).to.equal(medium.mul(2).div(100));
+    });
+
+    it('Should raise fee of small payments to minimum service fee', async () => {
+      const minServiceFee = ethers.utils.parseEther('0.001');
+      await expect(
+        feeSchedule.connect(bo).setMinServiceFee(ZERO_ADDRESS, minServiceFee),
+      ).to.emit(feeSchedule, 'PendingMinServiceFee');
+      await increaseTime(FEE_CHANGE_DELAY);
+      await expect(feeSchedule.applyMinServiceFee(ZERO_ADDRESS))
+        .to.emit(feeSchedule, 'MinServiceFee')
+        .withArgs(bo.address, ZERO_ADDRESS, 0, minServiceFee);
+      await expect(
+        feeSchedule
+          .connect(bo)
+          .setMinServiceFee(ZERO_ADDRESS, ethers.constants.MaxUint256),
+      ).to.be.revertedWith('Minimum service fee is too high');
+
+      // 1.5% of 0.01 ether is below minimum
+      expect(
+        await cmbContract.previewServiceFee(bo.address, ZERO_ADDRESS, amount),
+      ).to.equal(minServiceFee);
+      const large = ethers.utils.parseEther('20');
+      expect(
+        await cmbContract.previewServiceFee(bo.address, ZERO_ADDRESS, large),
+      ).to.equal(large.div(100));
+      // Minimum never exceeds the cap of service fee
+      expect(
+        await cmbContract.previewServiceFee(bo.address, ZERO_ADDRESS, 1000),
+      ).to.equal((1000 * MAX_SERVICE_FEE_BPS) / 10000);
+
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      await acceptRequest(cmbContract, client, BEGINNING_PAYMENT_ID);
+      await cmbContract
+        .connect(client)
+        .pay(BEGINNING_PAYMENT_ID, { value: amount });
+      await cmbContract.connect(client).confirmToRelease(BEGINNING_PAYMENT_ID);
+      await cmbContract.connect(bo).claim(BEGINNING_PAYMENT_ID);
+      expect(await cmbContract.serviceFeeTotal()).to.equal(minServiceFee);
+    });
+
+    it('Should charge fee fixed when payment was requested', async () => {
+      const medium = ethers.utils.parseEther('1');
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          medium,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      expect(
+        await cmbContract.paymentServiceFeePercents(BEGINNING_PAYMENT_ID),
+      ).to.equal(2 * WEIGHT_DECIMAL);
+      await acceptRequest(cmbContract, client, BEGINNING_PAYMENT_ID);
+      await cmbContract
+        .connect(client)
+        .pay(BEGINNING_PAYMENT_ID, { value: medium });
+      await cmbContract.connect(client).confirmToRelease(BEGINNING_PAYMENT_ID);
+
+      // Later changes do not apply to escrowed payment
+      await cmbContract.connect(bo).setServiceFeePercent(500);
+      await applyAfterDelay(feeSchedule.connect(bo).setFeeTiers([], []));
+      await cmbContract.applyServiceFeePercent();
+      await feeSchedule.applyFeeTiers();
+      await cmbContract.connect(bo).claim(BEGINNING_PAYMENT_ID);
+
+      expect(await cmbContract.serviceFeeTotal()).to.equal(medium.div(50));
+    });
+
+    it('Should charge no fee when zero percent was fixed', async () => {
+      const MockFeeSchedule = await ethers.getContractFactory(
+        'MockFeeSchedule',
+      );
+      const zeroFeeSchedule = await MockFeeSchedule.deploy();
+      await cmbContract.connect(bo).setFeeSchedule(zeroFeeSchedule.address);
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      expect(
+        await cmbContract.paymentServiceFeePercents(BEGINNING_PAYMENT_ID),
+      ).to.equal(0);
+      await acceptRequest(cmbContract, client, BEGINNING_PAYMENT_ID);
+      await cmbContract
+        .connect(client)
+        .pay(BEGINNING_PAYMENT_ID, { value: amount });
+      await cmbContract.connect(client).confirmToRelease(BEGINNING_PAYMENT_ID);
+      await cmbContract.connect(bo).claim(BEGINNING_PAYMENT_ID);
+
+      expect(await cmbContract.serviceFeeTotal()).to.equal(0);
+    });
+
+    it('Should fix fee again when amount of request is changed', async () => {
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      expect(
+        await cmbContract.paymentServiceFeePercents(BEGINNING_PAYMENT_ID),
+      ).to.equal(DEFAULT_FEE_PERCENTAGE);
+
+      await cmbContract
+        .connect(bo)
+        .setAmount(BEGINNING_PAYMENT_ID, ethers.utils.parseEther('10'));
+      expect(
+        await cmbContract.paymentServiceFeePercents(BEGINNING_PAYMENT_ID),
+      ).to.equal(WEIGHT_DECIMAL);
+    });
+  });
+
+  describe('fee splitter', async () => {
+    async function requestPaidAndClaimed(paymentAmount, tokenAddress) {
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          paymentAmount,
+          tokenAddress,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      const paymentId = await cmbContract.lastPaymentId();
+      const value = tokenAddress === ZERO_ADDRESS ? paymentAmount : 0;
+      await acceptRequest(cmbContract, client, paymentId);
+      await cmbContract.connect(client).pay(paymentId, { value });
+      await cmbContract.connect(client).confirmToRelease(paymentId);
+      await cmbContract.connect(bo).claim(paymentId);
+    }
+
+    beforeEach(async () => {
+      const FeeSplitter = await ethers.getContractFactory('FeeSplitter');
+      feeSplitter = await FeeSplitter.deploy(cmbContract.address);
+      await cmbContract
+        .connect(bo)
+        .grantRole(TREASURER_ROLE, feeSplitter.address);
+      await feeSplitter
+        .connect(bo)
+        .setRecipients([fundingReceiver.address, stranger.address], [2, 1]);
+
+      await requestPaidAndClaimed(amount, ZERO_ADDRESS);
+      serviceFee = await cmbContract.serviceFeeTotal();
+    });
+
+    it('Should set recipients by treasurer', async () => {
+      const [accounts, shares] = await feeSplitter.getRecipients();
+      expect(accounts).to.deep.equal([
+        fundingReceiver.address,
+        stranger.address,
+      ]);
+      expect(shares.map(Number)).to.deep.equal([2, 1]);
+      expect(await feeSplitter.totalShares()).to.equal(3);
+
+      await expect(
+        feeSplitter.connect(bo).setRecipients([arbiter.address], [5]),
+      )
+        .to.emit(feeSplitter, 'Recipients')
+        .withArgs(bo.address, [arbiter.address], [5]);
+      expect(await feeSplitter.shares(fundingReceiver.address)).to.equal(0);
+      expect(await feeSplitter.shares(arbiter.address)).to.equal(5);
+      expect(await feeSplitter.totalShares()).to.equal(5);
+    });
+
+    it('Should be fail when recipients are invalid', async () => {
+      await expect(
+        feeSplitter.connect(stranger).setRecipients([stranger.address], [1]),
+      ).to.be.revertedWith('Caller is missing role');
+      await expect(
+        feeSplitter.connect(bo).setRecipients([stranger.address], [1, 2]),
+      ).to.be.revertedWith('Lengths do not match');
+      await expect(
+        feeSplitter.connect(bo).setRecipients([ZERO_ADDRESS], [1]),
+      ).to.be.revertedWith('Invalid address');
+      await expect(
+        feeSplitter.connect(bo).setRecipients([stranger.address], [0]),
+      ).to.be.revertedWith('Shares must be greater than 0');
+      await expect(
+        feeSplitter
+          .connect(bo)
+          .setRecipients([stranger.address, stranger.address], [1, 2]),
+      ).to.be.revertedWith('Duplicated recipient');
+      await expect(
+        feeSplitter
+          .connect(bo)
+          .setRecipients(Array(21).fill(stranger.address), Array(21).fill(1)),
+      ).to.be.revertedWith('Too many recipients');
+    });
+
+    it('Should collect service fee and credit recipients by shares', async () => {
+      expect(
+        await feeSplitter.withdrawable(ZERO_ADDRESS, fundingReceiver.address),
+      ).to.equal(serviceFee.mul(2).div(3));
+
+      await expect(feeSplitter.connect(stranger).collect(ZERO_ADDRESS))
+        .to.emit(feeSplitter, 'Collected')
+        .withArgs(stranger.address, ZERO_ADDRESS, serviceFee)
+        .to.emit(feeSplitter, 'Credited')
+        .withArgs(
+          ZERO_ADDRESS,
+          fundingReceiver.address,
+          serviceFee.mul(2).div(3),
+        )
+        .to.emit(feeSplitter, 'Credited')
+        .withArgs(ZERO_ADDRESS, stranger.address, serviceFee.div(3))
+        .to.emit(cmbContract, 'WithdrawnServiceFee')
+        .withArgs(ZERO_ADDRESS, serviceFee, feeSplitter.address);
+
+      expect(await cmbContract.serviceFeeTotal()).to.equal(0);
+      expect(await provider.getBalance(feeSplitter.address)).to.equal(
+        serviceFee,
+      );
+      expect(await feeSplitter.totalCollected(ZERO_ADDRESS)).to.equal(
+        serviceFee,
+      );
+      expect(
+        await feeSplitter.balances(ZERO_ADDRESS, fundingReceiver.address),
+      ).to.equal(serviceFee.mul(2).div(3));
+      expect(
+        await feeSplitter.balances(ZERO_ADDRESS, stranger.address),
+      ).to.equal(serviceFee.div(3));
+    });
+
+    it('Should be fail to collect when caller is not treasurer or recipient', async () => {
+      await expect(
+        feeSplitter.connect(client).collect(ZERO_ADDRESS),
+      ).to.be.revertedWith('Only treasurer or recipient can do it');
+    });
+
+    it('Should withdraw balance of recipient', async () => {
+      await feeSplitter.connect(stranger).collect(ZERO_ADDRESS);
+      const balanceBefore = await provider.getBalance(stranger.address);
+      const transaction = await feeSplitter
+        .connect(stranger)
+        .withdraw(ZERO_ADDRESS);
+      const txFee = await getTransactionFee(transaction, feeSplitter);
+      await expect(transaction)
+        .to.emit(feeSplitter, 'Withdrawn')
+        .withArgs(ZERO_ADDRESS, stranger.address, serviceFee.div(3));
+
+      expect(await provider.getBalance(stranger.address)).to.equal(
+        balanceBefore.add(serviceFee.div(3)).sub(txFee),
+      );
+      expect(
+        await feeSplitter.balances(ZERO_ADDRESS, stranger.address),
+      ).to.equal(0);
+      expect(
+        await feeSplitter.totalWithdrawn(ZERO_ADDRESS, stranger.address),
+      ).to.equal(serviceFee.div(3));
+      // Share of fundingReceiver stays until it withdraws
+      expect(await provider.getBalance(feeSplitter.address)).to.equal(
+        serviceFee.mul(2).div(3),
+      );
+
+      await expect(
+        feeSplitter.connect(stranger).withdraw(ZERO_ADDRESS),
+      ).to.be.revertedWith('Nothing to withdraw');
+      await expect(
+        feeSplitter.connect(client).withdraw(ZERO_ADDRESS),
+      ).to.be.revertedWith('Nothing to withdraw');
+    });
+
+    it('Should keep balance of removed recipient withdrawable', async () => {
+      await feeSplitter.collect(ZERO_ADDRESS);
+      await feeSplitter.connect(bo).setRecipients([arbiter.address], [1]);
+
+      await expect(feeSplitter.connect(stranger).withdraw(ZERO_ADDRESS))
+        .to.emit(feeSplitter, 'Withdrawn')
+        .withArgs(ZERO_ADDRESS, stranger.address, serviceFee.div(3));
+
+      await requestPaidAndClaimed(amount, ZERO_ADDRESS);
+      await feeSplitter.connect(arbiter).collect(ZERO_ADDRESS);
+      await expect(feeSplitter.connect(arbiter).withdraw(ZERO_ADDRESS))
+        .to.emit(feeSplitter, 'Withdrawn')
+        .withArgs(ZERO_ADDRESS, arbiter.address, serviceFee);
+    });
+
+    it('Should keep rounding remainder for the next split of token', async () => {
+      const tokenAmount = ethers.utils.parseUnits('100', 6);
+      const MockERC20 = await ethers.getContractFactory('MockERC20');
+      token = await MockERC20.deploy('USD Coin', 'USDC', 6);
+      await token.mint(client.address, tokenAmount.mul(2));
+      await token
+        .connect(client)
+        .approve(cmbContract.address, tokenAmount.mul(2));
+      await feeSplitter
+        .connect(bo)
+        .setRecipients([fundingReceiver.address, stranger.address], [3, 4]);
+
+      // 1.5% of 100 USDC is 1500000, split 642857 and 857142
+      await requestPaidAndClaimed(tokenAmount, token.address);
+      await feeSplitter.collect(token.address);
+      expect(await feeSplitter.undistributed(token.address)).to.equal(1);
+
+      await requestPaidAndClaimed(tokenAmount, token.address);
+      await feeSplitter.connect(stranger).collect(token.address);
+      await feeSplitter.connect(stranger).withdraw(token.address);
+      // Remainder of 1 is added to 1500000 of the second split
+      expect(await feeSplitter.undistributed(token.address)).to.equal(1);
+      expect(await token.balanceOf(stranger.address)).to.equal(857142 + 857143);
+      expect(
+        await feeSplitter.balances(token.address, fundingReceiver.address),
+      ).to.equal(642857 * 2);
+      expect(await feeSplitter.totalCollected(token.address)).to.equal(3000000);
+      expect(await token.balanceOf(feeSplitter.address)).to.equal(
+        3000000 - 857142 - 857143,
+      );
+    });
+
+    it('Should keep service fee undistributed without recipients', async () => {
+      await feeSplitter.connect(bo).setRecipients([], []);
+      await feeSplitter.collect(ZERO_ADDRESS);
+      expect(await feeSplitter.undistributed(ZERO_ADDRESS)).to.equal(
+        serviceFee,
+      );
+
+      await feeSplitter.connect(bo).setRecipients([stranger.address], [1]);
+      await feeSplitter.connect(stranger).collect(ZERO_ADDRESS);
+      await expect(feeSplitter.connect(stranger).withdraw(ZERO_ADDRESS))
+        .to.emit(feeSplitter, 'Withdrawn')
+        .withArgs(ZERO_ADDRESS, stranger.address, serviceFee);
+    });
+
+    it('Should be fail to collect without treasurer role', async () => {
+      await cmbContract
+        .connect(bo)
+        .revokeRole(TREASURER_ROLE, feeSplitter.address);
+      await expect(feeSplitter.collect(ZERO_ADDRESS)).to.be.revertedWith(
+        'Caller is missing role',
+      );
+    });
+
+    it('Should withdraw credited balance without treasurer role', async () => {
+      await feeSplitter.collect(ZERO_ADDRESS);
+      await requestPaidAndClaimed(amount, ZERO_ADDRESS);
+      await cmbContract
+        .connect(bo)
+        .revokeRole(TREASURER_ROLE, feeSplitter.address);
+
+      await expect(feeSplitter.connect(stranger).withdraw(ZERO_ADDRESS))
+        .to.emit(feeSplitter, 'Withdrawn')
+        .withArgs(ZERO_ADDRESS, stranger.address, serviceFee.div(3));
+      expect(await cmbContract.serviceFeeTotal()).to.equal(serviceFee);
+    });
+  });
+
+  describe('affiliate rewards', async () => {
+    async function requestPaidAndConfirmed(paymentAmount, tokenAddress) {
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          paymentAmount,
+          tokenAddress,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      const paymentId = await cmbContract.lastPaymentId();
+      const value = tokenAddress === ZERO_ADDRESS ? paymentAmount : 0;
+      await acceptRequest(cmbContract, client, paymentId);
+      await cmbContract.connect(client).pay(paymentId, { value });
+      await cmbContract.connect(client).confirmToRelease(paymentId);
+      return paymentId;
+    }
+
+    beforeEach(async () => {
+      const AffiliateRewards = await ethers.getContractFactory(
+        'AffiliateRewards',
+      );
+      affiliateRewards = await AffiliateRewards.deploy(cmbContract.address);
+      await cmbContract
+        .connect(bo)
+        .setAffiliateRewards(affiliateRewards.address);
+      // 20% of service fee goes to affiliate
+      await affiliateRewards
+        .connect(bo)
+        .setAffiliateCutBps(stranger.address, 2000);
+      await affiliateRewards
+        .connect(bo)
+        .setAffiliate(bo.address, stranger.address);
+
+      serviceFee = amount.mul(DEFAULT_FEE_PERCENTAGE).div(WEIGHT_DECIMAL * 100);
+      reward = serviceFee.div(5);
+    });
+
+    it('Should set affiliate rewards by fee manager', async () => {
+      expect(await cmbContract.affiliateRewards()).to.equal(
+        affiliateRewards.address,
+      );
+      await expect(cmbContract.connect(bo).setAffiliateRewards(ZERO_ADDRESS))
+        .to.emit(cmbContract, 'SetAffiliateRewards')
+        .withArgs(bo.address, affiliateRewards.address, ZERO_ADDRESS);
+
+      await expect(
+        cmbContract
+          .connect(client)
+          .setAffiliateRewards(affiliateRewards.address),
+      ).to.be.revertedWith('Caller is missing role');
+      await expect(
+        cmbContract.connect(bo).setAffiliateRewards(stranger.address),
+      ).to.be.revertedWith('Affiliate rewards needs to be a contract');
+    });
+
+    it('Should record affiliates of Business Owners by fee manager', async () => {
+      expect(await affiliateRewards.affiliateOf(bo.address)).to.equal(
+        stranger.address,
+      );
+      expect(await affiliateRewards.cutBps(stranger.address)).to.equal(2000);
+      expect(
+        await affiliateRewards.getBusinessOwners(stranger.address),
+      ).to.deep.equal([bo.address]);
+
+      await expect(
+        affiliateRewards
+          .connect(bo)
+          .setAffiliate(bo.address, fundingReceiver.address),
+      )
+        .to.emit(affiliateRewards, 'BusinessOwnerAffiliate')
+        .withArgs(
+          bo.address,
+          bo.address,
+          stranger.address,
+          fundingReceiver.address,
+        );
+      expect(
+        await affiliateRewards.getBusinessOwners(stranger.address),
+      ).to.deep.equal([]);
+      expect(
+        await affiliateRewards.getBusinessOwners(fundingReceiver.address),
+      ).to.deep.equal([bo.address]);
+
+      await expect(
+        affiliateRewards
+          .connect(bo)
+          .setAffiliateCutBps(fundingReceiver.address, 1000),
+      )
+        .to.emit(affiliateRewards, 'AffiliateCut')
+        .withArgs(bo.address, fundingReceiver.address, 0, 1000);
+      expect(await affiliateRewards.getReward(bo.address, 10000)).to.equal(
+        1000,
+      );
+    });
+
+    it('Should be fail when affiliates are invalid', async () => {
+      await expect(
+        affiliateRewards.connect(client).setAffiliate(bo.address, ZERO_ADDRESS),
+      ).to.be.revertedWith('Caller is missing role');
+      await expect(
+        affiliateRewards
+          .connect(client)
+          .setAffiliateCutBps(stranger.address, 100),
+      ).to.be.revertedWith('Caller is missing role');
+      await expect(
+        affiliateRewards
+          .connect(bo)
+          .setAffiliate(ZERO_ADDRESS, stranger.address),
+      ).to.be.revertedWith('Invalid address');
+      await expect(
+        affiliateRewards.connect(bo).setAffiliate(bo.address, bo.address),
+      ).to.be.revertedWith('Business Owner can not be its own affiliate');
+      await expect(
+        affiliateRewards.connect(bo).setAffiliateCutBps(ZERO_ADDRESS, 100),
+      ).to.be.revertedWith('Invalid address');
+      await expect(
+        affiliateRewards
+          .connect(bo)
+          .setAffiliateCutBps(stranger.address, 10001),
+      ).to.be.revertedWith('Cut exceeds service fee');
+      await expect(
+        affiliateRewards
+          .connect(bo)
+          .credit(BEGINNING_PAYMENT_ID, bo.address, ZERO_ADDRESS, 100),
+      ).to.be.revertedWith('Only CMB can do it');
+    });
+
+    it('Should credit cut of service fee to affiliate on claim', async () => {
+      const paymentId = await requestPaidAndConfirmed(amount, ZERO_ADDRESS);
+
+      const transaction = await cmbContract.connect(bo).claim(paymentId);
+      await expect(transaction)
+        .to.emit(affiliateRewards, 'Rewarded')
+        .withArgs(
+          stranger.address,
+          bo.address,
+          paymentId,
+          ZERO_ADDRESS,
+          reward,
+        );
+
+      expect(await cmbContract.withdrawableBalances(bo.address)).to.equal(
+        amount.sub(serviceFee),
+      );
+      expect(await cmbContract.serviceFeeTotal()).to.equal(
+        serviceFee.sub(reward),
+      );
+      expect(
+        await cmbContract.withdrawableBalances(affiliateRewards.address),
+      ).to.equal(reward);
+      expect(
+        await affiliateRewards.balances(ZERO_ADDRESS, stranger.address),
+      ).to.equal(reward);
+      expect(
+        await affiliateRewards.totalEarned(ZERO_ADDRESS, stranger.address),
+      ).to.equal(reward);
+    });
+
+    it('Should credit cut of service fee in token when dispute is resolved', async () => {
+      const tokenAmount = ethers.utils.parseUnits('100', 6);
+      const MockERC20 = await ethers.getContractFactory('MockERC20');
+      token = await MockERC20.deploy('USD Coin', 'USDC', 6);
+      await token.mint(client.address, tokenAmount);
+      await token.connect(client).approve(cmbContract.address, tokenAmount);
+      await cmbContract.connect(bo).grantRole(ARBITER_ROLE, arbiter.address);
+
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          tokenAmount,
+          token.address,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      const paymentId = await cmbContract.lastPaymentId();
+      await acceptRequest(cmbContract, client, paymentId);
+      await cmbContract.connect(client).pay(paymentId);
+      await cmbContract.connect(client).raiseDispute(paymentId);
+      await cmbContract.connect(arbiter).resolveDispute(paymentId, tokenAmount);
+
+      // 1.5% of 100 USDC is 1500000, 20% of it is 300000
+      expect(await cmbContract.tokenServiceFeeTotal(token.address)).to.equal(
+        1200000,
+      );
+      expect(await token.balanceOf(affiliateRewards.address)).to.equal(300000);
+
+      await expect(affiliateRewards.connect(stranger).withdraw(token.address))
+        .to.emit(affiliateRewards, 'Withdrawn')
+        .withArgs(token.address, stranger.address, 300000);
+      expect(await token.balanceOf(stranger.address)).to.equal(300000);
+    });
+
+    it('Should withdraw reward of affiliate', async () => {
+      const paymentId = await requestPaidAndConfirmed(amount, ZERO_ADDRESS);
+      await cmbContract.connect(bo).claim(paymentId);
+      const balanceBefore = await provider.getBalance(stranger.address);
+
+      const transaction = await affiliateRewards
+        .connect(stranger)
+        .withdraw(ZERO_ADDRESS);
+      const txFee = await getTransactionFee(transaction, affiliateRewards);
+      await expect(transaction)
+        .to.emit(affiliateRewards, 'Withdrawn')
+        .withArgs(ZERO_ADDRESS, stranger.address, reward);
+
+      expect(await provider.getBalance(stranger.address)).to.equal(
+        balanceBefore.add(reward).sub(txFee),
+      );
+      expect(
+        await affiliateRewards.totalWithdrawn(ZERO_ADDRESS, stranger.address),
+      ).to.equal(reward);
+      await expect(
+        affiliateRewards.connect(stranger).withdraw(ZERO_ADDRESS),
+      ).to.be.revertedWith('Nothing to withdraw');
+    });
+
+    it('Should keep whole service fee without affiliate', async () => {
+      await affiliateRewards.connect(bo).setAffiliate(bo.address, ZERO_ADDRESS);
+      let paymentId = await requestPaidAndConfirmed(amount, ZERO_ADDRESS);
+      await expect(cmbContract.connect(bo).claim(paymentId)).not.to.emit(
+        affiliateRewards,
+        'Rewarded',
+      );
+      expect(await cmbContract.serviceFeeTotal()).to.equal(serviceFee);
+
+      await cmbContract.connect(bo).setAffiliateRewards(ZERO_ADDRESS);
+      await affiliateRewards
+        .connect(bo)
+        .setAffiliate(bo.address, stranger.address);
+      paymentId = await requestPaidAndConfirmed(amount, ZERO_ADDRESS);
+      await cmbContract.connect(bo).claim(paymentId);
+      expect(await cmbContract.serviceFeeTotal()).to.equal(serviceFee.mul(2));
+      expect(
+        await affiliateRewards.balances(ZERO_ADDRESS, stranger.address),
+      ).to.equal(0);
+    });
+  });
+
+  describe('withdraw', async () => {
+    beforeEach(async () => {
+      for (let i = 0; i < 2; i++) {
+        await cmbContract
+          .connect(bo)
+          .requestPayment(
+            client.address,
+            data,
+            amount,
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          );
+        await acceptRequest(cmbContract, client, i + 1);
+        await cmbContract.connect(client).pay(i + 1, { value: amount });
+      }
+      serviceFee = await cmbContract.calculateServiceFee(amount);
+    });
+
+    it('Should accumulate released native coin until it is withdrawn', async () => {
+      await cmbContract.connect(client).confirmToRelease(1);
+      await cmbContract.connect(bo).claim(1);
+      await cmbContract.connect(bo).refund(2);
+      await cmbContract
+        .connect(bo)
+        .withdrawServiceFee(ZERO_ADDRESS, serviceFee, bo.address);
+
+      expect(await cmbContract.withdrawableBalances(bo.address)).to.equal(
+        amount,
+      );
+      expect(await cmbContract.withdrawableBalances(client.address)).to.equal(
+        amount,
+      );
+      expect(await provider.getBalance(cmbContract.address)).to.equal(
+        amount.mul(2),
+      );
+
+      await expect(() =>
+        cmbContract.connect(bo).withdraw(),
+      ).to.changeEtherBalances([bo, cmbContract], [amount, amount.mul(-1)]);
+      expect(await cmbContract.withdrawableBalances(bo.address)).to.equal(0);
+      expect(await cmbContract.withdrawableBalances(client.address)).to.equal(
+        amount,
+      );
+    });
+
+    it('Should withdraw while paused', async () => {
+      await cmbContract.connect(bo).refund(1);
+      await cmbContract.connect(bo).grantRole(PAUSER_ROLE, bo.address);
+      await cmbContract.connect(bo).pause();
+
+      await expect(cmbContract.connect(client).withdraw())
+        .to.emit(cmbContract, 'Withdrawn')
+        .withArgs(client.address, amount);
+    });
+
+    it('Should be fail when there is nothing to withdraw', async () => {
+      await expect(cmbContract.connect(client).withdraw()).to.be.revertedWith(
+        'Nothing to withdraw',
+      );
+      await cmbContract.connect(bo).refund(1);
+      await cmbContract.connect(client).withdraw();
+      await expect(cmbContract.connect(client).withdraw()).to.be.revertedWith(
+        'Nothing to withdraw',
+      );
+    });
+  });
+
+  describe('smart-contract wallets', async () => {
+    beforeEach(async () => {
+      const MockWallet = await ethers.getContractFactory('MockWallet');
+      boWallet = await MockWallet.deploy(bo.address);
+      clientWallet = await MockWallet.deploy(client.address);
+      serviceFee = amount.mul(DEFAULT_FEE_PERCENTAGE).div(WEIGHT_DECIMAL * 100);
+    });
+
+    async function execute(signer, wallet, method, args, value = 0) {
+      const callData = cmbContract.interface.encodeFunctionData(method, args);
+      return wallet
+        .connect(signer)
+        .execute(cmbContract.address, value, callData, { value });
+    }
+
+    it('Should pay, confirm and claim payment between wallets', async () => {
+      await execute(bo, boWallet, 'requestPayment', [
+        clientWallet.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      ]);
+      const payment = await cmbContract.payments(1);
+      expect(payment.bo).to.equal(boWallet.address);
+      expect(payment.client).to.equal(clientWallet.address);
+
+      await execute(client, clientWallet, 'acceptRequest', [1, amount, data]);
+      await expect(execute(client, clientWallet, 'pay', [1], amount))
+        .to.emit(cmbContract, 'Paid')
+        .withArgs(1);
+      await execute(client, clientWallet, 'confirmToRelease', [1]);
+      await execute(bo, boWallet, 'claim', [1]);
+      expect(await cmbContract.withdrawableBalances(boWallet.address)).to.equal(
+        amount.sub(serviceFee),
+      );
+
+      await expect(() =>
+        execute(bo, boWallet, 'withdraw', []),
+      ).to.changeEtherBalance(boWallet, amount.sub(serviceFee));
+      expect(await boWallet.received()).to.equal(amount.sub(serviceFee));
+    });
+
+    it('Should refund to client wallet', async () => {
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          clientWallet.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      await execute(client, clientWallet, 'acceptRequest', [1, amount, data]);
+      await execute(client, clientWallet, 'pay', [1], amount);
+      await cmbContract.connect(bo).refund(1);
+
+      await expect(() =>
+        execute(client, clientWallet, 'withdraw', []),
+      ).to.changeEtherBalance(clientWallet, amount);
+    });
+
+    it('Should set wallet as client and as service fee receiver', async () => {
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      await cmbContract.connect(bo).setClient(1, clientWallet.address);
+      expect((await cmbContract.payments(1)).client).to.equal(
+        clientWallet.address,
+      );
+
+      await execute(client, clientWallet, 'acceptRequest', [1, amount, data]);
+      await execute(client, clientWallet, 'pay', [1], amount);
+      await execute(client, clientWallet, 'confirmToRelease', [1]);
+      await cmbContract.connect(bo).claim(1);
+      await cmbContract
+        .connect(bo)
+        .withdrawServiceFee(ZERO_ADDRESS, serviceFee, boWallet.address);
+      expect(await cmbContract.withdrawableBalances(boWallet.address)).to.equal(
+        serviceFee,
+      );
+    });
+  });
+
+  describe('account policy', async () => {
+    beforeEach(async () => {
+      const AccountPolicy = await ethers.getContractFactory('AccountPolicy');
+      accountPolicy = await AccountPolicy.deploy(cmbContract.address);
+      await cmbContract.connect(bo).setAccountPolicy(accountPolicy.address);
+    });
+
+    async function requestPaymentTo(clientAddress) {
+      return cmbContract
+        .connect(bo)
+        .requestPayment(
+          clientAddress,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+    }
+
+    it('Should set account policy by admin', async () => {
+      expect(await cmbContract.accountPolicy()).to.equal(accountPolicy.address);
+      await expect(cmbContract.connect(bo).setAccountPolicy(ZERO_ADDRESS))
+        .to.emit(cmbContract, 'SetAccountPolicy')
+        .withArgs(bo.address, accountPolicy.address, ZERO_ADDRESS);
+
+      await expect(
+        cmbContract.connect(client).setAccountPolicy(accountPolicy.address),
+      ).to.be.revertedWith('Caller is missing role');
+      await expect(
+        cmbContract.connect(bo).setAccountPolicy(stranger.address),
+      ).to.be.revertedWith('Account policy needs to be a contract');
+    });
+
+    it('Should only let CMB admin manage lists', async () => {
+      await expect(
+        accountPolicy.connect(client).setAllowlistOnly(true),
+      ).to.be.revertedWith('Caller is missing role');
+      await expect(
+        accountPolicy.connect(client).setDenylisted([stranger.address], true),
+      ).to.be.revertedWith('Caller is missing role');
+      await expect(
+        accountPolicy.connect(bo).setAllowlisted([], true),
+      ).to.be.revertedWith('Invalid batch size');
+
+      await expect(accountPolicy.connect(bo).setAllowlistOnly(true))
+        .to.emit(accountPolicy, 'AllowlistOnly')
+        .withArgs(bo.address, true);
+      await expect(
+        accountPolicy.connect(bo).setAllowlisted([client.address], true),
+      )
+        .to.emit(accountPolicy, 'Allowlisted')
+        .withArgs(bo.address, client.address, true);
+    });
+
+    it('Should reject denylisted client, Business Owner and receiver', async () => {
+      await accountPolicy.connect(bo).setDenylisted([stranger.address], true);
+      expect(await accountPolicy.isAllowed(stranger.address)).to.be.false;
+
+      await expect(requestPaymentTo(stranger.address)).to.be.revertedWith(
+        'Account is not allowed',
+      );
+      await expect(
+        cmbContract
+          .connect(stranger)
+          .requestPayment(
+            client.address,
+            data,
+            amount,
+            ZERO_ADDRESS,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          ),
+      ).to.be.revertedWith('Account is not allowed');
+
+      await requestPaymentTo(client.address);
+      await expect(
+        cmbContract.connect(bo).setClient(1, stranger.address),
+      ).to.be.revertedWith('Account is not allowed');
+      await acceptRequest(cmbContract, client, 1);
+      await cmbContract.connect(client).pay(1, { value: amount });
+      await cmbContract.connect(client).confirmToRelease(1);
+      await cmbContract.connect(bo).claim(1);
+      await expect(
+        cmbContract
+          .connect(bo)
+          .withdrawServiceFee(ZERO_ADDRESS, 1, stranger.address),
+      ).to.be.revertedWith('Account is not allowed');
+
+      await accountPolicy.connect(bo).setDenylisted([stranger.address], false);
+      await requestPaymentTo(stranger.address);
+    });
+
+    it('Should only allow allowlisted accounts in allowlist only mode', async () => {
+      await accountPolicy.connect(bo).setAllowlistOnly(true);
+      await expect(requestPaymentTo(client.address)).to.be.revertedWith(
+        'Account is not allowed',
+      );
+
+      await accountPolicy
+        .connect(bo)
+        .setAllowlisted([bo.address, client.address], true);
+      await requestPaymentTo(client.address);
+      await expect(requestPaymentTo(client2.address)).to.be.revertedWith(
+        'Account is not allowed',
+      );
+
+      await accountPolicy.connect(bo).setDenylisted([client.address], true);
+      await expect(requestPaymentTo(client.address)).to.be.revertedWith(
+        'Account is not allowed',
+      );
+    });
+  });
+
+  describe('token payment', async () => {
+    beforeEach(async () => {
+      tokenAmount = ethers.utils.parseUnits('100', 6);
+      const MockERC20 = await ethers.getContractFactory('MockERC20');
+      token = await MockERC20.deploy('USD Coin', 'USDC', 6);
+      await token.mint(client.address, tokenAmount.mul(10));
+
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          tokenAmount,
+          token.address,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      lastPaymentId = await cmbContract.lastPaymentId();
+    });
+
+    it('Should request token payment successfully', async () => {
+      const payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.token).to.equal(token.address);
+      expect(payment.amount).to.equal(tokenAmount);
+      expect(payment.status).to.equal(REQUESTING_STATUS);
+    });
+
+    it('Should request payment fail when token is not a contract', async () => {
+      await expect(
+        cmbContract
+          .connect(bo)
+          .requestPayment(
+            client.address,
+            data,
+            amount,
+            stranger.address,
+            PAYMENT_DURATION,
+            RELEASE_DURATION,
+          ),
+      ).to.be.revertedWith('Invalid token');
+    });
+
+    it('Should pay by allowance successfully', async () => {
+      await token.connect(client).approve(cmbContract.address, tokenAmount);
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId);
+
+      const payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.status).to.equal(PAID_STATUS);
+      expect(await token.balanceOf(cmbContract.address)).to.equal(tokenAmount);
+    });
+
+    it('Should pay by permit successfully', async () => {
+      const deadline = MAX_UINT256.toString();
+      const { v, r, s } = await signPermit(
+        token,
+        client,
+        cmbContract.address,
+        tokenAmount,
+        deadline,
+      );
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract
+        .connect(client)
+        .payWithPermit(lastPaymentId, deadline, v, r, s);
+
+      const payment = await cmbContract.payments(lastPaymentId);
+      expect(payment.status).to.equal(PAID_STATUS);
+      expect(await token.balanceOf(cmbContract.address)).to.equal(tokenAmount);
+    });
+
+    it('Should be fail when paying by permit for native payment', async () => {
+      await cmbContract
+        .connect(bo)
+        .requestPayment(
+          client.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
+      const nativePaymentId = await cmbContract.lastPaymentId();
+      const { v, r, s } = await signPermit(
+        token,
+        client,
+        cmbContract.address,
+        amount,
+        MAX_UINT256.toString(),
+      );
+
+      await expect(
+        cmbContract
+          .connect(client)
+          .payWithPermit(nativePaymentId, MAX_UINT256.toString(), v, r, s),
+      ).to.be.revertedWith('This payment needs to be paid by token');
+    });
+
+    it('Should be fail when sending native coin for token payment', async () => {
+      await token.connect(client).approve(cmbContract.address, tokenAmount);
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await expect(
+        cmbContract.connect(client).pay(lastPaymentId, { value: amount }),
+      ).to.be.revertedWith('Can not pay native coin for token payment');
+    });
+
+    it('Should be fail when client does not approve enough token', async () => {
+      await token
+        .connect(client)
+        .approve(cmbContract.address, tokenAmount.sub(1));
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await expect(cmbContract.connect(client).pay(lastPaymentId)).to.be
+        .reverted;
+    });
+
+    it('Should claim and withdraw service fee in token successfully', async () => {
+      await token.connect(client).approve(cmbContract.address, tokenAmount);
+      await acceptRequest(cmbContract, client, lastPaymentId);
+      await cmbContract.connect(client).pay(lastPaymentId);
+      await cmbContract.connect(client).confirmToRelease(lastPaymentId);
+      await cmbContract.connect(bo).claim(lastPaymentId);
+
+      const serviceFee = await cmbContract.calculateServiceFee(tokenAmount);
+      expect(await token.balanceOf(bo.address)).to.equal(
+        tokenAmount.sub(serviceFee),
+      );
+      expect(await cmbContract.tokenServiceFeeTotal(token.address)).to.equal(
+        serviceFee,
+      );
+      expect(await cmbContract.getServiceFeeTotal(token.address)).to.equal(
+        serviceFee,
+      );
+      expect(await cmbContract.serviceFeeTotal()).to.equal(0);
+
+      await expect(
+        cmbContract
+          .connect(bo)
+          .withdrawServiceFee(
+            token.address,
+            serviceFee.add(1),
+            fundingReceiver.address,
+          ),
+      ).to.be.revertedWith('Not enough to withdraw');
+
+      await expect(
+        cmbContract
+          .connect(bo)
+          .withdrawServiceFee(
+            token.address,
+            serviceFee,
+            fundingReceiver.address,
+          ),
+      )
+        .to.emit(cmbContract, 'WithdrawnServiceFee')
+        .withArgs(token.address, serviceFee, fundingReceiver.address);
+      expect(await token.balanceOf(fundingReceiver.address)).to.equal(
+        serviceFee,
+      );
+      expect(await cmbContract.tokenServiceFeeTotal(token.address)).to.equal(0);
+    });
+  });
 });
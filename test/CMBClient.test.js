@@ -0,0 +1,533 @@
+const { artifacts, ethers, upgrades } = require('hardhat');
+const { expect } = require('chai');
+const { ZERO_ADDRESS } = require('@openzeppelin/test-helpers/src/constants');
+const { CMBClient, CMBClientError } = require('../sdk');
+
+const PAYMENT_DURATION = 7 * 24 * 60 * 60;
+const RELEASE_DURATION = 14 * 24 * 60 * 60;
+const DURATIONS = {
+  paymentDuration: PAYMENT_DURATION,
+  releaseDuration: RELEASE_DURATION,
+};
+
+const increaseTime = require('../utils/increaseTime');
+
+async function expectClientError(promise, code) {
+  try {
+    await promise;
+  } catch (err) {
+    expect(err).to.be.instanceOf(CMBClientError);
+    expect(err.code).to.equal(code);
+    return err;
+  }
+  expect.fail(`Expected CMBClientError ${code}`);
+}
+
+describe('CMBClient - SDK test', () => {
+  beforeEach(async () => {
+    amount = ethers.utils.parseEther('0.01');
+    data = '0x666f6f6261720000000000000000000000000000000000000000000000000000';
+    const accounts = await ethers.getSigners();
+    bo = accounts[0];
+    client = accounts[1];
+    stranger = accounts[2];
+    arbiter = accounts[3];
+
+    CMB = await ethers.getContractFactory('CMB');
+    cmbContract = await upgrades.deployProxy(CMB, [bo.address]);
+    boClient = new CMBClient(cmbContract.address, bo);
+    clientClient = new CMBClient(cmbContract.address, client);
+    strangerClient = new CMBClient(cmbContract.address, stranger);
+  });
+
+  describe('ABI', async () => {
+    it('Should ship ABI of compiled CMB', async () => {
+      const { abi } = await artifacts.readArtifact('CMB');
+      expect(require('../sdk/abi/CMB.json')).to.deep.equal(abi);
+    });
+  });
+
+  describe('forNetwork', async () => {
+    it('Should throw if CMB is not deployed on the network', async () => {
+      await expectClientError(
+        CMBClient.forNetwork(ethers.provider),
+        'UNSUPPORTED_NETWORK',
+      );
+    });
+  });
+
+  describe('getPayment', async () => {
+    it('Should decode payment with named status', async () => {
+      await boClient.requestPayment(client.address, data, amount, DURATIONS);
+
+      const payment = await boClient.getPayment(1);
+      expect(payment.paymentId).to.equal(1);
+      expect(payment.bo).to.equal(bo.address);
+      expect(payment.client).to.equal(client.address);
+      expect(payment.data).to.equal(data);
+      expect(payment.amount).to.equal(amount);
+      expect(payment.status).to.equal('REQUESTING');
+      expect(payment.token).to.equal(ZERO_ADDRESS);
+      expect(payment.releaseDuration).to.equal(RELEASE_DURATION);
+      expect(CMBClient.Status[payment.status]).to.equal(0);
+    });
+
+    it('Should decode milestones with named status', async () => {
+      await cmbContract.requestMilestonePayment(
+        client.address,
+        data,
+        [amount, amount.mul(2)],
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+      await clientClient.acceptRequest(1, amount.mul(3), data);
+      await clientClient.pay(1);
+
+      const milestones = await clientClient.getMilestones(1);
+      expect(milestones.length).to.equal(2);
+      expect(milestones[1].amount).to.equal(amount.mul(2));
+      expect(milestones[1].status).to.equal('PAID');
+    });
+  });
+
+  describe('getPaymentsByBusinessOwner and getPaymentsByClient', async () => {
+    it('Should decode pages of payments', async () => {
+      await boClient.requestPayment(client.address, data, amount, DURATIONS);
+      await boClient.requestPayment(stranger.address, data, amount, DURATIONS);
+      await clientClient.acceptRequest(1, amount, data);
+      await clientClient.pay(1);
+
+      const payments = await boClient.getPaymentsByBusinessOwner(bo.address);
+      expect(payments.map(({ status }) => status)).to.deep.equal([
+        'PAID',
+        'REQUESTING',
+      ]);
+
+      const requesting = await boClient.getPaymentsByBusinessOwner(bo.address, {
+        status: 'REQUESTING',
+      });
+      expect(requesting.map(({ client }) => client)).to.deep.equal([
+        stranger.address,
+      ]);
+
+      const page = await boClient.getPaymentsByClient(client.address, {
+        offset: 1,
+      });
+      expect(page).to.deep.equal([]);
+    });
+  });
+
+  describe('requestPayment', async () => {
+    it('Should throw without signer', async () => {
+      const reader = new CMBClient(cmbContract.address, ethers.provider);
+      await expectClientError(
+        reader.requestPayment(client.address, data, amount, DURATIONS),
+        'NO_SIGNER',
+      );
+    });
+
+    it('Should throw when client is invalid', async () => {
+      await expectClientError(
+        boClient.requestPayment(ZERO_ADDRESS, data, amount, DURATIONS),
+        'INVALID_ADDRESS',
+      );
+      await expectClientError(
+        boClient.requestPayment(bo.address, data, amount, DURATIONS),
+        'SAME_BO_AND_CLIENT',
+      );
+    });
+
+    it('Should accept contract wallet unless account policy denies it', async () => {
+      const MockWallet = await ethers.getContractFactory('MockWallet');
+      const wallet = await MockWallet.deploy(client.address);
+      await boClient.requestPayment(wallet.address, data, amount, DURATIONS);
+      expect((await boClient.getPayment(1)).client).to.equal(wallet.address);
+
+      const AccountPolicy = await ethers.getContractFactory('AccountPolicy');
+      const policy = await AccountPolicy.deploy(cmbContract.address);
+      await cmbContract.setAccountPolicy(policy.address);
+      await policy.setDenylisted([wallet.address], true);
+      await expectClientError(
+        boClient.requestPayment(wallet.address, data, amount, DURATIONS),
+        'NOT_ALLOWED',
+      );
+    });
+
+    it('Should throw when token or duration is invalid', async () => {
+      await expectClientError(
+        boClient.requestPayment(client.address, data, amount, {
+          ...DURATIONS,
+          token: stranger.address,
+        }),
+        'INVALID_TOKEN',
+      );
+      await expectClientError(
+        boClient.requestPayment(client.address, data, amount, {
+          paymentDuration: 0,
+          releaseDuration: RELEASE_DURATION,
+        }),
+        'INVALID_DURATION',
+      );
+    });
+  });
+
+  describe('pay', async () => {
+    beforeEach(async () => {
+      await boClient.requestPayment(client.address, data, amount, DURATIONS);
+    });
+
+    it('Should send amount of native payment along', async () => {
+      await clientClient.acceptRequest(1, amount, data);
+      await expect(() => clientClient.pay(1)).to.changeEtherBalance(
+        cmbContract,
+        amount,
+      );
+      expect((await clientClient.getPayment(1)).status).to.equal('PAID');
+    });
+
+    it('Should throw when sender is not client', async () => {
+      const err = await expectClientError(strangerClient.pay(1), 'NOT_CLIENT');
+      expect(err.message).to.contain(client.address);
+    });
+
+    it('Should throw when payment is invalid', async () => {
+      await expectClientError(clientClient.pay(0), 'INVALID_PAYMENT');
+      await expectClientError(clientClient.pay(2), 'INVALID_PAYMENT');
+    });
+
+    it('Should throw when payment has been paid', async () => {
+      await clientClient.acceptRequest(1, amount, data);
+      await clientClient.pay(1);
+      await expectClientError(clientClient.pay(1), 'INVALID_STATUS');
+    });
+
+    it('Should throw when payment has not been accepted', async () => {
+      await expectClientError(clientClient.pay(1), 'NOT_ACCEPTED');
+
+      await clientClient.acceptRequest(1, amount, data);
+      await boClient.setAmount(1, amount.mul(2));
+      await expectClientError(clientClient.pay(1), 'NOT_ACCEPTED');
+    });
+
+    it('Should throw when accepted terms have changed', async () => {
+      await expectClientError(
+        clientClient.acceptRequest(1, amount.mul(2), data),
+        'TERMS_CHANGED',
+      );
+      await expectClientError(
+        clientClient.acceptRequest(1, amount, ethers.constants.HashZero),
+        'TERMS_CHANGED',
+      );
+      await expectClientError(
+        strangerClient.acceptRequest(1, amount, data),
+        'NOT_CLIENT',
+      );
+    });
+
+    it('Should throw when payment has expired', async () => {
+      await increaseTime(PAYMENT_DURATION + 1);
+      await expectClientError(clientClient.pay(1), 'EXPIRED');
+    });
+
+    it('Should throw when payment has been cancelled', async () => {
+      await cmbContract.cancelPayment(1);
+      await expectClientError(clientClient.pay(1), 'CANCELLED');
+    });
+
+    it('Should throw when contract is paused', async () => {
+      await boClient.grantRole('PAUSER', bo.address);
+      await cmbContract.pause();
+      await expectClientError(clientClient.pay(1), 'PAUSED');
+    });
+
+    it('Should throw when token allowance is not enough', async () => {
+      const MockERC20 = await ethers.getContractFactory('MockERC20');
+      const token = await MockERC20.deploy('Mock Token', 'MTK', 18);
+      await token.mint(client.address, amount);
+      await boClient.requestPayment(client.address, data, amount, {
+        ...DURATIONS,
+        token: token.address,
+      });
+
+      await clientClient.acceptRequest(2, amount, data);
+      await expectClientError(clientClient.pay(2), 'INSUFFICIENT_ALLOWANCE');
+
+      await token.connect(client).approve(cmbContract.address, amount);
+      await clientClient.pay(2);
+      expect(await token.balanceOf(cmbContract.address)).to.equal(amount);
+    });
+  });
+
+  describe('payInstallment', async () => {
+    beforeEach(async () => {
+      await boClient.requestPayment(client.address, data, amount, DURATIONS);
+      await clientClient.acceptRequest(1, amount, data);
+    });
+
+    it('Should pay in installments capped at unpaid amount', async () => {
+      const half = amount.div(2);
+      await expect(() =>
+        clientClient.payInstallment(1, half),
+      ).to.changeEtherBalance(cmbContract, half);
+      let payment = await clientClient.getPayment(1);
+      expect(payment.status).to.equal('REQUESTING');
+      expect(payment.paidAmount).to.equal(half);
+
+      await expect(() =>
+        clientClient.payInstallment(1, amount),
+      ).to.changeEtherBalance(client, amount.sub(half).mul(-1));
+      payment = await clientClient.getPayment(1);
+      expect(payment.status).to.equal('PAID');
+      expect(payment.paidAmount).to.equal(amount);
+    });
+
+    it('Should pay rest of partly paid payment', async () => {
+      await clientClient.payInstallment(1, amount.div(4));
+      await expect(() => clientClient.pay(1)).to.changeEtherBalance(
+        cmbContract,
+        amount.sub(amount.div(4)),
+      );
+      expect((await clientClient.getPayment(1)).status).to.equal('PAID');
+    });
+
+    it('Should throw when installment can not be paid', async () => {
+      await expectClientError(
+        clientClient.payInstallment(1, 0),
+        'INVALID_AMOUNT',
+      );
+      await expectClientError(
+        strangerClient.payInstallment(1, amount),
+        'NOT_CLIENT',
+      );
+
+      await clientClient.payInstallment(1, amount.div(2));
+      await expectClientError(
+        boClient.setAmount(1, amount.mul(2)),
+        'PARTLY_PAID',
+      );
+
+      await cmbContract.requestMilestonePayment(
+        client.address,
+        data,
+        [amount],
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+      await clientClient.acceptRequest(2, amount, data);
+      await expectClientError(
+        clientClient.payInstallment(2, amount),
+        'MILESTONE_PAYMENT',
+      );
+    });
+  });
+
+  describe('payWithSignature', async () => {
+    beforeEach(async () => {
+      const { timestamp } = await ethers.provider.getBlock('latest');
+      signedInvoice = await boClient.signInvoice({
+        client: client.address,
+        data,
+        amount,
+        releaseDuration: RELEASE_DURATION,
+        expiry: timestamp + PAYMENT_DURATION,
+      });
+    });
+
+    it('Should pay invoice signed by Business Owner', async () => {
+      await expect(() =>
+        clientClient.payWithSignature(signedInvoice),
+      ).to.changeEtherBalance(cmbContract, amount);
+
+      const payment = await clientClient.getPayment(1);
+      expect(payment.bo).to.equal(bo.address);
+      expect(payment.status).to.equal('PAID');
+    });
+
+    it('Should throw when sender is not client', async () => {
+      await expectClientError(
+        strangerClient.payWithSignature(signedInvoice),
+        'NOT_CLIENT',
+      );
+    });
+
+    it('Should throw when invoice has expired', async () => {
+      await increaseTime(PAYMENT_DURATION + 1);
+      await expectClientError(
+        clientClient.payWithSignature(signedInvoice),
+        'EXPIRED',
+      );
+    });
+
+    it('Should throw when invoice has been paid or cancelled', async () => {
+      await clientClient.payWithSignature(signedInvoice);
+      await expectClientError(
+        clientClient.payWithSignature(signedInvoice),
+        'USED_INVOICE',
+      );
+    });
+  });
+
+  describe('confirmToRelease and claim', async () => {
+    beforeEach(async () => {
+      await boClient.requestPayment(client.address, data, amount, DURATIONS);
+    });
+
+    it('Should confirm and claim payment', async () => {
+      await clientClient.acceptRequest(1, amount, data);
+      await clientClient.pay(1);
+      await clientClient.confirmToRelease(1);
+      expect((await boClient.getPayment(1)).status).to.equal('CONFIRMED');
+
+      await boClient.claim(1);
+      expect((await boClient.getPayment(1)).status).to.equal('CLAIMED');
+    });
+
+    it('Should withdraw claimed amount', async () => {
+      await clientClient.acceptRequest(1, amount, data);
+      await clientClient.pay(1);
+      await clientClient.confirmToRelease(1);
+      await expectClientError(boClient.withdraw(), 'NOTHING_TO_WITHDRAW');
+
+      await boClient.claim(1);
+      const serviceFee = await cmbContract.calculateServiceFee(amount);
+      expect(await boClient.getWithdrawableBalance()).to.equal(
+        amount.sub(serviceFee),
+      );
+      expect(await clientClient.getWithdrawableBalance(bo.address)).to.equal(
+        amount.sub(serviceFee),
+      );
+
+      await expect(() => boClient.withdraw()).to.changeEtherBalance(
+        bo,
+        amount.sub(serviceFee),
+      );
+      expect(await boClient.getWithdrawableBalance()).to.equal(0);
+    });
+
+    it('Should throw when payment has not been paid', async () => {
+      await expectClientError(
+        clientClient.confirmToRelease(1),
+        'INVALID_STATUS',
+      );
+    });
+
+    it('Should throw when payment has not been released', async () => {
+      await clientClient.acceptRequest(1, amount, data);
+      await clientClient.pay(1);
+      await expectClientError(boClient.claim(1), 'NOT_RELEASED');
+      await expectClientError(clientClient.claim(1), 'NOT_BUSINESS_OWNER');
+
+      await increaseTime(RELEASE_DURATION + 1);
+      await boClient.claim(1);
+      expect((await boClient.getPayment(1)).status).to.equal('CLAIMED');
+    });
+
+    it('Should throw for milestone payment', async () => {
+      await cmbContract.requestMilestonePayment(
+        client.address,
+        data,
+        [amount],
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+      await clientClient.acceptRequest(2, amount, data);
+      await clientClient.pay(2);
+      await expectClientError(
+        clientClient.confirmToRelease(2),
+        'MILESTONE_PAYMENT',
+      );
+    });
+  });
+
+  describe('setters', async () => {
+    beforeEach(async () => {
+      await boClient.requestPayment(client.address, data, amount, DURATIONS);
+    });
+
+    it('Should update requesting payment', async () => {
+      const newData = ethers.utils.formatBytes32String('invoice');
+      await boClient.setClient(1, stranger.address);
+      await boClient.setData(1, newData);
+      await boClient.setAmount(1, amount.mul(2));
+
+      const payment = await boClient.getPayment(1);
+      expect(payment.client).to.equal(stranger.address);
+      expect(payment.data).to.equal(newData);
+      expect(payment.amount).to.equal(amount.mul(2));
+    });
+
+    it('Should throw when payment can not be edited', async () => {
+      await expectClientError(
+        clientClient.setAmount(1, amount),
+        'NOT_BUSINESS_OWNER',
+      );
+      await expectClientError(boClient.setAmount(1, 0), 'INVALID_AMOUNT');
+      await expectClientError(
+        boClient.setClient(1, ZERO_ADDRESS),
+        'INVALID_ADDRESS',
+      );
+
+      await clientClient.acceptRequest(1, amount, data);
+      await clientClient.pay(1);
+      await expectClientError(boClient.setData(1, data), 'INVALID_STATUS');
+    });
+
+    it('Should only let fee manager set service fee', async () => {
+      await expectClientError(
+        boClient.setServiceFeePercent(200),
+        'MISSING_ROLE',
+      );
+
+      await boClient.grantRole('FEE_MANAGER', bo.address);
+      await expectClientError(
+        boClient.setServiceFeePercent(0),
+        'INVALID_SERVICE_FEE',
+      );
+      await expectClientError(
+        boClient.setServiceFeePercent(1001),
+        'INVALID_SERVICE_FEE',
+      );
+      await expectClientError(
+        boClient.applyServiceFeePercent(),
+        'NO_PENDING_FEE',
+      );
+
+      await boClient.setServiceFeePercent(200);
+      await expectClientError(
+        strangerClient.applyServiceFeePercent(),
+        'FEE_NOT_EFFECTIVE',
+      );
+      await increaseTime(2 * 24 * 60 * 60);
+      await strangerClient.applyServiceFeePercent();
+      expect(await cmbContract.serviceFeePercent()).to.equal(2e6);
+    });
+
+    it('Should preview service fee fixed for new payments', async () => {
+      const { percent, serviceFee } = await boClient.previewServiceFee(
+        bo.address,
+        amount,
+      );
+      expect(percent).to.equal(15e5);
+      expect(serviceFee).to.equal(amount.mul(15).div(1000));
+    });
+
+    it('Should only let admin grant and revoke roles', async () => {
+      await boClient.grantRole('ARBITER', arbiter.address);
+      expect(await boClient.hasRole('ARBITER', arbiter.address)).to.be.true;
+      await boClient.revokeRole('ARBITER', arbiter.address);
+      expect(await boClient.hasRole('ARBITER', arbiter.address)).to.be.false;
+
+      await expectClientError(
+        clientClient.grantRole('ARBITER', client.address),
+        'MISSING_ROLE',
+      );
+      await expectClientError(
+        boClient.grantRole('OWNER', client.address),
+        'INVALID_ROLE',
+      );
+    });
+  });
+});
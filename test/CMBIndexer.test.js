@@ -0,0 +1,268 @@
+const { ethers, upgrades } = require('hardhat');
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ZERO_ADDRESS } = require('@openzeppelin/test-helpers/src/constants');
+const { CMBIndexer, JsonStore } = require('../sdk');
+const acceptRequest = require('../utils/acceptRequest');
+
+const PAYMENT_DURATION = 7 * 24 * 60 * 60;
+const RELEASE_DURATION = 14 * 24 * 60 * 60;
+
+const provider = ethers.provider;
+
+describe('CMBIndexer - Indexer test', () => {
+  beforeEach(async () => {
+    amount = ethers.utils.parseEther('0.01');
+    data = '0x666f6f6261720000000000000000000000000000000000000000000000000000';
+    const accounts = await ethers.getSigners();
+    bo = accounts[0];
+    client = accounts[1];
+    client2 = accounts[2];
+    fundingReceiver = accounts[3];
+
+    CMB = await ethers.getContractFactory('CMB');
+    cmbContract = await upgrades.deployProxy(CMB, [bo.address]);
+    startBlock = await provider.getBlockNumber();
+
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cmb-indexer-'));
+    storeFile = path.join(storeDir, 'hardhat.json');
+    indexer = new CMBIndexer(
+      cmbContract.address,
+      provider,
+      new JsonStore(storeFile),
+      { startBlock, confirmations: 5, batchSize: 3 },
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  it('Should rebuild timeline of payment', async () => {
+    await cmbContract.requestPayment(
+      client.address,
+      data,
+      amount,
+      ZERO_ADDRESS,
+      PAYMENT_DURATION,
+      RELEASE_DURATION,
+    );
+    const newData = ethers.utils.formatBytes32String('invoice');
+    await cmbContract.setData(1, newData);
+    await cmbContract.setAmount(1, amount.mul(2));
+    await cmbContract.setClient(1, client2.address);
+    await acceptRequest(cmbContract, client2, 1);
+    await cmbContract.connect(client2).pay(1, { value: amount.mul(2) });
+    await cmbContract.connect(client2).confirmToRelease(1);
+    await cmbContract.claim(1);
+
+    await indexer.sync();
+
+    const payment = await indexer.getPayment(1);
+    expect(payment.bo).to.equal(bo.address);
+    expect(payment.client).to.equal(client2.address);
+    expect(payment.data).to.equal(newData);
+    expect(payment.amount).to.equal(amount.mul(2).toString());
+    expect(payment.token).to.equal(ZERO_ADDRESS);
+    expect(payment.status).to.equal('CLAIMED');
+    expect(payment.timeline.map(({ event }) => event)).to.deep.equal([
+      'RequestedPayment',
+      'SetData',
+      'SetAmount',
+      'SetClient',
+      'AcceptedRequest',
+      'Paid',
+      'ConfirmedToRelease',
+      'Claimed',
+    ]);
+    expect(payment.timeline[1].args).to.deep.equal({
+      paymentId: '1',
+      sender: bo.address,
+      oldData: data,
+      newData,
+    });
+    expect(payment.timeline[2].args).to.deep.equal({
+      paymentId: '1',
+      sender: bo.address,
+      oldAmount: amount.toString(),
+      newAmount: amount.mul(2).toString(),
+    });
+    expect(payment.timeline[3].args).to.deep.equal({
+      paymentId: '1',
+      sender: bo.address,
+      oldClient: client.address,
+      newClient: client2.address,
+    });
+  });
+
+  it('Should follow status of milestones apart from status of payment', async () => {
+    await cmbContract.requestMilestonePayment(
+      client.address,
+      data,
+      [amount, amount],
+      ZERO_ADDRESS,
+      PAYMENT_DURATION,
+      RELEASE_DURATION,
+    );
+    await acceptRequest(cmbContract, client, 1);
+    await cmbContract.connect(client).pay(1, { value: amount.mul(2) });
+    await cmbContract.connect(client).confirmMilestone(1, 0);
+    await indexer.sync();
+
+    let payment = await indexer.getPayment(1);
+    expect(payment.status).to.equal('PAID');
+    expect(payment.milestones).to.deep.equal({ 0: 'CONFIRMED', 1: 'PAID' });
+
+    await cmbContract.claimMilestone(1, 0);
+    await cmbContract.connect(client).confirmMilestone(1, 1);
+    await indexer.sync();
+    payment = await indexer.getPayment(1);
+    expect(payment.status).to.equal('PAID');
+    expect(payment.milestones).to.deep.equal({ 0: 'CLAIMED', 1: 'CONFIRMED' });
+
+    await cmbContract.claimMilestone(1, 1);
+    await indexer.sync();
+    payment = await indexer.getPayment(1);
+    expect(payment.status).to.equal('CLAIMED');
+    expect(payment.milestones).to.deep.equal({ 0: 'CLAIMED', 1: 'CLAIMED' });
+  });
+
+  it('Should index service fee withdrawals and save to store', async () => {
+    await cmbContract.requestPayment(
+      client.address,
+      data,
+      amount,
+      ZERO_ADDRESS,
+      PAYMENT_DURATION,
+      RELEASE_DURATION,
+    );
+    await acceptRequest(cmbContract, client, 1);
+    await cmbContract.connect(client).pay(1, { value: amount });
+    await cmbContract.connect(client).confirmToRelease(1);
+    await cmbContract.claim(1);
+    const serviceFee = await cmbContract.serviceFeeTotal();
+    await cmbContract.grantRole(ethers.utils.id('TREASURER_ROLE'), bo.address);
+    await cmbContract.withdrawServiceFee(
+      ZERO_ADDRESS,
+      serviceFee,
+      fundingReceiver.address,
+    );
+
+    const state = await indexer.sync();
+
+    const withdrawals = await indexer.getServiceFeeWithdrawals();
+    expect(withdrawals.length).to.equal(1);
+    expect(withdrawals[0].args).to.deep.equal({
+      token: ZERO_ADDRESS,
+      amount: serviceFee.toString(),
+      fundingReceiver: fundingReceiver.address,
+    });
+    expect(state.lastBlock).to.equal(await provider.getBlockNumber());
+
+    const saved = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+    expect(saved).to.deep.equal(state);
+  });
+
+  it('Should index events emitted before tokens were supported', async () => {
+    const MockLegacyCMB = await ethers.getContractFactory('MockLegacyCMB');
+    const legacyContract = await MockLegacyCMB.deploy();
+    await legacyContract.emitRequestedPayment(1, client.address, data, amount);
+    await legacyContract.emitWithdrawnServiceFee(
+      amount,
+      fundingReceiver.address,
+    );
+    const legacyIndexer = new CMBIndexer(
+      legacyContract.address,
+      provider,
+      new JsonStore(storeFile),
+      { startBlock },
+    );
+
+    await legacyIndexer.sync();
+
+    const payment = await legacyIndexer.getPayment(1);
+    expect(payment).to.include({
+      bo: bo.address,
+      client: client.address,
+      data,
+      amount: amount.toString(),
+      token: ZERO_ADDRESS,
+      status: 'REQUESTING',
+    });
+    const withdrawals = await legacyIndexer.getServiceFeeWithdrawals();
+    expect(withdrawals.map(({ args }) => args)).to.deep.equal([
+      {
+        amount: amount.toString(),
+        fundingReceiver: fundingReceiver.address,
+        token: ZERO_ADDRESS,
+      },
+    ]);
+  });
+
+  it('Should continue from saved store', async () => {
+    await cmbContract.requestPayment(
+      client.address,
+      data,
+      amount,
+      ZERO_ADDRESS,
+      PAYMENT_DURATION,
+      RELEASE_DURATION,
+    );
+    await indexer.sync();
+    await acceptRequest(cmbContract, client, 1);
+    await cmbContract.connect(client).pay(1, { value: amount });
+
+    const restarted = new CMBIndexer(
+      cmbContract.address,
+      provider,
+      new JsonStore(storeFile),
+      { startBlock, confirmations: 5 },
+    );
+    await restarted.sync();
+
+    const payment = await restarted.getPayment(1);
+    expect(payment.status).to.equal('PAID');
+    expect(payment.timeline.length).to.equal(3);
+  });
+
+  it('Should replace events of orphaned blocks after reorg', async () => {
+    await cmbContract.requestPayment(
+      client.address,
+      data,
+      amount,
+      ZERO_ADDRESS,
+      PAYMENT_DURATION,
+      RELEASE_DURATION,
+    );
+    const snapshot = await provider.send('evm_snapshot', []);
+    await acceptRequest(cmbContract, client, 1);
+    await cmbContract.connect(client).pay(1, { value: amount });
+    await cmbContract.requestPayment(
+      client2.address,
+      data,
+      amount,
+      ZERO_ADDRESS,
+      PAYMENT_DURATION,
+      RELEASE_DURATION,
+    );
+    await indexer.sync();
+    expect((await indexer.getPayment(1)).status).to.equal('PAID');
+    expect(await indexer.getPaymentIds()).to.deep.equal(['1', '2']);
+
+    // Chain reorganizes into blocks where payment was cancelled instead
+    await provider.send('evm_revert', [snapshot]);
+    await cmbContract.cancelPayment(1);
+    await provider.send('evm_mine', []);
+    await indexer.sync();
+
+    const payment = await indexer.getPayment(1);
+    expect(payment.status).to.equal('CANCELLED');
+    expect(payment.timeline.map(({ event }) => event)).to.deep.equal([
+      'RequestedPayment',
+      'Cancelled',
+    ]);
+    expect(await indexer.getPayment(2)).to.equal(null);
+  });
+});
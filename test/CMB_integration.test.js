@@ -1,11 +1,18 @@
 const { ethers, waffle, upgrades } = require('hardhat');
 const { expect } = require('chai');
-const { MAX_UINT256 } = require('@openzeppelin/test-helpers/src/constants');
+const {
+  MAX_UINT256,
+  ZERO_ADDRESS,
+} = require('@openzeppelin/test-helpers/src/constants');
 
 const REQUESTING_STATUS = 0;
 const PAID_STATUS = 1;
 const CONFIRMED_STATUS = 2;
 const CLAIMED_STATUS = 3;
+const DISPUTED_STATUS = 4;
+const RESOLVED_STATUS = 5;
+const CANCELLED_STATUS = 6;
+const REFUNDED_STATUS = 7;
 const BEGINNING_PAYMENT_ID = 1;
 
 const PAYMENT_ID_1 = 1;
@@ -14,9 +21,14 @@ const PAYMENT_ID_3 = 3;
 
 const WEIGHT_DECIMAL = 1e6;
 const DEFAULT_FEE_PERCENTAGE = 15e5;
+const PAYMENT_DURATION = 7 * 24 * 60 * 60;
+const RELEASE_DURATION = 14 * 24 * 60 * 60;
+const FEE_CHANGE_DELAY = 2 * 24 * 60 * 60;
 
 const provider = ethers.provider;
 const getTransactionFee = require('../utils/getTransactionFee');
+const acceptRequest = require('../utils/acceptRequest');
+const increaseTime = require('../utils/increaseTime');
 
 const chai = require('chai');
 const BN = require('bn.js');
@@ -35,6 +47,7 @@ describe('CMB - Integration test', () => {
       client3,
       fundingReceiver1,
       fundingReceiver2,
+      arbiter,
     ] = accounts;
     // serviceFee = ethers.utils.parseEther('0.002');
     paymentId = 1;
@@ -43,12 +56,25 @@ describe('CMB - Integration test', () => {
 
     const CMB = await ethers.getContractFactory('CMB');
     cmbContract = await upgrades.deployProxy(CMB, [owner.address]);
+    await cmbContract
+      .connect(owner)
+      .grantRole(ethers.utils.id('FEE_MANAGER_ROLE'), owner.address);
+    await cmbContract
+      .connect(owner)
+      .grantRole(ethers.utils.id('TREASURER_ROLE'), owner.address);
   });
 
   it('request payment for 3 clients', async () => {
     await cmbContract
       .connect(bo1)
-      .requestPayment(client1.address, data, amount);
+      .requestPayment(
+        client1.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
     expect(await cmbContract.lastPaymentId()).to.equal(1);
     const payment1 = await cmbContract.payments(1);
     expect(await payment1.bo).to.equal(bo1.address);
@@ -60,7 +86,14 @@ describe('CMB - Integration test', () => {
 
     await cmbContract
       .connect(bo2)
-      .requestPayment(client2.address, data, amount);
+      .requestPayment(
+        client2.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
     expect(await cmbContract.lastPaymentId()).to.equal(2);
     const payment2 = await cmbContract.payments(2);
     expect(await payment2.bo).to.equal(bo2.address);
@@ -72,7 +105,14 @@ describe('CMB - Integration test', () => {
 
     await cmbContract
       .connect(bo3)
-      .requestPayment(client3.address, data, amount);
+      .requestPayment(
+        client3.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
     expect(await cmbContract.lastPaymentId()).to.equal(3);
     const payment3 = await cmbContract.payments(3);
     expect(await payment3.bo).to.equal(bo3.address);
@@ -87,18 +127,41 @@ describe('CMB - Integration test', () => {
     beforeEach(async () => {
       await cmbContract
         .connect(bo1)
-        .requestPayment(client1.address, data, amount);
+        .requestPayment(
+          client1.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
 
       await cmbContract
         .connect(bo2)
-        .requestPayment(client2.address, data, amount);
+        .requestPayment(
+          client2.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
 
       await cmbContract
         .connect(bo3)
-        .requestPayment(client3.address, data, amount);
+        .requestPayment(
+          client3.address,
+          data,
+          amount,
+          ZERO_ADDRESS,
+          PAYMENT_DURATION,
+          RELEASE_DURATION,
+        );
     });
 
     it('Client1 and client2 make payment', async () => {
+      await acceptRequest(cmbContract, client1, PAYMENT_ID_1);
+      await acceptRequest(cmbContract, client2, PAYMENT_ID_2);
       const balanceOfClient1Before = await provider.getBalance(client1.address);
       const balanceOfClient2Before = await provider.getBalance(client2.address);
       const balanceOfClient3Before = await provider.getBalance(client3.address);
@@ -140,16 +203,19 @@ describe('CMB - Integration test', () => {
     it('Client1 and client2 confirm to release money', async () => {
       const totalFeeNeedToPay = amount;
 
+      await acceptRequest(cmbContract, client1, PAYMENT_ID_1);
       await cmbContract
         .connect(client1)
         .pay(PAYMENT_ID_1, { value: totalFeeNeedToPay });
       await cmbContract.connect(client1).confirmToRelease(1);
 
+      await acceptRequest(cmbContract, client2, PAYMENT_ID_2);
       await cmbContract
         .connect(client2)
         .pay(PAYMENT_ID_2, { value: totalFeeNeedToPay });
       await cmbContract.connect(client2).confirmToRelease(2);
 
+      await acceptRequest(cmbContract, client3, PAYMENT_ID_3);
       await cmbContract
         .connect(client3)
         .pay(PAYMENT_ID_3, { value: totalFeeNeedToPay });
@@ -165,12 +231,15 @@ describe('CMB - Integration test', () => {
 
     describe('After 3 clients confirm to release to money', async () => {
       beforeEach(async () => {
+        await acceptRequest(cmbContract, client1, PAYMENT_ID_1);
         await cmbContract.connect(client1).pay(PAYMENT_ID_1, { value: amount });
         await cmbContract.connect(client1).confirmToRelease(PAYMENT_ID_1);
 
+        await acceptRequest(cmbContract, client2, PAYMENT_ID_2);
         await cmbContract.connect(client2).pay(PAYMENT_ID_2, { value: amount });
         await cmbContract.connect(client2).confirmToRelease(PAYMENT_ID_2);
 
+        await acceptRequest(cmbContract, client3, PAYMENT_ID_3);
         await cmbContract.connect(client3).pay(PAYMENT_ID_3, { value: amount });
         await cmbContract.connect(client3).confirmToRelease(PAYMENT_ID_3);
 
@@ -182,10 +251,17 @@ describe('CMB - Integration test', () => {
         serviceFeeTotal = await cmbContract.serviceFeeTotal();
       });
 
-      it('Total service fee will be changed correctly when owner changes service fee percentage', async () => {
-        const newServiceFeePercentage = 25; //2.5%
+      it('Service fee of escrowed payments will not be changed when owner changes service fee percentage', async () => {
+        const newServiceFeeBps = 250; //2.5%
         const serviceFeeTotalBefore = await cmbContract.serviceFeeTotal();
-        await cmbContract.setServiceFeePercent(newServiceFeePercentage);
+        // Fee is fixed when payments are requested
+        const serviceFeePercent = await cmbContract.serviceFeePercent();
+        await cmbContract.setServiceFeePercent(newServiceFeeBps);
+        await increaseTime(FEE_CHANGE_DELAY);
+        await cmbContract.applyServiceFeePercent();
+        expect(await cmbContract.serviceFeePercent()).to.not.equal(
+          serviceFeePercent,
+        );
 
         const payment1 = await cmbContract.payments(PAYMENT_ID_1);
         const amount1 = payment1.amount;
@@ -194,8 +270,6 @@ describe('CMB - Integration test', () => {
         const payment3 = await cmbContract.payments(PAYMENT_ID_3);
         const amount3 = payment3.amount;
 
-        const serviceFeePercent = await cmbContract.serviceFeePercent();
-
         await cmbContract.connect(bo1).claim(PAYMENT_ID_1);
         await cmbContract.connect(bo2).claim(PAYMENT_ID_2);
         await cmbContract.connect(bo3).claim(PAYMENT_ID_3);
@@ -218,12 +292,15 @@ describe('CMB - Integration test', () => {
         const serviceFeeTotalBefore = await cmbContract.serviceFeeTotal();
 
         const transaction = await cmbContract.connect(bo1).claim(PAYMENT_ID_1);
+        const withdrawal = await cmbContract.connect(bo1).withdraw();
 
         const balanceOfBo1After = await provider.getBalance(bo1.address);
         const balanceOfBo2After = await provider.getBalance(bo2.address);
         const balanceOfBo3After = await provider.getBalance(bo3.address);
 
-        const txFee = await getTransactionFee(transaction, cmbContract);
+        const txFee = (await getTransactionFee(transaction, cmbContract)).add(
+          await getTransactionFee(withdrawal, cmbContract),
+        );
 
         const serviceFeeTotalAfter = await cmbContract.serviceFeeTotal();
 
@@ -256,10 +333,19 @@ describe('CMB - Integration test', () => {
         const transaction1 = await cmbContract.connect(bo1).claim(PAYMENT_ID_1);
         const transaction2 = await cmbContract.connect(bo2).claim(PAYMENT_ID_2);
         const transaction3 = await cmbContract.connect(bo3).claim(PAYMENT_ID_3);
+        const withdrawal1 = await cmbContract.connect(bo1).withdraw();
+        const withdrawal2 = await cmbContract.connect(bo2).withdraw();
+        const withdrawal3 = await cmbContract.connect(bo3).withdraw();
 
-        const txFee1 = await getTransactionFee(transaction1, cmbContract);
-        const txFee2 = await getTransactionFee(transaction2, cmbContract);
-        const txFee3 = await getTransactionFee(transaction3, cmbContract);
+        const txFee1 = (await getTransactionFee(transaction1, cmbContract)).add(
+          await getTransactionFee(withdrawal1, cmbContract),
+        );
+        const txFee2 = (await getTransactionFee(transaction2, cmbContract)).add(
+          await getTransactionFee(withdrawal2, cmbContract),
+        );
+        const txFee3 = (await getTransactionFee(transaction3, cmbContract)).add(
+          await getTransactionFee(withdrawal3, cmbContract),
+        );
 
         const balanceOfBo1After = await provider.getBalance(bo1.address);
         const balanceOfBo2After = await provider.getBalance(bo2.address);
@@ -318,22 +404,33 @@ describe('CMB - Integration test', () => {
 
         it('Owner withdraw service fee total multiple times to same wallet', async () => {
           const serviceFeeTotalBefore = await cmbContract.serviceFeeTotal();
-          const balanceOfReceiverBefore = await provider.getBalance(
-            fundingReceiver1.address,
-          );
+          const balanceOfReceiverBefore =
+            await cmbContract.withdrawableBalances(fundingReceiver1.address);
 
           await cmbContract
             .connect(owner)
-            .withdrawServiceFee(withdrawAmount1, fundingReceiver1.address);
+            .withdrawServiceFee(
+              ZERO_ADDRESS,
+              withdrawAmount1,
+              fundingReceiver1.address,
+            );
           await cmbContract
             .connect(owner)
-            .withdrawServiceFee(withdrawAmount2, fundingReceiver1.address);
+            .withdrawServiceFee(
+              ZERO_ADDRESS,
+              withdrawAmount2,
+              fundingReceiver1.address,
+            );
           await cmbContract
             .connect(owner)
-            .withdrawServiceFee(withdrawAmount3, fundingReceiver1.address);
+            .withdrawServiceFee(
+              ZERO_ADDRESS,
+              withdrawAmount3,
+              fundingReceiver1.address,
+            );
 
           const serviceFeeTotalAfter = await cmbContract.serviceFeeTotal();
-          const balanceOfReceiverAfter = await provider.getBalance(
+          const balanceOfReceiverAfter = await cmbContract.withdrawableBalances(
             fundingReceiver1.address,
           );
 
@@ -353,27 +450,31 @@ describe('CMB - Integration test', () => {
 
         it('Owner withdraw service fee total multiple times to difference wallet', async () => {
           const serviceFeeTotalBefore = await cmbContract.serviceFeeTotal();
-          const balanceOfReceiver1Before = await provider.getBalance(
-            fundingReceiver1.address,
-          );
-          const balanceOfReceiver2Before = await provider.getBalance(
-            fundingReceiver2.address,
-          );
+          const balanceOfReceiver1Before =
+            await cmbContract.withdrawableBalances(fundingReceiver1.address);
+          const balanceOfReceiver2Before =
+            await cmbContract.withdrawableBalances(fundingReceiver2.address);
 
           await cmbContract
             .connect(owner)
-            .withdrawServiceFee(withdrawAmount1, fundingReceiver1.address);
+            .withdrawServiceFee(
+              ZERO_ADDRESS,
+              withdrawAmount1,
+              fundingReceiver1.address,
+            );
           await cmbContract
             .connect(owner)
-            .withdrawServiceFee(withdrawAmount2, fundingReceiver2.address);
+            .withdrawServiceFee(
+              ZERO_ADDRESS,
+              withdrawAmount2,
+              fundingReceiver2.address,
+            );
 
           const serviceFeeTotalAfter = await cmbContract.serviceFeeTotal();
-          const balanceOfReceiver1After = await provider.getBalance(
-            fundingReceiver1.address,
-          );
-          const balanceOfReceiver2After = await provider.getBalance(
-            fundingReceiver2.address,
-          );
+          const balanceOfReceiver1After =
+            await cmbContract.withdrawableBalances(fundingReceiver1.address);
+          const balanceOfReceiver2After =
+            await cmbContract.withdrawableBalances(fundingReceiver2.address);
 
           expect(serviceFeeTotalAfter).to.be.equal(
             serviceFeeTotalBefore.sub(withdrawAmount1).sub(withdrawAmount2),
@@ -388,17 +489,17 @@ describe('CMB - Integration test', () => {
 
         it('Owner withdraw all service fee total', async () => {
           const serviceFeeTotalBefore = await cmbContract.serviceFeeTotal();
-          const balanceOfReceiverBefore = await provider.getBalance(
-            fundingReceiver1.address,
-          );
+          const balanceOfReceiverBefore =
+            await cmbContract.withdrawableBalances(fundingReceiver1.address);
 
           await cmbContract
             .connect(owner)
             .withdrawServiceFee(
+              ZERO_ADDRESS,
               serviceFeeTotalBefore,
               fundingReceiver1.address,
             );
-          const balanceOfReceiverAfter = await provider.getBalance(
+          const balanceOfReceiverAfter = await cmbContract.withdrawableBalances(
             fundingReceiver1.address,
           );
 
@@ -415,13 +516,34 @@ describe('CMB - Integration test', () => {
     // Business Owners request payment
     await cmbContract
       .connect(bo1)
-      .requestPayment(client1.address, data, amount);
+      .requestPayment(
+        client1.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
     await cmbContract
       .connect(bo2)
-      .requestPayment(client2.address, data, amount);
+      .requestPayment(
+        client2.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
     await cmbContract
       .connect(bo3)
-      .requestPayment(client3.address, data, amount);
+      .requestPayment(
+        client3.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
 
     let payment1 = await cmbContract.payments(PAYMENT_ID_1);
     expect(payment1.status).to.equal(REQUESTING_STATUS);
@@ -444,6 +566,9 @@ describe('CMB - Integration test', () => {
     // Clients make Payment
     const serviceFeeNeedToPay = amount;
 
+    await acceptRequest(cmbContract, client1, PAYMENT_ID_1);
+    await acceptRequest(cmbContract, client2, PAYMENT_ID_2);
+    await acceptRequest(cmbContract, client3, PAYMENT_ID_3);
     let balanceOfClient1BeforePay = await provider.getBalance(client1.address);
     let balanceOfClient2BeforePay = await provider.getBalance(client2.address);
     let balanceOfClient3BeforePay = await provider.getBalance(client3.address);
@@ -508,9 +633,20 @@ describe('CMB - Integration test', () => {
     const claimTx2 = await cmbContract.connect(bo2).claim(PAYMENT_ID_2);
     const claimTx3 = await cmbContract.connect(bo3).claim(PAYMENT_ID_3);
 
-    const claimTxFee1 = await getTransactionFee(claimTx1, cmbContract);
-    const claimTxFee2 = await getTransactionFee(claimTx2, cmbContract);
-    const claimTxFee3 = await getTransactionFee(claimTx3, cmbContract);
+    // Claimed amounts are pulled by Business Owners
+    const withdrawClaimTx1 = await cmbContract.connect(bo1).withdraw();
+    const withdrawClaimTx2 = await cmbContract.connect(bo2).withdraw();
+    const withdrawClaimTx3 = await cmbContract.connect(bo3).withdraw();
+
+    const claimTxFee1 = (await getTransactionFee(claimTx1, cmbContract)).add(
+      await getTransactionFee(withdrawClaimTx1, cmbContract),
+    );
+    const claimTxFee2 = (await getTransactionFee(claimTx2, cmbContract)).add(
+      await getTransactionFee(withdrawClaimTx2, cmbContract),
+    );
+    const claimTxFee3 = (await getTransactionFee(claimTx3, cmbContract)).add(
+      await getTransactionFee(withdrawClaimTx3, cmbContract),
+    );
 
     const serviceFee1 = await cmbContract.calculateServiceFee(payment1.amount);
     const serviceFee2 = await cmbContract.calculateServiceFee(payment2.amount);
@@ -553,14 +689,28 @@ describe('CMB - Integration test', () => {
 
     const withdrawTx1 = await cmbContract
       .connect(owner)
-      .withdrawServiceFee(firstWithdrawnAmount, fundingReceiver1.address);
+      .withdrawServiceFee(
+        ZERO_ADDRESS,
+        firstWithdrawnAmount,
+        fundingReceiver1.address,
+      );
 
     const withdrawTx2 = await cmbContract
       .connect(owner)
-      .withdrawServiceFee(secondWithdrawnAmount, owner.address);
+      .withdrawServiceFee(ZERO_ADDRESS, secondWithdrawnAmount, owner.address);
 
+    const receiverWithdrawTx = await cmbContract
+      .connect(fundingReceiver1)
+      .withdraw();
+    const withdrawTx3 = await cmbContract.connect(owner).withdraw();
+
+    const receiverWithdrawTxFee = await getTransactionFee(
+      receiverWithdrawTx,
+      cmbContract,
+    );
     const withdrawTxFee1 = await getTransactionFee(withdrawTx1, cmbContract);
     const withdrawTxFee2 = await getTransactionFee(withdrawTx2, cmbContract);
+    const withdrawTxFee3 = await getTransactionFee(withdrawTx3, cmbContract);
 
     const balanceOfReceiverAfterWithdraw = await provider.getBalance(
       fundingReceiver1.address,
@@ -570,14 +720,384 @@ describe('CMB - Integration test', () => {
     );
 
     expect(balanceOfReceiverAfterWithdraw).to.equal(
-      balanceOfReceiverBeforeWithdraw.add(firstWithdrawnAmount),
+      balanceOfReceiverBeforeWithdraw
+        .add(firstWithdrawnAmount)
+        .sub(receiverWithdrawTxFee),
     );
     expect(balanceOfOwnerAfterWithdraw).to.equal(
       balanceOfOwnerBeforeWithdraw
         .add(secondWithdrawnAmount)
         .sub(withdrawTxFee1)
-        .sub(withdrawTxFee2),
+        .sub(withdrawTxFee2)
+        .sub(withdrawTxFee3),
+    );
+    expect(await cmbContract.serviceFeeTotal()).to.equal(0);
+  });
+
+  it('Test flow with native coin and token payments', async () => {
+    const tokenAmount = ethers.utils.parseUnits('250', 6);
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    const usdc = await MockERC20.deploy('USD Coin', 'USDC', 6);
+    const usdt = await MockERC20.deploy('Tether USD', 'USDT', 6);
+    await usdc.mint(client2.address, tokenAmount);
+    await usdt.mint(client3.address, tokenAmount);
+
+    await cmbContract
+      .connect(bo1)
+      .requestPayment(
+        client1.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+    await cmbContract
+      .connect(bo2)
+      .requestPayment(
+        client2.address,
+        data,
+        tokenAmount,
+        usdc.address,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+    await cmbContract
+      .connect(bo3)
+      .requestPayment(
+        client3.address,
+        data,
+        tokenAmount,
+        usdt.address,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+
+    await acceptRequest(cmbContract, client1, PAYMENT_ID_1);
+    await cmbContract.connect(client1).pay(PAYMENT_ID_1, { value: amount });
+    await usdc.connect(client2).approve(cmbContract.address, tokenAmount);
+    await acceptRequest(cmbContract, client2, PAYMENT_ID_2);
+    await cmbContract.connect(client2).pay(PAYMENT_ID_2);
+    await usdt.connect(client3).approve(cmbContract.address, tokenAmount);
+    await acceptRequest(cmbContract, client3, PAYMENT_ID_3);
+    await cmbContract.connect(client3).pay(PAYMENT_ID_3);
+
+    expect(await provider.getBalance(cmbContract.address)).to.equal(amount);
+    expect(await usdc.balanceOf(cmbContract.address)).to.equal(tokenAmount);
+    expect(await usdt.balanceOf(cmbContract.address)).to.equal(tokenAmount);
+
+    await cmbContract.connect(client1).confirmToRelease(PAYMENT_ID_1);
+    await cmbContract.connect(client2).confirmToRelease(PAYMENT_ID_2);
+    await cmbContract.connect(client3).confirmToRelease(PAYMENT_ID_3);
+
+    await cmbContract.connect(bo1).claim(PAYMENT_ID_1);
+    await cmbContract.connect(bo2).claim(PAYMENT_ID_2);
+    await cmbContract.connect(bo3).claim(PAYMENT_ID_3);
+
+    const nativeServiceFee = await cmbContract.calculateServiceFee(amount);
+    const tokenServiceFee = await cmbContract.calculateServiceFee(tokenAmount);
+
+    expect(await usdc.balanceOf(bo2.address)).to.equal(
+      tokenAmount.sub(tokenServiceFee),
+    );
+    expect(await usdt.balanceOf(bo3.address)).to.equal(
+      tokenAmount.sub(tokenServiceFee),
+    );
+    expect(await cmbContract.serviceFeeTotal()).to.equal(nativeServiceFee);
+    expect(await cmbContract.getServiceFeeTotal(usdc.address)).to.equal(
+      tokenServiceFee,
+    );
+    expect(await cmbContract.getServiceFeeTotal(usdt.address)).to.equal(
+      tokenServiceFee,
+    );
+
+    // Owner withdraws service fee of each token separately
+    await cmbContract
+      .connect(owner)
+      .withdrawServiceFee(
+        usdc.address,
+        tokenServiceFee,
+        fundingReceiver1.address,
+      );
+    await cmbContract
+      .connect(owner)
+      .withdrawServiceFee(
+        usdt.address,
+        tokenServiceFee,
+        fundingReceiver2.address,
+      );
+
+    expect(await usdc.balanceOf(fundingReceiver1.address)).to.equal(
+      tokenServiceFee,
+    );
+    expect(await usdt.balanceOf(fundingReceiver2.address)).to.equal(
+      tokenServiceFee,
+    );
+    expect(await usdc.balanceOf(cmbContract.address)).to.equal(0);
+    expect(await usdt.balanceOf(cmbContract.address)).to.equal(0);
+    expect(await cmbContract.serviceFeeTotal()).to.equal(nativeServiceFee);
+  });
+
+  it('Test dispute flow', async () => {
+    await cmbContract
+      .connect(owner)
+      .grantRole(ethers.utils.id('ARBITER_ROLE'), arbiter.address);
+
+    await cmbContract
+      .connect(bo1)
+      .requestPayment(
+        client1.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+    await cmbContract
+      .connect(bo2)
+      .requestPayment(
+        client2.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+    await acceptRequest(cmbContract, client1, PAYMENT_ID_1);
+    await cmbContract.connect(client1).pay(PAYMENT_ID_1, { value: amount });
+    await acceptRequest(cmbContract, client2, PAYMENT_ID_2);
+    await cmbContract.connect(client2).pay(PAYMENT_ID_2, { value: amount });
+
+    // Client1 disputes, client2 confirms as usual
+    await cmbContract.connect(client1).raiseDispute(PAYMENT_ID_1);
+    await cmbContract.connect(client2).confirmToRelease(PAYMENT_ID_2);
+    expect((await cmbContract.payments(PAYMENT_ID_1)).status).to.equal(
+      DISPUTED_STATUS,
+    );
+    await expect(
+      cmbContract.connect(bo1).claim(PAYMENT_ID_1),
+    ).to.be.revertedWith('This payment needs to confirmed by client');
+
+    // Arbiter splits payment 1 in half
+    const boAmount = amount.div(2);
+    const disputeServiceFee = await cmbContract.calculateServiceFee(boAmount);
+    await cmbContract.connect(arbiter).resolveDispute(PAYMENT_ID_1, boAmount);
+
+    expect(await cmbContract.withdrawableBalances(bo1.address)).to.equal(
+      boAmount.sub(disputeServiceFee),
+    );
+    expect(await cmbContract.withdrawableBalances(client1.address)).to.equal(
+      amount.sub(boAmount),
+    );
+    expect((await cmbContract.payments(PAYMENT_ID_1)).status).to.equal(
+      RESOLVED_STATUS,
+    );
+
+    await cmbContract.connect(bo2).claim(PAYMENT_ID_2);
+    const claimServiceFee = await cmbContract.calculateServiceFee(amount);
+
+    await cmbContract.connect(bo1).withdraw();
+    await cmbContract.connect(client1).withdraw();
+    await cmbContract.connect(bo2).withdraw();
+
+    expect(await cmbContract.serviceFeeTotal()).to.equal(
+      disputeServiceFee.add(claimServiceFee),
+    );
+    expect(await provider.getBalance(cmbContract.address)).to.equal(
+      disputeServiceFee.add(claimServiceFee),
     );
+  });
+
+  it('Test cancellation and refund flow', async () => {
+    await cmbContract
+      .connect(bo1)
+      .requestPayment(
+        client1.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+    await cmbContract
+      .connect(bo2)
+      .requestPayment(
+        client2.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+    await cmbContract
+      .connect(bo3)
+      .requestPayment(
+        client3.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+
+    // Business owner 1 cancels before client pays
+    await cmbContract.connect(bo1).cancelPayment(PAYMENT_ID_1);
+    await expect(
+      cmbContract.connect(client1).pay(PAYMENT_ID_1, { value: amount }),
+    ).to.be.revertedWith('This payment needs to be requested');
+
+    await acceptRequest(cmbContract, client2, PAYMENT_ID_2);
+    await cmbContract.connect(client2).pay(PAYMENT_ID_2, { value: amount });
+    await acceptRequest(cmbContract, client3, PAYMENT_ID_3);
+    await cmbContract.connect(client3).pay(PAYMENT_ID_3, { value: amount });
+
+    // Business owner 2 refunds voluntarily
+    await cmbContract.connect(bo2).refund(PAYMENT_ID_2);
+    expect(await cmbContract.withdrawableBalances(client2.address)).to.equal(
+      amount,
+    );
+
+    // Business owner 3 agrees to cancel, client 3 takes money back
+    await cmbContract.connect(bo3).cancelPayment(PAYMENT_ID_3);
+    const balanceOfClient3Before = await provider.getBalance(client3.address);
+    const claimRefundTx = await cmbContract
+      .connect(client3)
+      .claimRefund(PAYMENT_ID_3);
+    const withdrawTx = await cmbContract.connect(client3).withdraw();
+    const claimRefundTxFee = (
+      await getTransactionFee(claimRefundTx, cmbContract)
+    ).add(await getTransactionFee(withdrawTx, cmbContract));
+    expect(await provider.getBalance(client3.address)).to.equal(
+      balanceOfClient3Before.add(amount).sub(claimRefundTxFee),
+    );
+    await cmbContract.connect(client2).withdraw();
+
+    expect((await cmbContract.payments(PAYMENT_ID_1)).status).to.equal(
+      CANCELLED_STATUS,
+    );
+    expect((await cmbContract.payments(PAYMENT_ID_2)).status).to.equal(
+      REFUNDED_STATUS,
+    );
+    expect((await cmbContract.payments(PAYMENT_ID_3)).status).to.equal(
+      REFUNDED_STATUS,
+    );
+    expect(await provider.getBalance(cmbContract.address)).to.equal(0);
     expect(await cmbContract.serviceFeeTotal()).to.equal(0);
   });
+
+  it('Test deadline flow', async () => {
+    await cmbContract
+      .connect(bo1)
+      .requestPayment(
+        client1.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+    await cmbContract
+      .connect(bo2)
+      .requestPayment(
+        client2.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+    await cmbContract
+      .connect(bo3)
+      .requestPayment(
+        client3.address,
+        data,
+        amount,
+        ZERO_ADDRESS,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+
+    // Client 1 and 2 pay in time, client 3 lets the request expire
+    await acceptRequest(cmbContract, client1, PAYMENT_ID_1);
+    await cmbContract.connect(client1).pay(PAYMENT_ID_1, { value: amount });
+    await acceptRequest(cmbContract, client2, PAYMENT_ID_2);
+    await cmbContract.connect(client2).pay(PAYMENT_ID_2, { value: amount });
+    await increaseTime(PAYMENT_DURATION + 1);
+    await expect(
+      cmbContract.connect(client3).pay(PAYMENT_ID_3, { value: amount }),
+    ).to.be.revertedWith('This payment has expired');
+
+    // Client 2 disputes, client 1 stays silent
+    await cmbContract.connect(client2).raiseDispute(PAYMENT_ID_2);
+    await increaseTime(RELEASE_DURATION);
+
+    await cmbContract.connect(bo1).claim(PAYMENT_ID_1);
+    await expect(
+      cmbContract.connect(bo2).claim(PAYMENT_ID_2),
+    ).to.be.revertedWith('This payment needs to confirmed by client');
+
+    expect((await cmbContract.payments(PAYMENT_ID_1)).status).to.equal(
+      CLAIMED_STATUS,
+    );
+    expect((await cmbContract.payments(PAYMENT_ID_2)).status).to.equal(
+      DISPUTED_STATUS,
+    );
+    expect((await cmbContract.payments(PAYMENT_ID_3)).status).to.equal(
+      REQUESTING_STATUS,
+    );
+  });
+
+  it('Test milestone flow', async () => {
+    const tokenAmount = ethers.utils.parseUnits('300', 6);
+    const milestoneAmounts = [
+      ethers.utils.parseUnits('100', 6),
+      ethers.utils.parseUnits('200', 6),
+    ];
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    const usdc = await MockERC20.deploy('USD Coin', 'USDC', 6);
+    await usdc.mint(client1.address, tokenAmount);
+    await usdc.connect(client1).approve(cmbContract.address, tokenAmount);
+
+    await cmbContract
+      .connect(bo1)
+      .requestMilestonePayment(
+        client1.address,
+        data,
+        milestoneAmounts,
+        usdc.address,
+        PAYMENT_DURATION,
+        RELEASE_DURATION,
+      );
+
+    // First milestone is funded, delivered and released
+    await acceptRequest(cmbContract, client1, PAYMENT_ID_1);
+    await cmbContract.connect(client1).payMilestone(PAYMENT_ID_1, 0);
+    await cmbContract.connect(client1).confirmMilestone(PAYMENT_ID_1, 0);
+    await cmbContract.connect(bo1).claimMilestone(PAYMENT_ID_1, 0);
+
+    const serviceFee1 = await cmbContract.calculateServiceFee(
+      milestoneAmounts[0],
+    );
+    expect(await usdc.balanceOf(bo1.address)).to.equal(
+      milestoneAmounts[0].sub(serviceFee1),
+    );
+
+    // Second milestone is funded later and released as well
+    await cmbContract.connect(client1).payMilestone(PAYMENT_ID_1, 1);
+    await cmbContract.connect(client1).confirmMilestone(PAYMENT_ID_1, 1);
+    await cmbContract.connect(bo1).claimMilestone(PAYMENT_ID_1, 1);
+
+    const serviceFee2 = await cmbContract.calculateServiceFee(
+      milestoneAmounts[1],
+    );
+    expect(await usdc.balanceOf(bo1.address)).to.equal(
+      tokenAmount.sub(serviceFee1).sub(serviceFee2),
+    );
+    expect(await cmbContract.getServiceFeeTotal(usdc.address)).to.equal(
+      serviceFee1.add(serviceFee2),
+    );
+    expect((await cmbContract.payments(PAYMENT_ID_1)).status).to.equal(
+      CLAIMED_STATUS,
+    );
+  });
 });
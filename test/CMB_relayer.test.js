@@ -0,0 +1,177 @@
+const { ethers, upgrades } = require('hardhat');
+const { expect } = require('chai');
+const http = require('http');
+const { ZERO_ADDRESS } = require('@openzeppelin/test-helpers/src/constants');
+const { CMBClient, CMBClientError } = require('../sdk');
+const acceptRequest = require('../utils/acceptRequest');
+const createRelayer = require('../utils/createRelayer');
+
+const PAYMENT_DURATION = 7 * 24 * 60 * 60;
+const RELEASE_DURATION = 14 * 24 * 60 * 60;
+const CONFIRMED_STATUS = 2;
+
+const provider = ethers.provider;
+
+function post(port, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { port, path: '/relay', method: 'POST' },
+      (res) => {
+        let data = '';
+        res.on('data', (chunk) => (data += chunk));
+        res.on('end', () =>
+          resolve({ status: res.statusCode, body: JSON.parse(data) }),
+        );
+      },
+    );
+    req.on('error', reject);
+    req.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+}
+
+describe('CMB - Relayer test', () => {
+  beforeEach(async () => {
+    amount = ethers.utils.parseEther('0.01');
+    data = '0x666f6f6261720000000000000000000000000000000000000000000000000000';
+    const accounts = await ethers.getSigners();
+    bo = accounts[0];
+    relayerSigner = accounts[1];
+    // Client holding no native coin for gas
+    client = ethers.Wallet.createRandom().connect(provider);
+
+    CMB = await ethers.getContractFactory('CMB');
+    cmbContract = await upgrades.deployProxy(CMB, [bo.address]);
+    const Forwarder = await ethers.getContractFactory('Forwarder');
+    forwarder = await Forwarder.deploy();
+    await cmbContract.setTrustedForwarder(forwarder.address);
+
+    await cmbContract.requestPayment(
+      client.address,
+      data,
+      amount,
+      ZERO_ADDRESS,
+      PAYMENT_DURATION,
+      RELEASE_DURATION,
+    );
+    // Payment is funded on behalf of client, who is left without coin for gas
+    await bo.sendTransaction({ to: client.address, value: amount.mul(5) });
+    await acceptRequest(cmbContract, client, 1);
+    const gasPrice = await provider.getGasPrice();
+    const payTx = await cmbContract
+      .connect(client)
+      .pay(1, { value: amount, gasPrice, gasLimit: 300000 });
+    await payTx.wait();
+    const balance = await provider.getBalance(client.address);
+    await client.sendTransaction({
+      to: bo.address,
+      value: balance.sub(gasPrice.mul(21000)),
+      gasPrice,
+      gasLimit: 21000,
+    });
+
+    server = createRelayer({
+      signer: relayerSigner,
+      forwarder: forwarder.address,
+      target: cmbContract.address,
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    port = server.address().port;
+    cmb = new CMBClient(cmbContract.address, client);
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('Should relay confirmToRelease signed by client without gas', async () => {
+    expect(await provider.getBalance(client.address)).to.equal(0);
+    const signed = await cmb.signMetaTransaction(
+      forwarder.address,
+      'confirmToRelease',
+      [1],
+    );
+
+    const res = await post(port, signed);
+    expect(res.status).to.equal(200);
+    const receipt = await provider.getTransactionReceipt(
+      res.body.transactionHash,
+    );
+    expect(receipt.from).to.equal(relayerSigner.address);
+    const [event] = receipt.logs
+      .filter(({ address }) => address === cmbContract.address)
+      .map((log) => cmbContract.interface.parseLog(log));
+    expect(event.name).to.equal('ConfirmedToRelease');
+
+    expect((await cmbContract.payments(1)).status).to.equal(CONFIRMED_STATUS);
+    expect(await provider.getBalance(client.address)).to.equal(0);
+  });
+
+  it('Should refuse replayed or tampered requests', async () => {
+    const signed = await cmb.signMetaTransaction(
+      forwarder.address,
+      'confirmToRelease',
+      [1],
+    );
+    await post(port, signed);
+
+    let res = await post(port, signed);
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.equal('Invalid signature or nonce');
+
+    const tampered = {
+      ...signed,
+      request: { ...signed.request, nonce: '1', gas: '600000' },
+    };
+    res = await post(port, tampered);
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.equal('Invalid signature or nonce');
+  });
+
+  it('Should refuse calls that would revert with their reason', async () => {
+    const signed = await cmb.signMetaTransaction(
+      forwarder.address,
+      'confirmToRelease',
+      [2],
+    );
+
+    const res = await post(port, signed);
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.equal('This payment is invalid');
+  });
+
+  it('Should refuse calls to other contracts, with value or malformed', async () => {
+    const signed = await cmb.signMetaTransaction(
+      forwarder.address,
+      'confirmToRelease',
+      [1],
+    );
+
+    let res = await post(port, {
+      ...signed,
+      request: { ...signed.request, to: forwarder.address },
+    });
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.contain('Only calls to');
+
+    res = await post(port, {
+      ...signed,
+      request: { ...signed.request, value: '1' },
+    });
+    expect(res.status).to.equal(400);
+    expect(res.body.error).to.equal('Calls with value are not relayed');
+
+    res = await post(port, 'not json');
+    expect(res.status).to.equal(400);
+  });
+
+  it('Should throw when signing for untrusted forwarder', async () => {
+    await cmbContract.setTrustedForwarder(ZERO_ADDRESS);
+    try {
+      await cmb.signMetaTransaction(forwarder.address, 'confirmToRelease', [1]);
+      expect.fail('Expected UNTRUSTED_FORWARDER');
+    } catch (err) {
+      expect(err).to.be.instanceOf(CMBClientError);
+      expect(err.code).to.equal('UNTRUSTED_FORWARDER');
+    }
+  });
+});
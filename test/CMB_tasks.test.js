@@ -0,0 +1,234 @@
+const hre = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { CMBClientError } = require('../sdk');
+const increaseTime = require('../utils/increaseTime');
+const readDeployment = require('../utils/readDeployment');
+const writeDeployment = require('../utils/writeDeployment');
+
+const { ethers, upgrades } = hre;
+
+const RELEASE_DURATION = 14 * 24 * 60 * 60;
+
+async function expectError(promise, message) {
+  try {
+    await promise;
+  } catch (err) {
+    expect(err.message).to.contain(message);
+    return err;
+  }
+  expect.fail(`Expected error ${message}`);
+}
+
+async function expectClientError(promise, code) {
+  try {
+    await promise;
+  } catch (err) {
+    expect(err).to.be.instanceOf(CMBClientError);
+    expect(err.code).to.equal(code);
+    return err;
+  }
+  expect.fail(`Expected CMBClientError ${code}`);
+}
+
+describe('CMB - Hardhat tasks test', () => {
+  beforeEach(async () => {
+    amount = ethers.utils.parseEther('1.5');
+    const accounts = await ethers.getSigners();
+    bo = accounts[0];
+    client = accounts[1];
+    treasurer = accounts[2];
+
+    CMB = await ethers.getContractFactory('CMB');
+    cmbContract = await upgrades.deployProxy(CMB, [bo.address]);
+    cmb = cmbContract.address;
+  });
+
+  it('Should take a payment through its lifecycle', async () => {
+    const paymentId = await hre.run('cmb:request', {
+      cmb,
+      client: client.address,
+      amount: '1.5',
+      data: 'INV-001',
+    });
+    expect(paymentId).to.equal(1);
+
+    const accepted = await hre.run('cmb:pay', {
+      cmb,
+      from: client.address,
+      id: 1,
+      installment: '0.5',
+      accept: true,
+      amount: '1.5',
+      data: 'INV-001',
+    });
+    expect(accepted.map(({ name }) => name)).to.deep.equal(['PaidInstallment']);
+    const paid = await hre.run('cmb:pay', { cmb, from: client.address, id: 1 });
+    expect(paid[0].name).to.equal('Paid');
+
+    await hre.run('cmb:confirm', { cmb, from: client.address, id: 1 });
+    const claimed = await hre.run('cmb:claim', { cmb, id: 1 });
+    expect(claimed.map(({ name }) => name)).to.include('Claimed');
+
+    const payment = await hre.run('cmb:show', { cmb, id: 1 });
+    expect(payment.status).to.equal('CLAIMED');
+    expect(payment.paidAmount).to.equal(amount);
+    expect(payment.data).to.equal(ethers.utils.formatBytes32String('INV-001'));
+    expect(payment.milestones).to.deep.equal([]);
+  });
+
+  it('Should list payments of Business Owner and client', async () => {
+    for (let i = 0; i < 3; i++) {
+      await hre.run('cmb:request', {
+        cmb,
+        client: client.address,
+        amount: '1',
+      });
+    }
+    await hre.run('cmb:pay', {
+      cmb,
+      from: client.address,
+      id: 2,
+      accept: true,
+      amount: '1',
+      data: ethers.constants.HashZero,
+    });
+
+    const byBo = await hre.run('cmb:list', { cmb });
+    expect(byBo.map(({ paymentId }) => paymentId.toNumber())).to.deep.equal([
+      1, 2, 3,
+    ]);
+    const paid = await hre.run('cmb:list', {
+      cmb,
+      account: client.address,
+      role: 'client',
+      status: 'PAID',
+    });
+    expect(paid.map(({ paymentId }) => paymentId.toNumber())).to.deep.equal([
+      2,
+    ]);
+
+    await expectError(
+      hre.run('cmb:list', { cmb, status: 'UNKNOWN' }),
+      'UNKNOWN is not a status of payment',
+    );
+    await expectError(
+      hre.run('cmb:list', { cmb, role: 'arbiter' }),
+      'Role needs to be bo or client',
+    );
+  });
+
+  it('Should set service fee and withdraw collected fee', async () => {
+    await cmbContract.grantRole(
+      await cmbContract.FEE_MANAGER_ROLE(),
+      bo.address,
+    );
+    await cmbContract.grantRole(
+      await cmbContract.TREASURER_ROLE(),
+      treasurer.address,
+    );
+
+    const announced = await hre.run('cmb:set-fee', { cmb, bps: 200 });
+    expect(announced[0].name).to.equal('PendingServiceFeePercent');
+    await increaseTime((await cmbContract.FEE_CHANGE_DELAY()).toNumber());
+    const applied = await hre.run('cmb:set-fee', { cmb, apply: true });
+    expect(applied[0].name).to.equal('ServiceFeePercent');
+    await expectError(
+      hre.run('cmb:set-fee', { cmb }),
+      'Either --bps or --apply needs to be set',
+    );
+
+    await hre.run('cmb:request', {
+      cmb,
+      client: client.address,
+      amount: '1.5',
+    });
+    await hre.run('cmb:pay', {
+      cmb,
+      from: client.address,
+      id: 1,
+      accept: true,
+      amount: '1.5',
+      data: ethers.constants.HashZero,
+    });
+    await increaseTime(RELEASE_DURATION + 1);
+    await hre.run('cmb:claim', { cmb, id: 1 });
+
+    const serviceFee = await cmbContract.getServiceFeeTotal(
+      ethers.constants.AddressZero,
+    );
+    expect(serviceFee).to.be.gt(0);
+    const withdrawn = await hre.run('cmb:withdraw-fees', {
+      cmb,
+      from: treasurer.address,
+    });
+    expect(withdrawn[0].name).to.equal('WithdrawnServiceFee');
+    expect(withdrawn[0].args.amount).to.equal(serviceFee);
+    expect(await cmbContract.withdrawableBalances(treasurer.address)).to.equal(
+      serviceFee,
+    );
+  });
+
+  it('Should check revert conditions before sending', async () => {
+    await hre.run('cmb:request', { cmb, client: client.address, amount: '1' });
+
+    await expectClientError(
+      hre.run('cmb:pay', { cmb, from: client.address, id: 1 }),
+      'NOT_ACCEPTED',
+    );
+    await expectError(
+      hre.run('cmb:pay', { cmb, from: client.address, id: 1, accept: true }),
+      '--amount and --data need to be set to accept payment',
+    );
+    await expectClientError(
+      hre.run('cmb:pay', {
+        cmb,
+        from: client.address,
+        id: 1,
+        accept: true,
+        amount: '2',
+        data: ethers.constants.HashZero,
+      }),
+      'TERMS_CHANGED',
+    );
+    await expectClientError(
+      hre.run('cmb:claim', { cmb, id: 1 }),
+      'NOT_RELEASED',
+    );
+    await expectClientError(
+      hre.run('cmb:withdraw-fees', { cmb, amount: '1' }),
+      'MISSING_ROLE',
+    );
+    await expectError(
+      hre.run('cmb:show', { cmb, id: 2 }),
+      'Payment 2 does not exist',
+    );
+  });
+
+  it('Should print events of CMB proxy set in lowercase', async () => {
+    const paymentId = await hre.run('cmb:request', {
+      cmb: cmb.toLowerCase(),
+      client: client.address,
+      amount: '1',
+    });
+    expect(paymentId).to.equal(1);
+  });
+
+  it('Should read CMB proxy from deployment of network', async () => {
+    await expectError(
+      hre.run('cmb:show', { id: 1 }),
+      'CMB is not deployed on hardhat, deployments/hardhat.json is missing',
+    );
+
+    await hre.run('cmb:request', { cmb, client: client.address, amount: '1' });
+    writeDeployment('hardhat', { cmbProxy: cmb });
+    try {
+      expect(readDeployment('hardhat')).to.deep.equal({ cmbProxy: cmb });
+      const payment = await hre.run('cmb:show', { id: 1 });
+      expect(payment.client).to.equal(client.address);
+    } finally {
+      fs.unlinkSync(path.join(__dirname, '..', 'deployments', 'hardhat.json'));
+    }
+  });
+});
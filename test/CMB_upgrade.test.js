@@ -0,0 +1,128 @@
+const hre = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const {
+  assertStorageUpgradeSafe,
+  getStorageLayout,
+  getVersion,
+  withValidationDefaults,
+} = require('@openzeppelin/upgrades-core');
+const {
+  readValidations,
+} = require('@openzeppelin/hardhat-upgrades/dist/utils/validations');
+const readDeployment = require('../utils/readDeployment');
+const validateUpgrade = require('../utils/validateUpgrade');
+const writeDeployment = require('../utils/writeDeployment');
+
+// Manifest of network the CMB proxy in NETWORKS of the SDK is deployed on
+const deployedManifest = require('../.openzeppelin/unknown-43113.json');
+
+async function expectError(promise, message) {
+  try {
+    await promise;
+  } catch (err) {
+    expect(err.message).to.contain(message);
+    return err;
+  }
+  expect.fail(`Expected error ${message}`);
+}
+
+describe('CMB - Upgrade test', () => {
+  it('Should keep storage layout of deployed implementation', async () => {
+    const CMB = await hre.ethers.getContractFactory('CMB');
+    const validations = await readValidations(hre);
+    const layout = getStorageLayout(validations, getVersion(CMB.bytecode));
+
+    Object.values(deployedManifest.impls).forEach((impl) => {
+      assertStorageUpgradeSafe(impl.layout, layout, withValidationDefaults({}));
+    });
+  });
+
+  it('Should validate upgrade against implementation behind proxy', async () => {
+    const [deployer] = await hre.ethers.getSigners();
+    const CMB = await hre.ethers.getContractFactory('CMB');
+    const cmbContract = await hre.upgrades.deployProxy(CMB, [deployer.address]);
+
+    expect(await validateUpgrade(hre, cmbContract.address, CMB)).to.equal(
+      await hre.upgrades.erc1967.getImplementationAddress(cmbContract.address),
+    );
+
+    // Contracts with a constructor can not be upgraded to
+    const MockERC20 = await hre.ethers.getContractFactory('MockERC20');
+    await expectError(
+      validateUpgrade(hre, cmbContract.address, MockERC20),
+      'is not upgrade safe',
+    );
+  });
+
+  it('Should reject upgrade that moves state of implementation behind proxy', async () => {
+    const [deployer] = await hre.ethers.getSigners();
+    const factory = (name) => hre.ethers.getContractFactory(name);
+    const proxy = await hre.upgrades.deployProxy(
+      await factory('MockUpgradeableV1'),
+      [1, deployer.address],
+    );
+    const implementation = await hre.upgrades.erc1967.getImplementationAddress(
+      proxy.address,
+    );
+
+    expect(
+      await validateUpgrade(
+        hre,
+        proxy.address,
+        await factory('MockUpgradeableAppended'),
+      ),
+    ).to.equal(implementation);
+    await expectError(
+      validateUpgrade(
+        hre,
+        proxy.address,
+        await factory('MockUpgradeableReordered'),
+      ),
+      'New storage layout is incompatible',
+    );
+    await expectError(
+      validateUpgrade(
+        hre,
+        proxy.address,
+        await factory('MockUpgradeableInserted'),
+      ),
+      'New storage layout is incompatible',
+    );
+  });
+
+  describe('Deployment records', () => {
+    const network = 'upgradeTest';
+    const file = path.join(__dirname, '..', 'deployments', `${network}.json`);
+
+    afterEach(() => {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+
+    it('Should read record written for network', () => {
+      const deployment = {
+        chainId: 31337,
+        cmbProxy: hre.ethers.constants.AddressZero,
+        blockNumber: 1,
+        upgrades: [{ implementation: hre.ethers.constants.AddressZero }],
+      };
+      writeDeployment(network, deployment);
+
+      expect(readDeployment(network)).to.deep.equal(deployment);
+      expect(fs.readFileSync(file, 'utf8')).to.equal(
+        `${JSON.stringify(deployment, null, 2)}\n`,
+      );
+    });
+
+    it('Should replace whole record of network', () => {
+      writeDeployment(network, { cmbProxy: hre.ethers.constants.AddressZero });
+      writeDeployment(network, { blockNumber: 2 });
+
+      expect(readDeployment(network)).to.deep.equal({ blockNumber: 2 });
+      expect(() => readDeployment(`${network}Other`)).to.throw(
+        `CMB is not deployed on ${network}Other, deployments/${network}Other.json is missing`,
+      );
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const { ethers, upgrades } = require('hardhat');
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ZERO_ADDRESS } = require('@openzeppelin/test-helpers/src/constants');
+const {
+  CMBClient,
+  CMBClientError,
+  FileStore,
+  encryptInvoiceData,
+  decryptInvoiceData,
+  storeInvoiceData,
+  loadInvoiceData,
+} = require('../sdk');
+
+const PAYMENT_DURATION = 7 * 24 * 60 * 60;
+const RELEASE_DURATION = 14 * 24 * 60 * 60;
+
+const provider = ethers.provider;
+
+async function expectClientError(promise, code) {
+  try {
+    await promise;
+  } catch (err) {
+    expect(err).to.be.instanceOf(CMBClientError);
+    expect(err.code).to.equal(code);
+    return err;
+  }
+  expect.fail(`Expected CMBClientError ${code}`);
+}
+
+describe('invoiceData - Encrypted invoice data test', () => {
+  beforeEach(async () => {
+    amount = ethers.utils.parseEther('0.01');
+    details = {
+      invoiceNumber: 'INV-0042',
+      description: 'Website redesign',
+      lines: [{ item: 'Design', amount: '0.01' }],
+    };
+    const [deployer] = await ethers.getSigners();
+    bo = ethers.Wallet.createRandom().connect(provider);
+    client = ethers.Wallet.createRandom().connect(provider);
+    stranger = ethers.Wallet.createRandom();
+    for (const wallet of [bo, client]) {
+      await deployer.sendTransaction({
+        to: wallet.address,
+        value: ethers.utils.parseEther('1'),
+      });
+    }
+
+    CMB = await ethers.getContractFactory('CMB');
+    cmbContract = await upgrades.deployProxy(CMB, [deployer.address]);
+
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cmb-invoice-data-'));
+    store = new FileStore(storeDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  it('Should decrypt for every recipient only', async () => {
+    const envelope = encryptInvoiceData(details, [
+      bo.publicKey,
+      client.publicKey,
+    ]);
+    expect(envelope.recipients.map(({ address }) => address)).to.deep.equal([
+      bo.address,
+      client.address,
+    ]);
+    expect(JSON.stringify(envelope)).to.not.include('Website redesign');
+
+    expect(decryptInvoiceData(envelope, bo.privateKey)).to.deep.equal(details);
+    expect(decryptInvoiceData(envelope, client.privateKey)).to.deep.equal(
+      details,
+    );
+    expect(() => decryptInvoiceData(envelope, stranger.privateKey))
+      .to.throw(CMBClientError)
+      .with.property('code', 'NOT_RECIPIENT');
+  });
+
+  it('Should request payment with commitment and read it back by payment ID', async () => {
+    const { data } = await storeInvoiceData(store, details, [
+      bo.publicKey,
+      client.publicKey,
+    ]);
+    expect(await store.get(data)).to.not.equal(null);
+
+    const boClient = new CMBClient(cmbContract.address, bo);
+    await boClient.requestPayment(client.address, data, amount, {
+      paymentDuration: PAYMENT_DURATION,
+      releaseDuration: RELEASE_DURATION,
+    });
+    expect((await boClient.getPayment(1)).data).to.equal(data);
+
+    const clientClient = new CMBClient(cmbContract.address, client);
+    expect(
+      await clientClient.readInvoiceData(1, store, client.privateKey),
+    ).to.deep.equal(details);
+    expect(
+      await boClient.readInvoiceData(1, store, bo.privateKey),
+    ).to.deep.equal(details);
+  });
+
+  it('Should follow data replaced by setData', async () => {
+    const first = await storeInvoiceData(store, details, [
+      bo.publicKey,
+      client.publicKey,
+    ]);
+    const boClient = new CMBClient(cmbContract.address, bo);
+    await boClient.requestPayment(client.address, first.data, amount, {
+      paymentDuration: PAYMENT_DURATION,
+      releaseDuration: RELEASE_DURATION,
+    });
+
+    const updated = { ...details, description: 'Website redesign and logo' };
+    const second = await storeInvoiceData(store, updated, [
+      bo.publicKey,
+      client.publicKey,
+    ]);
+    expect(second.data).to.not.equal(first.data);
+    await boClient.setData(1, second.data);
+
+    expect(
+      await boClient.readInvoiceData(1, store, client.privateKey),
+    ).to.deep.equal(updated);
+  });
+
+  it('Should reject missing and tampered data', async () => {
+    const boClient = new CMBClient(cmbContract.address, bo);
+    await expectClientError(
+      boClient.readInvoiceData(1, store, bo.privateKey),
+      'INVALID_PAYMENT',
+    );
+
+    const { data, envelope } = await storeInvoiceData(store, details, [
+      bo.publicKey,
+      client.publicKey,
+    ]);
+    await expectClientError(
+      loadInvoiceData(store, ethers.utils.keccak256('0x01'), bo.privateKey),
+      'DATA_NOT_FOUND',
+    );
+
+    // swapped file content no longer matches the commitment
+    const file = path.join(storeDir, data.slice(2));
+    fs.writeFileSync(file, JSON.stringify({ ...envelope, tag: '0x00' }));
+    await expectClientError(
+      loadInvoiceData(store, data, bo.privateKey),
+      'DATA_MISMATCH',
+    );
+
+    // content that matches its id but was modified after encryption
+    const ciphertext = ethers.utils.arrayify(envelope.ciphertext);
+    ciphertext[0] ^= 1;
+    const tampered = ethers.utils.toUtf8Bytes(
+      JSON.stringify({
+        ...envelope,
+        ciphertext: ethers.utils.hexlify(ciphertext),
+      }),
+    );
+    const tamperedData = await store.put(tampered);
+    await expectClientError(
+      loadInvoiceData(store, tamperedData, bo.privateKey),
+      'DATA_MISMATCH',
+    );
+  });
+
+  it('Should keep payments without encrypted data working', async () => {
+    const boClient = new CMBClient(cmbContract.address, bo);
+    await boClient.requestPayment(
+      client.address,
+      ethers.utils.formatBytes32String('plain'),
+      amount,
+      {
+        paymentDuration: PAYMENT_DURATION,
+        releaseDuration: RELEASE_DURATION,
+        token: ZERO_ADDRESS,
+      },
+    );
+    await expectClientError(
+      boClient.readInvoiceData(1, store, bo.privateKey),
+      'DATA_NOT_FOUND',
+    );
+  });
+});
@@ -0,0 +1,8 @@
+async function acceptRequest(cmbContract, client, paymentId) {
+  const payment = await cmbContract.payments(paymentId);
+  return cmbContract
+    .connect(client)
+    .acceptRequest(paymentId, payment.amount, payment.data);
+}
+
+module.exports = acceptRequest;
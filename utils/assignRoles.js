@@ -0,0 +1,33 @@
+const { ethers, upgrades } = require('hardhat');
+
+const ROLES = {
+  feeManager: 'FEE_MANAGER_ROLE',
+  treasurer: 'TREASURER_ROLE',
+  pauser: 'PAUSER_ROLE',
+  arbiter: 'ARBITER_ROLE',
+};
+
+async function assignRoles(cmbContract, config, deployer) {
+  for (const [name, role] of Object.entries(ROLES)) {
+    const account = config[name] || deployer;
+    await (await cmbContract.grantRole(ethers.utils.id(role), account)).wait();
+    console.log(`${role} granted to: `, account);
+  }
+
+  if (config.upgrader && config.upgrader !== deployer) {
+    await upgrades.admin.transferProxyAdminOwnership(config.upgrader);
+    console.log(
+      'ProxyAdmin ownership transferred to upgrader: ',
+      config.upgrader,
+    );
+  }
+
+  const adminRole = ethers.constants.HashZero;
+  if (config.admin && config.admin !== deployer) {
+    await (await cmbContract.grantRole(adminRole, config.admin)).wait();
+    await (await cmbContract.renounceRole(adminRole, deployer)).wait();
+    console.log('DEFAULT_ADMIN_ROLE moved to: ', config.admin);
+  }
+}
+
+module.exports = assignRoles;
@@ -0,0 +1,118 @@
+const http = require('http');
+const { ethers } = require('ethers');
+const { FORWARDER_ABI } = require('../sdk/forwarder');
+
+const MAX_BODY_SIZE = 100 * 1024;
+const ERROR_SELECTOR = '0x08c379a0';
+
+class RelayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new RelayError(413, 'Request body is too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function revertReason(returndata) {
+  if (!returndata.startsWith(ERROR_SELECTOR)) return 'Call reverted';
+
+  const [reason] = ethers.utils.defaultAbiCoder.decode(
+    ['string'],
+    ethers.utils.hexDataSlice(returndata, 4),
+  );
+  return reason;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * HTTP relayer that submits requests signed with `signForwardRequest` through the forwarder, paying their gas.
+ *
+ * `POST /relay` with `{ request, signature }` answers `{ transactionHash }` once the transaction is mined.
+ * Only calls to `target` without value are relayed, and calls that would revert are refused with their reason.
+ *
+ * @param {Object} options
+ * @param {ethers.Signer} options.signer        Account paying gas
+ * @param {string} options.forwarder            Address of `Forwarder` trusted by CMB
+ * @param {string} options.target               Address of CMB proxy
+ * @return {http.Server}                        Not listening yet
+ */
+function createRelayer({ signer, forwarder, target }) {
+  const forwarderContract = new ethers.Contract(
+    forwarder,
+    FORWARDER_ABI,
+    signer,
+  );
+
+  async function relay(body) {
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch (err) {
+      throw new RelayError(400, 'Request body needs to be JSON');
+    }
+    const { request, signature } = parsed;
+    if (!request || !signature) {
+      throw new RelayError(400, 'request and signature are required');
+    }
+    if (
+      !ethers.utils.isAddress(request.to) ||
+      ethers.utils.getAddress(request.to) !== ethers.utils.getAddress(target)
+    ) {
+      throw new RelayError(400, `Only calls to ${target} are relayed`);
+    }
+    if (!ethers.BigNumber.from(request.value).isZero()) {
+      throw new RelayError(400, 'Calls with value are not relayed');
+    }
+    if (!(await forwarderContract.verify(request, signature))) {
+      throw new RelayError(400, 'Invalid signature or nonce');
+    }
+    const [success, returndata] = await forwarderContract.callStatic.execute(
+      request,
+      signature,
+    );
+    if (!success) throw new RelayError(400, revertReason(returndata));
+
+    const tx = await forwarderContract.execute(request, signature);
+    await tx.wait();
+    return { transactionHash: tx.hash };
+  }
+
+  // Relays are submitted one by one so transactions of signer do not race for its nonce
+  let queue = Promise.resolve();
+
+  return http.createServer(async (req, res) => {
+    if (req.method !== 'POST' || req.url !== '/relay') {
+      return send(res, 404, { error: 'Not found' });
+    }
+    try {
+      const body = await readBody(req);
+      const relayed = queue.then(() => relay(body));
+      queue = relayed.catch(() => {});
+      send(res, 200, await relayed);
+    } catch (err) {
+      const status =
+        err.status || (err.code === 'INVALID_ARGUMENT' ? 400 : 500);
+      send(res, status, { error: err.message });
+    }
+  });
+}
+
+module.exports = createRelayer;
@@ -0,0 +1,8 @@
+const { ethers } = require('hardhat');
+
+async function increaseTime(seconds) {
+  await ethers.provider.send('evm_increaseTime', [seconds]);
+  await ethers.provider.send('evm_mine', []);
+}
+
+module.exports = increaseTime;
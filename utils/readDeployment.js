@@ -0,0 +1,18 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+
+// Record of contracts deployed on `network` by scripts/deploy.js, e.g. `cmbProxy` and `blockNumber`
+function readDeployment(network) {
+  const file = path.join(DEPLOYMENTS_DIR, `${network}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(
+      `CMB is not deployed on ${network}, deployments/${network}.json is missing`,
+    );
+  }
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+module.exports = readDeployment;
@@ -0,0 +1,34 @@
+const { ethers } = require('hardhat');
+
+async function signPermit(token, owner, spender, value, deadline) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const nonce = await token.nonces(owner.address);
+
+  const domain = {
+    name: await token.name(),
+    version: '1',
+    chainId,
+    verifyingContract: token.address,
+  };
+  const types = {
+    Permit: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
+    ],
+  };
+  const message = {
+    owner: owner.address,
+    spender,
+    value,
+    nonce,
+    deadline,
+  };
+
+  const signature = await owner._signTypedData(domain, types, message);
+  return ethers.utils.splitSignature(signature);
+}
+
+module.exports = signPermit;
@@ -0,0 +1,44 @@
+const {
+  Manifest,
+  assertStorageUpgradeSafe,
+  assertUpgradeSafe,
+  getImplementationAddress,
+  getStorageLayout,
+  getStorageLayoutForAddress,
+  getVersion,
+  withValidationDefaults,
+} = require('@openzeppelin/upgrades-core');
+// Not exported by hardhat-upgrades before upgrades.validateUpgrade existed, its version is pinned in package.json
+const {
+  readValidations,
+} = require('@openzeppelin/hardhat-upgrades/dist/utils/validations');
+
+// Throws unless the implementation of `ImplFactory` is upgrade safe and keeps the storage layout of the
+// implementation currently behind `proxyAddress`, as recorded in the .openzeppelin manifest of the network.
+// Returns address of that previous implementation.
+async function validateUpgrade(hre, proxyAddress, ImplFactory, opts = {}) {
+  const { provider } = hre.network;
+  const validations = await readValidations(hre);
+  const version = getVersion(ImplFactory.bytecode);
+  const options = withValidationDefaults(opts);
+  assertUpgradeSafe(validations, version, options);
+
+  const previousImplementation = await getImplementationAddress(
+    provider,
+    proxyAddress,
+  );
+  const previousLayout = await getStorageLayoutForAddress(
+    await Manifest.forNetwork(provider),
+    validations,
+    previousImplementation,
+  );
+  assertStorageUpgradeSafe(
+    previousLayout,
+    getStorageLayout(validations, version),
+    options,
+  );
+
+  return previousImplementation;
+}
+
+module.exports = validateUpgrade;
@@ -0,0 +1,15 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+
+// Record of contracts deployed on `network`, one file per network so deployments on other networks are kept
+function writeDeployment(network, deployment) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(
+    path.join(DEPLOYMENTS_DIR, `${network}.json`),
+    `${JSON.stringify(deployment, null, 2)}\n`,
+  );
+}
+
+module.exports = writeDeployment;